@@ -9,6 +9,9 @@ import fileUpload from "express-fileupload";
 // import morgan from "morgan"; 
 import { logger } from './logger.js';
 import { initializeScheduler } from './controllers/schedule.js';
+import { resumeInterruptedJobs } from './controllers/sendJobs.js';
+import { resumeInterruptedNumberChecks } from './controllers/numberChecks.js';
+import { initializeWebhookDispatcher } from './controllers/outboundWebhooks.js';
 
 const app = express();
 
@@ -54,6 +57,13 @@ app.use("/", router);
 // Initialize the message scheduler
 initializeScheduler();
 
+// Send instance events to registered webhooks, and retry failed deliveries
+initializeWebhookDispatcher();
+
+// Pick up send jobs and number checks interrupted by a restart
+resumeInterruptedJobs();
+resumeInterruptedNumberChecks();
+
 // Middleware for handling 404 errors
 app.use(notFoundHandler);
 
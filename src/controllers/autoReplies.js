@@ -0,0 +1,604 @@
+// src/controllers/autoReplies.js
+
+import connectDB from '../db/index.js';
+import { ensureTable } from '../db/schema.js';
+import { logger } from '../logger.js';
+import { replacePlaceholders, logMediaMessageToDB, ensureMessageTypeSchema } from './messages.js';
+import { findTemplate } from './templates.js';
+import { findMedia, buildLibraryMediaPayload, ensureMediaSchema } from './mediaLibrary.js';
+import { reserveCredits, settleReservation } from './credits.js';
+import { ensureThrottleSchema, waitForSendSlotWithin } from './throttle.js';
+import { getLocalParts } from './sendWindows.js';
+import { ensureConversationSchema, toContactKey } from './conversations.js';
+import { isSuppressed } from './suppression.js';
+import { spinText } from '../utils/spintax.js';
+import { isValidTimezone } from '../utils/timezones.js';
+import { hasNestedQuantifiers, testRegex } from '../utils/safeRegex.js';
+
+// Auto-reply rules answer inbound messages in one-to-one chats. The enabled rules of an instance
+// are tried from the highest priority down, and the first one that matches, is within its
+// active hours and is not cooling down for the contact sends its reply. Group chats and
+// messages synced from history never get auto-replies.
+
+const MATCH_TYPES = ['exact', 'contains', 'regex', 'first_message'];
+const REPLY_TYPES = ['text', 'template', 'media'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const PATTERN_MAX_LENGTH = 500;
+const NAME_MAX_LENGTH = 255;
+const DEFAULT_COOLDOWN_MINUTES = 60;
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+
+// A reply waits this long at most for the instance's throttle limits; past that it is skipped
+// and logged as throttled rather than sent long after the message it answers
+const MAX_THROTTLE_WAIT_MS = 5000;
+const THROTTLED = 'throttled';
+
+// Only the start of long messages is matched against regex rules
+const MATCH_TEXT_MAX_LENGTH = 1000;
+
+// Function to make sure the rule and reply log tables exist
+export const ensureAutoReplySchema = async () => {
+    await ensureTable('auto_reply_rules', `
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        instance_id VARCHAR(255) NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        match_type ENUM('exact', 'contains', 'regex', 'first_message') NOT NULL,
+        pattern VARCHAR(500) NULL,
+        case_sensitive BOOLEAN NOT NULL DEFAULT FALSE,
+        reply_type ENUM('text', 'template', 'media') NOT NULL,
+        reply_text TEXT NULL,
+        template_id INT NULL,
+        media_id INT NULL,
+        priority INT NOT NULL DEFAULT 0,
+        cooldown_minutes INT NOT NULL DEFAULT 60,
+        active_start CHAR(5) NULL,
+        active_end CHAR(5) NULL,
+        timezone VARCHAR(64) NOT NULL DEFAULT 'Asia/Kolkata',
+        enabled BOOLEAN NOT NULL DEFAULT TRUE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_instance_priority (instance_id, enabled, priority)
+    `);
+    await ensureTable('auto_reply_log', `
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        instance_id VARCHAR(255) NOT NULL,
+        rule_id INT NOT NULL,
+        contact VARCHAR(255) NOT NULL,
+        inbound_message_id INT NULL,
+        media_message_id INT NULL,
+        status ENUM('sent', 'failed') NOT NULL,
+        error TEXT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_rule_contact (rule_id, contact, created_at)
+    `);
+    await ensureMessageTypeSchema();
+    await ensureMediaSchema();
+    await ensureConversationSchema();
+    await ensureThrottleSchema();
+};
+
+const toMinutes = (time) => {
+    const [, hours, minutes] = time.match(TIME_PATTERN);
+    return parseInt(hours) * 60 + parseInt(minutes);
+};
+
+const formatRule = (row) => ({
+    ...row,
+    case_sensitive: !!row.case_sensitive,
+    enabled: !!row.enabled
+});
+
+// Function to get a rule that belongs to an instance
+const findRule = async (instanceId, ruleId) => {
+    await ensureAutoReplySchema();
+    const connection = await connectDB();
+    const [rows] = await connection.query(
+        'SELECT * FROM auto_reply_rules WHERE id = ? AND instance_id = ?',
+        [ruleId, instanceId]
+    );
+    return rows[0] ? formatRule(rows[0]) : null;
+};
+
+// Function to tell whether a rule's text condition matches a message
+const matchesText = (rule, text, isFirstMessage) => {
+    if (rule.match_type === 'first_message') return isFirstMessage;
+    if (!text) return false;
+
+    const normalize = (value) => (rule.case_sensitive ? value : value.toLowerCase());
+    const body = normalize(text.trim());
+    const pattern = normalize(rule.pattern.trim());
+
+    switch (rule.match_type) {
+        case 'exact':
+            return body === pattern;
+        case 'contains':
+            return body.includes(pattern);
+        case 'regex':
+            // A pattern that takes too long on this text counts as not matching
+            try {
+                return testRegex(rule.pattern, rule.case_sensitive ? '' : 'i', text.slice(0, MATCH_TEXT_MAX_LENGTH));
+            } catch (error) {
+                logger.warn('Auto-reply regex not matched:', { ruleId: rule.id, error: error.message });
+                return false;
+            }
+        default:
+            return false;
+    }
+};
+
+// Function to tell whether a rule may reply now; windows that end before they start run past midnight
+const isWithinActiveHours = (rule, now) => {
+    if (!rule.active_start || !rule.active_end) return true;
+
+    const { minutes } = getLocalParts(now, rule.timezone);
+    const start = toMinutes(rule.active_start);
+    const end = toMinutes(rule.active_end);
+    return start <= end
+        ? minutes >= start && minutes < end
+        : minutes >= start || minutes < end;
+};
+
+// Function to tell whether a rule replied to the contact within its cooldown
+const isCoolingDown = async (rule, contact) => {
+    if (!contact || rule.cooldown_minutes <= 0) return false;
+
+    const connection = await connectDB();
+    const [rows] = await connection.query(
+        'SELECT id FROM auto_reply_log WHERE rule_id = ? AND contact = ? AND status = \'sent\' ' +
+        'AND created_at >= NOW() - INTERVAL ? MINUTE LIMIT 1',
+        [rule.id, contact, rule.cooldown_minutes]
+    );
+    return rows.length > 0;
+};
+
+// Function to tell whether an inbound message is the first the contact ever sent the instance
+const isFirstInboundMessage = async (instanceId, contact, inboundMessageId) => {
+    const connection = await connectDB();
+    const [rows] = await connection.query(
+        'SELECT id FROM inbound_messages WHERE instance_id = ? AND chat_id = ? AND id < ? LIMIT 1',
+        [instanceId, contact, inboundMessageId]
+    );
+    return rows.length === 0;
+};
+
+// Function to try an instance's enabled rules against a message, highest priority first.
+// Returns every rule with why it did or did not apply, and the rule that would reply (or null).
+const evaluateRules = async (instanceId, { text, contact, isFirstMessage, now = new Date() }) => {
+    await ensureAutoReplySchema();
+    const connection = await connectDB();
+    const [rows] = await connection.query(
+        'SELECT * FROM auto_reply_rules WHERE instance_id = ? AND enabled = TRUE ORDER BY priority DESC, id ASC',
+        [instanceId]
+    );
+
+    let matchedRule = null;
+    const evaluations = [];
+    for (const rule of rows.map(formatRule)) {
+        let result = 'not_matched';
+        if (matchedRule) {
+            result = 'lower_priority';
+        } else if (matchesText(rule, text, isFirstMessage)) {
+            if (!isWithinActiveHours(rule, now)) {
+                result = 'outside_active_hours';
+            } else if (await isCoolingDown(rule, contact)) {
+                result = 'cooling_down';
+            } else {
+                result = 'matched';
+                matchedRule = rule;
+            }
+        }
+        evaluations.push({ ruleId: rule.id, name: rule.name, priority: rule.priority, result });
+    }
+
+    return { matchedRule, evaluations };
+};
+
+// Function to get the message_type of Baileys message content
+const getReplyMessageType = (content) => (
+    content.text !== undefined ? 'text' : ['image', 'video', 'audio', 'document', 'sticker'].find(type => content[type]) || 'document'
+);
+
+// Function to build the Baileys messages a rule replies with, in sending order, as { content, mediaId }
+const buildReplyContents = async (instanceId, rule, contact) => {
+    const render = async (text) => (text ? replacePlaceholders(spinText(text), contact, instanceId) : text);
+
+    if (rule.reply_type === 'text') {
+        return [{ content: { text: await render(rule.reply_text) }, mediaId: null }];
+    }
+
+    let text = rule.reply_text;
+    let caption = rule.reply_text;
+    let mediaId = rule.media_id;
+    if (rule.reply_type === 'template') {
+        const template = await findTemplate(instanceId, rule.template_id);
+        if (!template) throw new Error(`Template ${rule.template_id} not found`);
+        text = template.text;
+        caption = template.caption;
+        mediaId = template.media_id;
+    } else {
+        text = null;
+    }
+
+    const contents = [];
+    if (mediaId) {
+        const media = await findMedia(instanceId, mediaId);
+        if (!media) throw new Error(`Media ${mediaId} not found`);
+        contents.push({ content: await buildLibraryMediaPayload(media, await render(caption)), mediaId: media.id });
+    }
+    if (text) contents.push({ content: { text: await render(text) }, mediaId: null });
+    return contents;
+};
+
+// Function to send a rule's reply to an inbound message, quoting it, and log the outcome.
+// The reply uses the instance's credits and throttle limits like any other send and is
+// stored in media_messages, where its sent_at counts toward the limits.
+const sendAutoReply = async (instanceId, sock, rule, inbound) => {
+    const connection = await connectDB();
+    const contents = await buildReplyContents(instanceId, rule, inbound.chatId);
+
+    if (!(await waitForSendSlotWithin(instanceId, MAX_THROTTLE_WAIT_MS))) {
+        await connection.query(
+            'INSERT INTO auto_reply_log (instance_id, rule_id, contact, inbound_message_id, status, error) VALUES (?, ?, ?, ?, \'failed\', ?)',
+            [instanceId, rule.id, inbound.chatId, inbound.id, THROTTLED]
+        );
+        logger.warn('Auto-reply skipped, instance is throttled:', { instanceId, ruleId: rule.id, contact: inbound.chatId });
+        return;
+    }
+
+    const reservationId = await reserveCredits(instanceId, contents.length, `auto-reply rule:${rule.id}`);
+    if (!reservationId) {
+        logger.warn('Auto-reply skipped, no credits left:', { instanceId, ruleId: rule.id, contact: inbound.chatId });
+        return;
+    }
+
+    let sent = 0;
+    let mediaMessageId = null;
+    try {
+        for (const [index, { content, mediaId }] of contents.entries()) {
+            if (index > 0 && !(await waitForSendSlotWithin(instanceId, MAX_THROTTLE_WAIT_MS))) {
+                throw new Error(THROTTLED);
+            }
+            const result = await sock.sendMessage(inbound.message.key.remoteJid, content, index === 0 ? { quoted: inbound.message } : {});
+            sent++;
+            mediaMessageId = await logMediaMessageToDB(
+                instanceId,
+                inbound.chatId,
+                content.text || null,
+                null,
+                content.caption || null,
+                null,
+                'sent',
+                result?.key?.id,
+                {
+                    message_type: getReplyMessageType(content),
+                    media_id: mediaId,
+                    quoted_whatsapp_id: index === 0 ? inbound.whatsappMessageId : null,
+                    sent_at: new Date()
+                }
+            );
+        }
+
+        await connection.query(
+            'INSERT INTO auto_reply_log (instance_id, rule_id, contact, inbound_message_id, media_message_id, status) VALUES (?, ?, ?, ?, ?, \'sent\')',
+            [instanceId, rule.id, inbound.chatId, inbound.id, mediaMessageId]
+        );
+        logger.info('Auto-reply sent:', { instanceId, ruleId: rule.id, contact: inbound.chatId });
+    } catch (error) {
+        await connection.query(
+            'INSERT INTO auto_reply_log (instance_id, rule_id, contact, inbound_message_id, media_message_id, status, error) VALUES (?, ?, ?, ?, ?, \'failed\', ?)',
+            [instanceId, rule.id, inbound.chatId, inbound.id, mediaMessageId, error.message]
+        );
+        throw error;
+    } finally {
+        await settleReservation(reservationId, sent);
+    }
+};
+
+// Function to answer newly stored inbound messages (from recordInboundMessages) with the
+// instance's auto-reply rules
+export const runAutoReplies = async (instanceId, sock, inboundMessages) => {
+    for (const inbound of inboundMessages) {
+        if (inbound.chatId.endsWith('@g.us')) continue;
+
+        try {
+            // Contacts who opted out get no further messages, auto-replies included
+            if (await isSuppressed(instanceId, inbound.chatId)) continue;
+
+            const isFirstMessage = await isFirstInboundMessage(instanceId, inbound.chatId, inbound.id);
+            const { matchedRule } = await evaluateRules(instanceId, { text: inbound.text, contact: inbound.chatId, isFirstMessage });
+            if (!matchedRule) continue;
+
+            await sendAutoReply(instanceId, sock, matchedRule, inbound);
+        } catch (error) {
+            logger.error('Error sending auto-reply:', { instanceId, inboundId: inbound.id, error: error.message, stack: error.stack });
+        }
+    }
+};
+
+// Validate a rule from a request body, merged over the existing rule when updating.
+// Returns { error } or { fields } with the columns to save.
+const validateRule = async (instanceId, body, existing = {}) => {
+    const value = (field) => (body[field] !== undefined ? body[field] : existing[field]);
+    const fields = {
+        name: value('name'),
+        match_type: value('match_type'),
+        pattern: value('pattern') ?? null,
+        case_sensitive: !!value('case_sensitive'),
+        reply_type: value('reply_type'),
+        reply_text: value('reply_text') ?? null,
+        template_id: value('template_id') ?? null,
+        media_id: value('media_id') ?? null,
+        priority: value('priority') ?? 0,
+        cooldown_minutes: value('cooldown_minutes') ?? DEFAULT_COOLDOWN_MINUTES,
+        active_start: value('active_start') ?? null,
+        active_end: value('active_end') ?? null,
+        timezone: value('timezone') ?? DEFAULT_TIMEZONE,
+        enabled: value('enabled') ?? true
+    };
+
+    if (typeof fields.name !== 'string' || !fields.name.trim() || fields.name.length > NAME_MAX_LENGTH) {
+        return { error: `name must be 1-${NAME_MAX_LENGTH} characters` };
+    }
+    if (!MATCH_TYPES.includes(fields.match_type)) {
+        return { error: `match_type must be one of: ${MATCH_TYPES.join(', ')}` };
+    }
+    if (fields.match_type === 'first_message') {
+        fields.pattern = null;
+    } else if (typeof fields.pattern !== 'string' || !fields.pattern.trim() || fields.pattern.length > PATTERN_MAX_LENGTH) {
+        return { error: `pattern must be 1-${PATTERN_MAX_LENGTH} characters for ${fields.match_type} rules` };
+    }
+    if (fields.match_type === 'regex') {
+        try {
+            new RegExp(fields.pattern);
+        } catch (error) {
+            return { error: `pattern is not a valid regular expression: ${error.message}` };
+        }
+        if (hasNestedQuantifiers(fields.pattern)) {
+            return { error: 'pattern repeats a group that itself repeats, e.g. (a+)+, which can make matching very slow' };
+        }
+    }
+
+    if (!REPLY_TYPES.includes(fields.reply_type)) {
+        return { error: `reply_type must be one of: ${REPLY_TYPES.join(', ')}` };
+    }
+    if (fields.reply_type === 'text' && (typeof fields.reply_text !== 'string' || !fields.reply_text.trim())) {
+        return { error: 'reply_text is required for text replies' };
+    }
+    if (fields.reply_type === 'template') {
+        if (!fields.template_id || !(await findTemplate(instanceId, fields.template_id))) {
+            return { error: 'template_id must be a template of this instance' };
+        }
+        fields.media_id = null;
+        fields.reply_text = null;
+    } else {
+        fields.template_id = null;
+    }
+    if (fields.reply_type === 'media') {
+        if (!fields.media_id || !(await findMedia(instanceId, fields.media_id))) {
+            return { error: 'media_id must be a media library item of this instance' };
+        }
+    } else if (fields.reply_type === 'text') {
+        fields.media_id = null;
+    }
+
+    if (!Number.isInteger(fields.priority)) {
+        return { error: 'priority must be an integer; higher priorities are tried first' };
+    }
+    if (!Number.isInteger(fields.cooldown_minutes) || fields.cooldown_minutes < 0) {
+        return { error: 'cooldown_minutes must be a whole number of minutes, 0 for none' };
+    }
+    if ((fields.active_start === null) !== (fields.active_end === null)) {
+        return { error: 'active_start and active_end must be set together' };
+    }
+    if (fields.active_start !== null && (!TIME_PATTERN.test(fields.active_start) || !TIME_PATTERN.test(fields.active_end))) {
+        return { error: 'active_start and active_end must be HH:MM' };
+    }
+    if (!isValidTimezone(fields.timezone)) {
+        return { error: 'timezone must be an IANA timezone, e.g. Asia/Kolkata' };
+    }
+
+    fields.name = fields.name.trim();
+    fields.enabled = !!fields.enabled;
+    return { fields };
+};
+
+/**
+ * List the auto-reply rules of an instance in the order they are tried
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const listAutoReplyRules = async (req, res) => {
+    try {
+        const { instanceId } = req.params;
+
+        await ensureAutoReplySchema();
+        const connection = await connectDB();
+        const [rows] = await connection.query(
+            'SELECT * FROM auto_reply_rules WHERE instance_id = ? ORDER BY priority DESC, id ASC',
+            [instanceId]
+        );
+
+        res.json({ success: true, rules: rows.map(formatRule) });
+    } catch (error) {
+        logger.error('Error in listAutoReplyRules:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch auto-reply rules', error: error.message });
+    }
+};
+
+/**
+ * Get an auto-reply rule with its recent replies
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getAutoReplyRule = async (req, res) => {
+    try {
+        const { instanceId, ruleId } = req.params;
+
+        const rule = await findRule(instanceId, ruleId);
+        if (!rule) {
+            return res.status(404).json({ success: false, message: 'Auto-reply rule not found' });
+        }
+
+        const connection = await connectDB();
+        const [replies] = await connection.query(
+            'SELECT contact, inbound_message_id, media_message_id, status, error, created_at FROM auto_reply_log ' +
+            'WHERE rule_id = ? ORDER BY id DESC LIMIT 50',
+            [rule.id]
+        );
+
+        res.json({ success: true, rule, recentReplies: replies });
+    } catch (error) {
+        logger.error('Error in getAutoReplyRule:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch auto-reply rule', error: error.message });
+    }
+};
+
+/**
+ * Create an auto-reply rule
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const createAutoReplyRule = async (req, res) => {
+    try {
+        const { instanceId } = req.params;
+
+        await ensureAutoReplySchema();
+        const { error, fields } = await validateRule(instanceId, req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const connection = await connectDB();
+        const columns = Object.keys(fields);
+        const [result] = await connection.query(
+            `INSERT INTO auto_reply_rules (instance_id, ${columns.join(', ')}) VALUES (?, ${columns.map(() => '?').join(', ')})`,
+            [instanceId, ...columns.map(column => fields[column])]
+        );
+
+        res.status(201).json({ success: true, rule: await findRule(instanceId, result.insertId) });
+    } catch (error) {
+        logger.error('Error in createAutoReplyRule:', error);
+        res.status(500).json({ success: false, message: 'Failed to create auto-reply rule', error: error.message });
+    }
+};
+
+/**
+ * Update an auto-reply rule; fields missing from the body keep their value
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const updateAutoReplyRule = async (req, res) => {
+    try {
+        const { instanceId, ruleId } = req.params;
+
+        const rule = await findRule(instanceId, ruleId);
+        if (!rule) {
+            return res.status(404).json({ success: false, message: 'Auto-reply rule not found' });
+        }
+
+        const { error, fields } = await validateRule(instanceId, req.body, rule);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const connection = await connectDB();
+        const columns = Object.keys(fields);
+        await connection.query(
+            `UPDATE auto_reply_rules SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+            [...columns.map(column => fields[column]), rule.id]
+        );
+
+        res.json({ success: true, rule: await findRule(instanceId, rule.id) });
+    } catch (error) {
+        logger.error('Error in updateAutoReplyRule:', error);
+        res.status(500).json({ success: false, message: 'Failed to update auto-reply rule', error: error.message });
+    }
+};
+
+/**
+ * Delete an auto-reply rule
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const deleteAutoReplyRule = async (req, res) => {
+    try {
+        const { instanceId, ruleId } = req.params;
+
+        const rule = await findRule(instanceId, ruleId);
+        if (!rule) {
+            return res.status(404).json({ success: false, message: 'Auto-reply rule not found' });
+        }
+
+        const connection = await connectDB();
+        await connection.query('DELETE FROM auto_reply_rules WHERE id = ?', [rule.id]);
+
+        res.json({ success: true, message: 'Auto-reply rule deleted' });
+    } catch (error) {
+        logger.error('Error in deleteAutoReplyRule:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete auto-reply rule', error: error.message });
+    }
+};
+
+/**
+ * Show which rule an example message would trigger, without sending anything. With a contact,
+ * cooldowns and first-message rules use that contact's history; otherwise firstMessage says
+ * whether to treat the example as the contact's first message.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const testAutoReplyRules = async (req, res) => {
+    try {
+        const { instanceId } = req.params;
+        const { text, contact: requestContact, firstMessage, at } = req.body;
+
+        if (text !== undefined && typeof text !== 'string') {
+            return res.status(400).json({ success: false, message: 'text must be a string' });
+        }
+        const contact = requestContact ? toContactKey(requestContact) : null;
+        if (requestContact && !contact) {
+            return res.status(400).json({ success: false, message: 'contact must be a phone number' });
+        }
+        const now = at ? new Date(at) : new Date();
+        if (isNaN(now.getTime())) {
+            return res.status(400).json({ success: false, message: 'at must be a date and time' });
+        }
+
+        await ensureAutoReplySchema();
+        let isFirstMessage = !!firstMessage;
+        if (contact && firstMessage === undefined) {
+            const connection = await connectDB();
+            const [rows] = await connection.query(
+                'SELECT id FROM inbound_messages WHERE instance_id = ? AND chat_id = ? LIMIT 1',
+                [instanceId, contact]
+            );
+            isFirstMessage = rows.length === 0;
+        }
+
+        const { matchedRule, evaluations } = await evaluateRules(instanceId, { text, contact, isFirstMessage, now });
+
+        let reply = null;
+        if (matchedRule) {
+            try {
+                const contents = await buildReplyContents(instanceId, matchedRule, contact || '');
+                reply = contents.map(({ content, mediaId }) => ({
+                    type: getReplyMessageType(content),
+                    text: content.text ?? content.caption ?? null,
+                    mediaId
+                }));
+            } catch (error) {
+                reply = { error: error.message };
+            }
+        }
+
+        res.json({
+            success: true,
+            isFirstMessage,
+            matchedRule,
+            reply,
+            evaluations
+        });
+    } catch (error) {
+        logger.error('Error in testAutoReplyRules:', error);
+        res.status(500).json({ success: false, message: 'Failed to test auto-reply rules', error: error.message });
+    }
+};
@@ -0,0 +1,208 @@
+// src/controllers/campaigns.js
+
+import connectDB from '../db/index.js';
+import { ensureTable, ensureColumn } from '../db/schema.js';
+import { logger } from '../logger.js';
+
+// Where a campaign's messages came from
+const CAMPAIGN_SOURCE = {
+    SEND_MEDIA: 'send_media',
+    SCHEDULE: 'schedule',
+    MANUAL: 'manual'
+};
+
+// Function to make sure the campaigns table and media_messages.campaign_id exist
+export const ensureCampaignSchema = async () => {
+    await ensureTable('campaigns', `
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        instance_id VARCHAR(255) NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        source ENUM('send_media', 'schedule', 'manual') NOT NULL DEFAULT 'manual',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_instance_id (instance_id)
+    `);
+    await ensureColumn('media_messages', 'campaign_id', 'INT NULL, ADD INDEX idx_campaign_id (campaign_id)');
+};
+
+// Function to save a new campaign and return its id
+export const saveCampaign = async (instanceId, name, source = CAMPAIGN_SOURCE.MANUAL) => {
+    await ensureCampaignSchema();
+    const connection = await connectDB();
+
+    const campaignName = name && name.trim() ? name.trim() : `Campaign ${new Date().toISOString().slice(0, 19).replace('T', ' ')}`;
+    const [result] = await connection.execute(
+        'INSERT INTO campaigns (instance_id, name, source) VALUES (?, ?, ?)',
+        [instanceId, campaignName, source]
+    );
+
+    logger.info('Campaign saved:', { campaignId: result.insertId, instanceId, name: campaignName, source });
+    return result.insertId;
+};
+
+// Function to get a campaign that belongs to an instance
+export const findCampaign = async (instanceId, campaignId) => {
+    await ensureCampaignSchema();
+    const connection = await connectDB();
+    const [rows] = await connection.query(
+        'SELECT * FROM campaigns WHERE id = ? AND instance_id = ?',
+        [campaignId, instanceId]
+    );
+    return rows[0] || null;
+};
+
+// Function to pick the campaign for a send: the given id, or a new campaign named campaignName.
+// Returns null when campaignId does not belong to the instance.
+export const resolveCampaign = async (instanceId, { campaignId, campaignName } = {}, source) => {
+    if (campaignId) {
+        const campaign = await findCampaign(instanceId, campaignId);
+        return campaign ? campaign.id : null;
+    }
+    return saveCampaign(instanceId, campaignName, source);
+};
+
+// Count a campaign's messages by status
+const getCampaignSummary = async (campaignId) => {
+    const connection = await connectDB();
+    const [rows] = await connection.query(
+        'SELECT ' +
+        'COUNT(*) as total, ' +
+        'SUM(CASE WHEN message_status = \'sent\' THEN 1 ELSE 0 END) as sent, ' +
+        'SUM(CASE WHEN message_status = \'delivered\' THEN 1 ELSE 0 END) as delivered, ' +
+        'SUM(CASE WHEN message_status = \'read\' THEN 1 ELSE 0 END) as `read`, ' +
+        'SUM(CASE WHEN message_status = \'failed\' THEN 1 ELSE 0 END) as failed, ' +
+        'SUM(CASE WHEN message_status = \'pending\' THEN 1 ELSE 0 END) as pending ' +
+        'FROM media_messages WHERE campaign_id = ?',
+        [campaignId]
+    );
+
+    const summary = {};
+    Object.entries(rows[0]).forEach(([key, value]) => {
+        summary[key] = parseInt(value) || 0;
+    });
+    return summary;
+};
+
+/**
+ * Create a campaign
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const createCampaign = async (req, res) => {
+    try {
+        const { instanceId } = req.params;
+        const { name } = req.body;
+
+        if (!name || !name.trim()) {
+            return res.status(400).json({ success: false, message: 'Campaign name is required' });
+        }
+
+        const campaignId = await saveCampaign(instanceId, name, CAMPAIGN_SOURCE.MANUAL);
+        const campaign = await findCampaign(instanceId, campaignId);
+
+        res.status(201).json({ success: true, campaign });
+    } catch (error) {
+        logger.error('Error in createCampaign:', error);
+        res.status(500).json({ success: false, message: 'Failed to create campaign', error: error.message });
+    }
+};
+
+/**
+ * Rename a campaign
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const renameCampaign = async (req, res) => {
+    try {
+        const { instanceId, campaignId } = req.params;
+        const { name } = req.body;
+
+        if (!name || !name.trim()) {
+            return res.status(400).json({ success: false, message: 'Campaign name is required' });
+        }
+
+        const campaign = await findCampaign(instanceId, campaignId);
+        if (!campaign) {
+            return res.status(404).json({ success: false, message: 'Campaign not found' });
+        }
+
+        const connection = await connectDB();
+        await connection.execute('UPDATE campaigns SET name = ? WHERE id = ?', [name.trim(), campaign.id]);
+
+        res.json({ success: true, campaign: await findCampaign(instanceId, campaign.id) });
+    } catch (error) {
+        logger.error('Error in renameCampaign:', error);
+        res.status(500).json({ success: false, message: 'Failed to rename campaign', error: error.message });
+    }
+};
+
+/**
+ * List campaigns of an instance with message counts by status
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const listCampaigns = async (req, res) => {
+    try {
+        const { instanceId } = req.params;
+        const { limit = 20, offset = 0 } = req.query;
+
+        await ensureCampaignSchema();
+        const connection = await connectDB();
+        const [rows] = await connection.query(
+            'SELECT * FROM campaigns WHERE instance_id = ? ORDER BY id DESC LIMIT ? OFFSET ?',
+            [instanceId, parseInt(limit), parseInt(offset)]
+        );
+        const [totalCount] = await connection.query(
+            'SELECT COUNT(*) as total FROM campaigns WHERE instance_id = ?',
+            [instanceId]
+        );
+
+        const campaigns = await Promise.all(rows.map(async campaign => ({
+            ...campaign,
+            summary: await getCampaignSummary(campaign.id)
+        })));
+
+        res.json({
+            success: true,
+            campaigns,
+            pagination: {
+                total: totalCount[0].total,
+                limit: parseInt(limit),
+                offset: parseInt(offset),
+                hasMore: totalCount[0].total > parseInt(offset) + parseInt(limit)
+            }
+        });
+    } catch (error) {
+        logger.error('Error in listCampaigns:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch campaigns', error: error.message });
+    }
+};
+
+/**
+ * Get one campaign with message counts by status
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getCampaign = async (req, res) => {
+    try {
+        const { instanceId, campaignId } = req.params;
+
+        const campaign = await findCampaign(instanceId, campaignId);
+        if (!campaign) {
+            return res.status(404).json({ success: false, message: 'Campaign not found' });
+        }
+
+        res.json({
+            success: true,
+            campaign: {
+                ...campaign,
+                summary: await getCampaignSummary(campaign.id)
+            }
+        });
+    } catch (error) {
+        logger.error('Error in getCampaign:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch campaign', error: error.message });
+    }
+};
+
+export { CAMPAIGN_SOURCE };
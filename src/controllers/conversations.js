@@ -0,0 +1,466 @@
+// src/controllers/conversations.js
+
+import { BufferJSON, downloadMediaMessage, getContentType, normalizeMessageContent } from '@whiskeysockets/baileys';
+import connectDB from '../db/index.js';
+import { ensureTable, ensureColumn } from '../db/schema.js';
+import { logger } from '../logger.js';
+import { ensureMessageTypeSchema, ensureAttachmentSchema, ensureQuoteSchema } from './messages.js';
+import { ensureThrottleSchema } from './throttle.js';
+import { isGroupJid, isValidGroupJid, jidToNumber } from '../utils/jids.js';
+
+// A conversation is everything exchanged with one contact: inbound_messages from the chat plus
+// the media_messages we sent to it. Contacts are keyed by their number (digits only) or, for
+// groups, by the group JID, so outbound recipients are normalized the same way when matched.
+
+const USER_JID_SUFFIX = '@s.whatsapp.net';
+const SEARCH_MIN_LENGTH = 2;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Baileys content keys and the message_type they are stored as
+const CONTENT_TYPES = {
+    conversation: 'text',
+    extendedTextMessage: 'text',
+    imageMessage: 'image',
+    videoMessage: 'video',
+    audioMessage: 'audio',
+    documentMessage: 'document',
+    documentWithCaptionMessage: 'document',
+    stickerMessage: 'sticker',
+    locationMessage: 'location',
+    liveLocationMessage: 'location',
+    contactMessage: 'contact',
+    contactsArrayMessage: 'contact',
+    buttonsResponseMessage: 'interactive_reply',
+    listResponseMessage: 'interactive_reply',
+    templateButtonReplyMessage: 'interactive_reply',
+    interactiveResponseMessage: 'interactive_reply',
+    pollCreationMessage: 'poll'
+};
+
+// Events that arrive as messages but are not something a contact said
+const IGNORED_CONTENT_TYPES = ['protocolMessage', 'reactionMessage', 'senderKeyDistributionMessage', 'pollUpdateMessage', 'editedMessage'];
+
+const MEDIA_TYPES = ['image', 'video', 'audio', 'document', 'sticker'];
+
+// SQL for the contact key of an outbound media_messages row, stored as media_messages.contact_key
+// so threads can look a contact up by index
+const OUTBOUND_CONTACT = "CASE WHEN recipient LIKE '%@g.us' THEN recipient " +
+    "ELSE REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(recipient, '+', ''), ' ', ''), '-', ''), '(', ''), ')', '') END";
+
+// Function to make sure the inbound message table and the outbound columns a thread reads exist
+export const ensureConversationSchema = async () => {
+    await ensureTable('inbound_messages', `
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        instance_id VARCHAR(255) NOT NULL,
+        whatsapp_message_id VARCHAR(255) NOT NULL,
+        chat_id VARCHAR(255) NOT NULL,
+        sender_jid VARCHAR(255) NOT NULL,
+        sender_name VARCHAR(255) NULL,
+        message_type VARCHAR(32) NOT NULL,
+        text TEXT NULL,
+        media_mimetype VARCHAR(255) NULL,
+        media_file_name VARCHAR(255) NULL,
+        media_size BIGINT NULL,
+        quoted_whatsapp_id VARCHAR(255) NULL,
+        payload LONGTEXT NULL,
+        received_at TIMESTAMP NOT NULL,
+        read_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_instance_message (instance_id, whatsapp_message_id),
+        INDEX idx_instance_chat (instance_id, chat_id, received_at),
+        INDEX idx_unread (instance_id, chat_id, read_at)
+    `);
+    await ensureColumn(
+        'media_messages',
+        'contact_key',
+        `VARCHAR(255) AS (LEFT(${OUTBOUND_CONTACT}, 255)) STORED, ADD INDEX idx_instance_contact_key (instance_id, contact_key)`
+    );
+    await ensureMessageTypeSchema();
+    await ensureAttachmentSchema();
+    await ensureQuoteSchema();
+    await ensureThrottleSchema();
+};
+
+// Function to turn a contact from a URL (number, user JID or group JID) into its conversation key, or null
+export const toContactKey = (contact) => {
+    const value = String(contact).trim();
+    if (isGroupJid(value)) return isValidGroupJid(value) ? value : null;
+
+    const digits = value.replace(USER_JID_SUFFIX, '').replace(/[^\d]/g, '');
+    return digits.length >= 6 && digits.length <= 15 ? digits : null;
+};
+
+// Function to read the parts of a Baileys message we store; null for messages that are not stored
+const parseInboundMessage = (message) => {
+    const { key } = message;
+    const chatJid = key?.remoteJid;
+    if (!chatJid || key.fromMe) return null;
+    if (!chatJid.endsWith(USER_JID_SUFFIX) && !isGroupJid(chatJid)) return null;
+
+    const content = normalizeMessageContent(message.message);
+    const contentType = content && getContentType(content);
+    if (!contentType || IGNORED_CONTENT_TYPES.includes(contentType)) return null;
+
+    const body = content[contentType];
+    const messageType = CONTENT_TYPES[contentType] || 'other';
+    const text = typeof body === 'string'
+        ? body
+        : body?.text || body?.caption || body?.selectedDisplayText || body?.title || body?.name || body?.displayName || null;
+    const isMedia = MEDIA_TYPES.includes(messageType);
+
+    return {
+        whatsappMessageId: key.id,
+        chatId: isGroupJid(chatJid) ? chatJid : jidToNumber(chatJid),
+        senderJid: key.participant || chatJid,
+        senderName: message.pushName || null,
+        messageType,
+        text,
+        mediaMimetype: isMedia ? body.mimetype || null : null,
+        mediaFileName: isMedia ? body.fileName || null : null,
+        mediaSize: isMedia && body.fileLength ? Number(body.fileLength) : null,
+        quotedWhatsappId: body?.contextInfo?.stanzaId || null,
+        receivedAt: Number(message.messageTimestamp) || Math.floor(Date.now() / 1000)
+    };
+};
+
+// Function to store the messages of a Baileys messages.upsert event that contacts sent us.
+// Our own messages are already in media_messages; repeats of a stored message are ignored.
+// Returns the newly stored messages as { id, message, ...parsed fields }.
+export const recordInboundMessages = async (instanceId, { messages }) => {
+    const stored = [];
+    try {
+        const inbound = (messages || [])
+            .map(message => ({ message, parsed: parseInboundMessage(message) }))
+            .filter(({ parsed }) => parsed);
+        if (inbound.length === 0) return stored;
+
+        await ensureConversationSchema();
+        const connection = await connectDB();
+
+        for (const { message, parsed } of inbound) {
+            // The raw message keeps the media reference needed to download it later
+            const [result] = await connection.query(
+                'INSERT IGNORE INTO inbound_messages ' +
+                '(instance_id, whatsapp_message_id, chat_id, sender_jid, sender_name, message_type, text, media_mimetype, media_file_name, media_size, quoted_whatsapp_id, payload, received_at) ' +
+                'VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, FROM_UNIXTIME(?))',
+                [
+                    instanceId,
+                    parsed.whatsappMessageId,
+                    parsed.chatId,
+                    parsed.senderJid,
+                    parsed.senderName,
+                    parsed.messageType,
+                    parsed.text,
+                    parsed.mediaMimetype,
+                    parsed.mediaFileName,
+                    parsed.mediaSize,
+                    parsed.quotedWhatsappId,
+                    MEDIA_TYPES.includes(parsed.messageType) ? JSON.stringify(message, BufferJSON.replacer) : null,
+                    parsed.receivedAt
+                ]
+            );
+            if (result.affectedRows > 0) stored.push({ id: result.insertId, message, ...parsed });
+        }
+        logger.info('Inbound messages stored:', { instanceId, count: stored.length });
+    } catch (error) {
+        logger.error('Error storing inbound messages:', { instanceId, error: error.message, stack: error.stack });
+    }
+    return stored;
+};
+
+// Function to build the SQL for the instance's messages as one list, optionally only those with
+// one contact and/or whose text is LIKE a pattern. The conditions go into both sides of the
+// UNION so each can use its (instance_id, contact) index. Returns { sql, params }.
+const buildThreadQuery = (instanceId, { contact = null, textLike = null } = {}) => {
+    const inboundConditions = ['i.instance_id = ?'];
+    const inboundParams = [instanceId];
+    const outboundConditions = ['m.instance_id = ?', 'm.parent_message_id IS NULL'];
+    const outboundParams = [instanceId];
+
+    if (contact) {
+        inboundConditions.push('i.chat_id = ?');
+        inboundParams.push(contact);
+        outboundConditions.push('m.contact_key = ?');
+        outboundParams.push(contact);
+    }
+    if (textLike) {
+        inboundConditions.push('i.text LIKE ?');
+        inboundParams.push(textLike);
+        outboundConditions.push('COALESCE(m.message, m.caption) LIKE ?');
+        outboundParams.push(textLike);
+    }
+
+    const sql = `
+        SELECT 'inbound' AS direction, i.id, i.chat_id AS contact, i.message_type, i.text,
+            i.media_mimetype, NULL AS media_id, i.sender_jid, i.sender_name,
+            i.whatsapp_message_id, i.quoted_whatsapp_id, NULL AS message_status,
+            i.received_at AS at, i.read_at, i.read_at IS NULL AS unread
+        FROM inbound_messages i
+        WHERE ${inboundConditions.join(' AND ')}
+        UNION ALL
+        SELECT 'outbound' AS direction, m.id, m.contact_key AS contact, m.message_type, COALESCE(m.message, m.caption) AS text,
+            NULL AS media_mimetype, m.media_id, NULL AS sender_jid, NULL AS sender_name,
+            m.whatsapp_message_id, m.quoted_whatsapp_id, m.message_status,
+            COALESCE(m.sent_at, m.created_at) AS at, NULL AS read_at, 0 AS unread
+        FROM media_messages m
+        WHERE ${outboundConditions.join(' AND ')}
+    `;
+    return { sql, params: [...inboundParams, ...outboundParams] };
+};
+
+const getPage = (query) => ({
+    limit: Math.min(Math.max(parseInt(query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE),
+    offset: Math.max(parseInt(query.offset) || 0, 0)
+});
+
+const formatThreadMessage = (row) => ({
+    id: row.id,
+    direction: row.direction,
+    contact: row.contact,
+    messageType: row.message_type,
+    text: row.text,
+    ...(row.direction === 'inbound'
+        ? { sender: row.sender_jid, senderName: row.sender_name, mediaMimetype: row.media_mimetype, readAt: row.read_at }
+        : { mediaId: row.media_id, status: row.message_status }),
+    whatsappMessageId: row.whatsapp_message_id,
+    quotedWhatsappId: row.quoted_whatsapp_id,
+    at: row.at
+});
+
+// Function to find display names for contacts: the phoneList name, else the latest WhatsApp profile name
+const getContactNames = async (instanceId, contacts) => {
+    const names = new Map();
+    const numbers = contacts.filter(contact => !isGroupJid(contact));
+    if (numbers.length === 0) return names;
+
+    const connection = await connectDB();
+    const [profiles] = await connection.query(
+        'SELECT chat_id, sender_name FROM inbound_messages ' +
+        'WHERE instance_id = ? AND chat_id IN (?) AND sender_name IS NOT NULL ORDER BY id DESC',
+        [instanceId, numbers]
+    );
+    profiles.forEach(row => { if (!names.has(row.chat_id)) names.set(row.chat_id, row.sender_name); });
+
+    const [rows] = await connection.query(
+        'SELECT name, phone_numbers FROM phoneList WHERE instance_id = ? AND phone_numbers IN (?)',
+        [instanceId, [...numbers, ...numbers.map(number => `+${number}`)]]
+    );
+    rows.forEach(row => names.set(row.phone_numbers.replace(/^\+/, ''), row.name));
+    return names;
+};
+
+/**
+ * List conversations, newest activity first, with the last message and unread count of each
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const listConversations = async (req, res) => {
+    try {
+        const { instanceId } = req.params;
+        const { unread } = req.query;
+        const { limit, offset } = getPage(req.query);
+
+        await ensureConversationSchema();
+        const connection = await connectDB();
+
+        const thread = buildThreadQuery(instanceId);
+        const [rows] = await connection.query(`
+            WITH thread AS (${thread.sql}),
+            ranked AS (
+                SELECT thread.*,
+                    ROW_NUMBER() OVER (PARTITION BY contact ORDER BY at DESC, direction ASC, id DESC) AS position,
+                    SUM(unread) OVER (PARTITION BY contact) AS unread_count,
+                    COUNT(*) OVER (PARTITION BY contact) AS message_count
+                FROM thread
+            )
+            SELECT *, COUNT(*) OVER () AS total
+            FROM ranked
+            WHERE position = 1
+            ${unread === 'true' ? 'AND unread_count > 0' : ''}
+            ORDER BY at DESC
+            LIMIT ? OFFSET ?
+        `, [...thread.params, limit, offset]);
+
+        const names = await getContactNames(instanceId, rows.map(row => row.contact));
+        res.json({
+            success: true,
+            conversations: rows.map(row => ({
+                contact: row.contact,
+                isGroup: isGroupJid(row.contact),
+                name: names.get(row.contact) || null,
+                unreadCount: parseInt(row.unread_count) || 0,
+                messageCount: parseInt(row.message_count) || 0,
+                lastMessage: formatThreadMessage(row)
+            })),
+            pagination: {
+                total: rows.length > 0 ? parseInt(rows[0].total) : 0,
+                limit,
+                offset
+            }
+        });
+    } catch (error) {
+        logger.error('Error in listConversations:', { error: error.message, stack: error.stack });
+        res.status(500).json({ success: false, message: 'Failed to fetch conversations', error: error.message });
+    }
+};
+
+/**
+ * Page through the messages exchanged with one contact, newest first
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getConversationThread = async (req, res) => {
+    try {
+        const { instanceId } = req.params;
+        const contact = toContactKey(req.params.contact);
+        if (!contact) {
+            return res.status(400).json({ success: false, message: 'contact must be a phone number or group JID' });
+        }
+        const { limit, offset } = getPage(req.query);
+
+        await ensureConversationSchema();
+        const connection = await connectDB();
+        const thread = buildThreadQuery(instanceId, { contact });
+        const [rows] = await connection.query(`
+            SELECT thread.*, COUNT(*) OVER () AS total
+            FROM (${thread.sql}) thread
+            ORDER BY at DESC, direction ASC, id DESC
+            LIMIT ? OFFSET ?
+        `, [...thread.params, limit, offset]);
+
+        const names = await getContactNames(instanceId, [contact]);
+        const total = rows.length > 0 ? parseInt(rows[0].total) : 0;
+        res.json({
+            success: true,
+            contact,
+            name: names.get(contact) || null,
+            messages: rows.map(formatThreadMessage),
+            pagination: {
+                total,
+                limit,
+                offset,
+                hasMore: offset + rows.length < total
+            }
+        });
+    } catch (error) {
+        logger.error('Error in getConversationThread:', { error: error.message, stack: error.stack });
+        res.status(500).json({ success: false, message: 'Failed to fetch conversation', error: error.message });
+    }
+};
+
+/**
+ * Mark a contact's inbound messages as read, clearing the conversation's unread count
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const markConversationRead = async (req, res) => {
+    try {
+        const { instanceId } = req.params;
+        const contact = toContactKey(req.params.contact);
+        if (!contact) {
+            return res.status(400).json({ success: false, message: 'contact must be a phone number or group JID' });
+        }
+
+        await ensureConversationSchema();
+        const connection = await connectDB();
+        const [result] = await connection.query(
+            'UPDATE inbound_messages SET read_at = NOW() WHERE instance_id = ? AND chat_id = ? AND read_at IS NULL',
+            [instanceId, contact]
+        );
+
+        res.json({ success: true, contact, markedRead: result.affectedRows });
+    } catch (error) {
+        logger.error('Error in markConversationRead:', { error: error.message, stack: error.stack });
+        res.status(500).json({ success: false, message: 'Failed to mark conversation read', error: error.message });
+    }
+};
+
+/**
+ * Search the text and captions of inbound and outbound messages, newest first
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const searchConversationMessages = async (req, res) => {
+    try {
+        const { instanceId } = req.params;
+        const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+        if (q.length < SEARCH_MIN_LENGTH) {
+            return res.status(400).json({ success: false, message: `q must be at least ${SEARCH_MIN_LENGTH} characters` });
+        }
+        const contact = req.query.contact ? toContactKey(req.query.contact) : null;
+        if (req.query.contact && !contact) {
+            return res.status(400).json({ success: false, message: 'contact must be a phone number or group JID' });
+        }
+        const { limit, offset } = getPage(req.query);
+
+        await ensureConversationSchema();
+        const connection = await connectDB();
+        const thread = buildThreadQuery(instanceId, { contact, textLike: `%${q.replace(/[\\%_]/g, '\\$&')}%` });
+        const [rows] = await connection.query(`
+            SELECT thread.*, COUNT(*) OVER () AS total
+            FROM (${thread.sql}) thread
+            ORDER BY at DESC, id DESC
+            LIMIT ? OFFSET ?
+        `, [...thread.params, limit, offset]);
+
+        res.json({
+            success: true,
+            query: q,
+            messages: rows.map(formatThreadMessage),
+            pagination: {
+                total: rows.length > 0 ? parseInt(rows[0].total) : 0,
+                limit,
+                offset
+            }
+        });
+    } catch (error) {
+        logger.error('Error in searchConversationMessages:', { error: error.message, stack: error.stack });
+        res.status(500).json({ success: false, message: 'Failed to search messages', error: error.message });
+    }
+};
+
+/**
+ * Download the media of an inbound message from WhatsApp
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const downloadInboundMedia = async (req, res) => {
+    try {
+        const { instanceId, inboundId } = req.params;
+
+        await ensureConversationSchema();
+        const connection = await connectDB();
+        const [rows] = await connection.query(
+            'SELECT payload, media_mimetype, media_file_name FROM inbound_messages WHERE id = ? AND instance_id = ?',
+            [inboundId, instanceId]
+        );
+        const inbound = rows[0];
+        if (!inbound) {
+            return res.status(404).json({ success: false, message: 'Message not found' });
+        }
+        if (!inbound.payload) {
+            return res.status(400).json({ success: false, message: 'Message has no media' });
+        }
+
+        // WhatsApp removes old media from its servers; reuploadRequest asks the sender's phone for it again
+        const buffer = await downloadMediaMessage(
+            JSON.parse(inbound.payload, BufferJSON.reviver),
+            'buffer',
+            {},
+            { reuploadRequest: req.sock.updateMediaMessage }
+        );
+
+        // res.attachment encodes names outside Latin-1 as filename*; the type it guesses from
+        // the extension is replaced by the one WhatsApp reported
+        if (inbound.media_file_name) {
+            res.attachment(inbound.media_file_name);
+        }
+        res.set('Content-Type', inbound.media_mimetype || 'application/octet-stream');
+        res.send(buffer);
+    } catch (error) {
+        logger.error('Error in downloadInboundMedia:', { error: error.message, stack: error.stack });
+        const statusCode = error.output?.statusCode;
+        res.status(statusCode >= 400 && statusCode < 500 ? statusCode : 500).json({ success: false, message: 'Failed to download media', error: error.message });
+    }
+};
@@ -0,0 +1,234 @@
+// src/controllers/credits.js
+
+import connectDB from '../db/index.js';
+import { withTransaction } from '../db/transaction.js';
+import { ensureTable } from '../db/schema.js';
+import { logger } from '../logger.js';
+
+// Message credits are kept per subscription in credit_accounts:
+//   balance  - credits free to reserve
+//   reserved - credits held by sends in progress
+//   used     - credits spent on sent messages
+// Every change is also written to credit_ledger. A send reserves what it may use before it
+// starts, then settles the reservation: what went out is debited and the rest refunded.
+// Credits left on an expired subscription are written off with an expiry entry.
+
+// Valid ENUM values for `credit_ledger.entry_type`
+export const CREDIT_ENTRY = {
+    GRANT: 'grant',
+    RESERVE: 'reserve',
+    DEBIT: 'debit',
+    REFUND: 'refund',
+    EXPIRY: 'expiry'
+};
+
+// Function to make sure the credit account, reservation and ledger tables exist
+export const ensureCreditSchema = async () => {
+    await ensureTable('credit_accounts', `
+        subscription_id INT PRIMARY KEY,
+        instance_id VARCHAR(255) NOT NULL,
+        granted INT NOT NULL,
+        balance INT NOT NULL,
+        reserved INT NOT NULL DEFAULT 0,
+        used INT NOT NULL DEFAULT 0,
+        expires_on DATE NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_instance_id (instance_id)
+    `);
+    await ensureTable('credit_reservations', `
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        instance_id VARCHAR(255) NOT NULL,
+        subscription_id INT NOT NULL,
+        amount INT NOT NULL,
+        status ENUM('open', 'settled') NOT NULL DEFAULT 'open',
+        reference VARCHAR(255) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        settled_at TIMESTAMP NULL,
+        INDEX idx_subscription_id (subscription_id),
+        INDEX idx_status (status)
+    `);
+    await ensureTable('credit_ledger', `
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        instance_id VARCHAR(255) NOT NULL,
+        subscription_id INT NOT NULL,
+        entry_type ENUM('grant', 'reserve', 'debit', 'refund', 'expiry') NOT NULL,
+        amount INT NOT NULL,
+        reservation_id INT NULL,
+        reference VARCHAR(255) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_instance_id (instance_id),
+        INDEX idx_subscription_id (subscription_id),
+        INDEX idx_reservation_id (reservation_id)
+    `);
+};
+
+const addLedgerEntry = (connection, account, entryType, amount, reservationId = null, reference = null) => connection.query(
+    'INSERT INTO credit_ledger (instance_id, subscription_id, entry_type, amount, reservation_id, reference) VALUES (?, ?, ?, ?, ?, ?)',
+    [account.instance_id, account.subscription_id, entryType, amount, reservationId, reference]
+);
+
+// Function to open the credit account of a subscription the first time it is used. Messages
+// the instance sent in the subscription period before it had any ledger entries (i.e. before
+// the ledger existed) are debited, so the opening balance matches the old row count.
+const openCreditAccount = async (subscription) => withTransaction(async (connection) => {
+    const [usage] = await connection.query(
+        'SELECT COUNT(*) as count FROM media_messages ' +
+        'WHERE instance_id = ? ' +
+        'AND created_at >= ? ' +
+        'AND created_at <= COALESCE(?, NOW()) ' +
+        'AND created_at >= ? ' +
+        'AND created_at < COALESCE((SELECT MIN(created_at) FROM credit_ledger WHERE instance_id = ?), NOW())',
+        [subscription.instance_id, subscription.date_purchased, subscription.date_expiry, subscription.created_at, subscription.instance_id]
+    );
+    const used = Math.min(usage[0].count, subscription.num_messages);
+
+    const [result] = await connection.query(
+        'INSERT IGNORE INTO credit_accounts (subscription_id, instance_id, granted, balance, used, expires_on) VALUES (?, ?, ?, ?, ?, ?)',
+        [subscription.id, subscription.instance_id, subscription.num_messages, subscription.num_messages - used, used, subscription.date_expiry]
+    );
+    if (result.affectedRows === 0) return;
+
+    const account = { instance_id: subscription.instance_id, subscription_id: subscription.id };
+    await addLedgerEntry(connection, account, CREDIT_ENTRY.GRANT, subscription.num_messages, null, `subscription:${subscription.id}`);
+    if (used > 0) {
+        await addLedgerEntry(connection, account, CREDIT_ENTRY.DEBIT, used, null, 'usage before ledger');
+    }
+    logger.info('Credit account opened:', { instanceId: subscription.instance_id, subscriptionId: subscription.id, granted: subscription.num_messages, used });
+});
+
+// Function to write off the balance left on the instance's expired subscriptions
+export const expireCredits = async (instanceId) => {
+    await ensureCreditSchema();
+    const connection = await connectDB();
+    const [accounts] = await connection.query(
+        'SELECT subscription_id, instance_id FROM credit_accounts WHERE instance_id = ? AND balance > 0 AND expires_on < CURDATE()',
+        [instanceId]
+    );
+
+    for (const account of accounts) {
+        await withTransaction(async (transaction) => {
+            const [rows] = await transaction.query(
+                'SELECT balance FROM credit_accounts WHERE subscription_id = ? FOR UPDATE',
+                [account.subscription_id]
+            );
+            const expired = rows[0]?.balance || 0;
+            if (expired <= 0) return;
+
+            await transaction.query('UPDATE credit_accounts SET balance = 0 WHERE subscription_id = ?', [account.subscription_id]);
+            await addLedgerEntry(transaction, account, CREDIT_ENTRY.EXPIRY, expired);
+            logger.info('Credits expired:', { instanceId, subscriptionId: account.subscription_id, expired });
+        });
+    }
+};
+
+// Function to get the credit account of the instance's active (newest unexpired) subscription,
+// opening it if needed, or null if there is no active subscription
+const getActiveAccount = async (instanceId) => {
+    await ensureCreditSchema();
+    await expireCredits(instanceId);
+    const connection = await connectDB();
+
+    const [subscriptions] = await connection.query(
+        'SELECT s.* FROM subscription s ' +
+        'WHERE s.instance_id = ? ' +
+        'AND s.date_expiry >= CURDATE() ' +
+        'ORDER BY s.created_at DESC, s.id DESC ' +
+        'LIMIT 1',
+        [instanceId]
+    );
+    const subscription = subscriptions[0];
+    if (!subscription) return null;
+
+    await openCreditAccount(subscription);
+    const [accounts] = await connection.query('SELECT * FROM credit_accounts WHERE subscription_id = ?', [subscription.id]);
+    return { subscription, account: accounts[0] };
+};
+
+// Function to get the instance's active subscription and its credits, or null if there is
+// no active subscription. available is what a new send can still reserve.
+export const getCreditBalance = async (instanceId) => {
+    const active = await getActiveAccount(instanceId);
+    if (!active) return null;
+
+    const { subscription, account } = active;
+    return {
+        subscription,
+        granted: account.granted,
+        available: account.balance,
+        reserved: account.reserved,
+        used: account.used
+    };
+};
+
+// Function to hold credits on the active subscription before sending. The balance check and
+// the hold are one conditional update, so concurrent sends cannot overspend. Returns the
+// reservation id, or null if there is no active subscription or not enough credits.
+export const reserveCredits = async (instanceId, amount, reference = null) => {
+    const active = await getActiveAccount(instanceId);
+    if (!active) return null;
+    const { account } = active;
+
+    return withTransaction(async (connection) => {
+        const [result] = await connection.query(
+            'UPDATE credit_accounts SET balance = balance - ?, reserved = reserved + ? WHERE subscription_id = ? AND balance >= ?',
+            [amount, amount, account.subscription_id, amount]
+        );
+        if (result.affectedRows === 0) return null;
+
+        const [reservation] = await connection.query(
+            'INSERT INTO credit_reservations (instance_id, subscription_id, amount, reference) VALUES (?, ?, ?, ?)',
+            [instanceId, account.subscription_id, amount, reference]
+        );
+        await addLedgerEntry(connection, account, CREDIT_ENTRY.RESERVE, amount, reservation.insertId, reference);
+        return reservation.insertId;
+    });
+};
+
+// Function to close a reservation: `used` credits are debited and the rest refunded.
+// Settling an already settled reservation does nothing.
+export const settleReservation = async (reservationId, used) => {
+    await ensureCreditSchema();
+    const settled = await withTransaction(async (connection) => {
+        const [rows] = await connection.query(
+            'SELECT * FROM credit_reservations WHERE id = ? FOR UPDATE',
+            [reservationId]
+        );
+        const reservation = rows[0];
+        if (!reservation || reservation.status !== 'open') return null;
+
+        const debit = Math.min(Math.max(used, 0), reservation.amount);
+        const refund = reservation.amount - debit;
+        await connection.query(
+            'UPDATE credit_accounts SET reserved = reserved - ?, used = used + ?, balance = balance + ? WHERE subscription_id = ?',
+            [reservation.amount, debit, refund, reservation.subscription_id]
+        );
+        if (debit > 0) await addLedgerEntry(connection, reservation, CREDIT_ENTRY.DEBIT, debit, reservation.id, reservation.reference);
+        if (refund > 0) await addLedgerEntry(connection, reservation, CREDIT_ENTRY.REFUND, refund, reservation.id, reservation.reference);
+        await connection.query(
+            'UPDATE credit_reservations SET status = \'settled\', settled_at = NOW() WHERE id = ?',
+            [reservation.id]
+        );
+        return { instanceId: reservation.instance_id, debit, refund };
+    });
+
+    if (!settled) return;
+    logger.info('Credit reservation settled:', { reservationId, ...settled });
+
+    // A refund to a subscription that expired while the send ran is written off straight away
+    if (settled.refund > 0) await expireCredits(settled.instanceId);
+};
+
+// Function to list the ledger entries of the instance's subscriptions, newest first
+export const getCreditLedger = async (instanceId, { subscriptionId, limit = 100, offset = 0 } = {}) => {
+    await ensureCreditSchema();
+    const connection = await connectDB();
+    const [entries] = await connection.query(
+        'SELECT id, subscription_id, entry_type, amount, reservation_id, reference, created_at FROM credit_ledger ' +
+        'WHERE instance_id = ? ' +
+        (subscriptionId ? 'AND subscription_id = ? ' : '') +
+        'ORDER BY id DESC LIMIT ? OFFSET ?',
+        [instanceId, ...(subscriptionId ? [subscriptionId] : []), limit, offset]
+    );
+    return entries;
+};
@@ -0,0 +1,75 @@
+// src/controllers/eventStream.js
+
+import { logger } from '../logger.js';
+import { instances } from './qrcode.js';
+import { onInstanceEvent, INSTANCE_EVENT } from '../utils/events.js';
+
+// Dashboards follow an instance over Server-Sent Events instead of polling: QR codes,
+// connection changes, send job progress, message status changes and inbound messages are
+// pushed as they happen (see utils/events.js). Each SSE message has the event type as its
+// `event` and the whole event ({ id, type, instanceId, createdAt, data }) as JSON `data`.
+
+const STREAM_EVENTS = Object.values(INSTANCE_EVENT);
+
+// Comment lines keep proxies and load balancers from closing an idle stream
+const HEARTBEAT_MS = 25000;
+const RETRY_MS = 5000;
+
+const writeEvent = (res, type, event) => {
+    res.write(`id: ${event.id}\nevent: ${type}\ndata: ${JSON.stringify(event)}\n\n`);
+};
+
+/**
+ * Stream an instance's events over Server-Sent Events. ?events= narrows the stream to a
+ * comma-separated list of event types. The first message is a `ready` event with the
+ * instance's current connection status and QR code, so a dashboard needs no extra request.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const streamInstanceEvents = (req, res) => {
+    const { instanceId } = req.params;
+
+    let types = STREAM_EVENTS;
+    if (req.query.events) {
+        types = String(req.query.events).split(',').map(type => type.trim()).filter(Boolean);
+        const unknown = types.filter(type => !STREAM_EVENTS.includes(type));
+        if (types.length === 0 || unknown.length > 0) {
+            return res.status(400).json({ success: false, message: `events must be a comma-separated list of: ${STREAM_EVENTS.join(', ')}` });
+        }
+    }
+
+    res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    const instance = instances[instanceId];
+    writeEvent(res, 'ready', {
+        id: 'ready',
+        type: 'ready',
+        instanceId: String(instanceId),
+        createdAt: new Date().toISOString(),
+        data: {
+            status: instance?.status || 'disconnected',
+            qrCode: instance?.status !== 'connected' ? instance?.qrCode || null : null,
+            events: types
+        }
+    });
+
+    const stopListening = onInstanceEvent((event) => {
+        if (event.instanceId !== String(instanceId) || !types.includes(event.type)) return;
+        writeEvent(res, event.type, event);
+    });
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+    logger.info('Event stream opened:', { instanceId, userId: req.user.userId, events: types.length });
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        stopListening();
+        logger.info('Event stream closed:', { instanceId, userId: req.user.userId });
+    });
+};
@@ -4,6 +4,7 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
 import { saveCSVDataToDB } from './saveNumbers.js';
+import { registerMedia } from './mediaLibrary.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -40,7 +41,8 @@ export const uploadMedia = async (req, res) => {
         const fileExtension = path.extname(uploadedFile.name).toLowerCase();
         
         // Define allowed extensions for different purposes
-        const whatsappCompatibleExtensions = ['.jpg', '.jpeg', '.png', '.mp4', '.mp3', '.pdf', '.doc', '.docx'];
+        // Audio and video formats WhatsApp can't play are transcoded when they enter the media library
+        const whatsappCompatibleExtensions = ['.jpg', '.jpeg', '.png', '.mp4', '.mov', '.mp3', '.wav', '.ogg', '.m4a', '.pdf', '.doc', '.docx'];
         const dataFileExtensions = ['.xls', '.xlsx', '.csv'];
         const allowedExtensions = [...whatsappCompatibleExtensions, ...dataFileExtensions];
 
@@ -49,28 +51,27 @@ export const uploadMedia = async (req, res) => {
             return res.status(400).json({ message: 'Unsupported file format' });
         }
 
-        // Create a unique filename
-        const uniqueFilename = `${Date.now()}-${uploadedFile.name}`;
-        console.log('Generated filename:', uniqueFilename);
-        
-        // Define the absolute path
-        const uploadPath = path.join(__dirname, '..', '..', 'uploads', 'media', instanceId, uniqueFilename);
-        console.log('Upload path:', uploadPath);
-
         try {
-            // Ensure the directory exists
-            await fs.promises.mkdir(path.dirname(uploadPath), { recursive: true });
-
-            // Move the file to the target location
-            await uploadedFile.mv(uploadPath);
+            // Register the bytes in the instance's media library; identical uploads reuse the same entry
+            const { media, deduplicated } = await registerMedia(instanceId, {
+                data: uploadedFile.data,
+                fileName: uploadedFile.name,
+                mimeType: uploadedFile.mimetype
+            });
+            console.log('Media registered:', { mediaId: media.id, deduplicated });
 
-            // Send success response with file details and compatibility info
+            // Send success response with the media id and compatibility info
             res.status(200).json({ 
                 success: true,
-                message: 'File uploaded successfully',
-                filePath: uploadPath,
+                message: deduplicated ? 'File already in media library' : 'File uploaded successfully',
+                mediaId: media.id,
+                deduplicated,
+                sha256: media.sha256,
                 originalName: uploadedFile.name,
+                mimeType: media.mime_type,
                 size: uploadedFile.size,
+                processingStatus: media.processing_status,
+                processedSize: media.processed_size,
                 isWhatsAppCompatible: whatsappCompatibleExtensions.includes(fileExtension),
                 fileType: fileExtension
             });
@@ -0,0 +1,279 @@
+// src/controllers/groups.js
+
+import connectDB from '../db/index.js';
+import { logger } from '../logger.js';
+import { isGroupJid, isValidGroupJid, toJid, toGroupJid, jidToNumber } from '../utils/jids.js';
+
+// Group management goes through the instance's own socket (req.sock, set by
+// attachWhatsAppInstance), so the instance must be a member (and usually an admin).
+
+const PARTICIPANT_ACTIONS = ['add', 'remove', 'promote', 'demote'];
+const MAX_PARTICIPANTS_PER_REQUEST = 50;
+const SUBJECT_MAX_LENGTH = 100;
+const DESCRIPTION_MAX_LENGTH = 2048;
+const INVITE_LINK_BASE = 'https://chat.whatsapp.com/';
+
+// In group messages, @[Name] mentions a phoneList contact by name and @<number> mentions a number
+const MENTION_PATTERN = /@\[([^\]\n]+)\]|@(\d{6,15})\b/g;
+
+// Function to rewrite the mentions in a group message text to the @<number> form WhatsApp
+// renders, returning the text and the JIDs to tag. Unknown names are left as plain text.
+export const resolveMentions = async (text, instanceId) => {
+    if (!text) return { text, mentions: [] };
+
+    const names = [...new Set([...text.matchAll(MENTION_PATTERN)].filter(match => match[1]).map(match => match[1].trim()))];
+    const numbersByName = new Map();
+    if (names.length > 0) {
+        const connection = await connectDB();
+        const [rows] = await connection.query(
+            'SELECT name, phone_numbers FROM phoneList WHERE instance_id = ? AND name IN (?) ORDER BY id ASC',
+            [instanceId, names]
+        );
+        for (const row of rows) {
+            const key = row.name.trim().toLowerCase();
+            if (!numbersByName.has(key)) numbersByName.set(key, row.phone_numbers.replace(/[^\d]/g, ''));
+        }
+    }
+
+    const mentions = new Set();
+    const resolvedText = text.replace(MENTION_PATTERN, (match, name, number) => {
+        if (number) {
+            mentions.add(toJid(number));
+            return match;
+        }
+
+        const found = numbersByName.get(name.trim().toLowerCase());
+        if (!found) {
+            logger.warn('Mention not found in phoneList:', { name, instanceId });
+            return `@${name.trim()}`;
+        }
+        mentions.add(toJid(found));
+        return `@${found}`;
+    });
+
+    return { text: resolvedText, mentions: [...mentions] };
+};
+
+// Function to add mentions to the text or caption field of message content sent to a group.
+// Content for other recipients is returned unchanged.
+export const addMentions = async (content, field, recipient, instanceId) => {
+    if (!isGroupJid(recipient) || typeof content[field] !== 'string') return content;
+
+    const { text, mentions } = await resolveMentions(content[field], instanceId);
+    return mentions.length > 0 ? { ...content, [field]: text, mentions } : { ...content, [field]: text };
+};
+
+// Shape a Baileys group metadata object for API responses
+const formatGroup = (metadata) => ({
+    id: metadata.id,
+    subject: metadata.subject,
+    description: metadata.desc || null,
+    owner: metadata.owner || null,
+    createdAt: metadata.creation ? new Date(metadata.creation * 1000).toISOString() : null,
+    announce: !!metadata.announce,
+    restrict: !!metadata.restrict,
+    size: metadata.size || metadata.participants.length,
+    participants: metadata.participants.map(participant => ({
+        jid: participant.id,
+        number: jidToNumber(participant.id),
+        admin: participant.admin || null
+    }))
+});
+
+// Validate a list of participant numbers; returns an error message or null
+const validateParticipants = (participants) => {
+    if (!Array.isArray(participants) || participants.length === 0) return 'participants must be a non-empty array of phone numbers';
+    if (participants.length > MAX_PARTICIPANTS_PER_REQUEST) return `At most ${MAX_PARTICIPANTS_PER_REQUEST} participants can be changed at once`;
+
+    const invalid = participants.find(participant => isGroupJid(String(participant)) || String(participant).replace(/[^\d]/g, '').length < 6);
+    if (invalid !== undefined) return `Invalid participant number: ${invalid}`;
+    return null;
+};
+
+// Read and check the group id route parameter; sends a 400 and returns null if it is invalid
+const getGroupJid = (req, res) => {
+    const jid = toGroupJid(req.params.groupId);
+    if (!isValidGroupJid(jid)) {
+        res.status(400).json({ success: false, message: 'Invalid group id' });
+        return null;
+    }
+    return jid;
+};
+
+// Baileys reports WhatsApp's refusals (not an admin, not a member, ...) as Boom errors; keep their status
+const sendGroupError = (res, error, handler, message) => {
+    logger.error(`Error in ${handler}:`, { error: error.message, stack: error.stack });
+    const statusCode = error.output?.statusCode;
+    res.status(statusCode >= 400 && statusCode < 500 ? statusCode : 500).json({ success: false, message, error: error.message });
+};
+
+/**
+ * List the groups the instance has joined, with their participants
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const listGroups = async (req, res) => {
+    try {
+        const groups = Object.values(await req.sock.groupFetchAllParticipating())
+            .map(formatGroup)
+            .sort((a, b) => a.subject.localeCompare(b.subject));
+
+        res.json({ success: true, groups });
+    } catch (error) {
+        sendGroupError(res, error, 'listGroups', 'Failed to fetch groups');
+    }
+};
+
+/**
+ * Get one group with its participants
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getGroup = async (req, res) => {
+    try {
+        const jid = getGroupJid(req, res);
+        if (!jid) return;
+
+        res.json({ success: true, group: formatGroup(await req.sock.groupMetadata(jid)) });
+    } catch (error) {
+        sendGroupError(res, error, 'getGroup', 'Failed to fetch group');
+    }
+};
+
+/**
+ * Create a group with the given subject and participants
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const createGroup = async (req, res) => {
+    try {
+        const { subject, participants, description } = req.body;
+
+        if (typeof subject !== 'string' || !subject.trim() || subject.length > SUBJECT_MAX_LENGTH) {
+            return res.status(400).json({ success: false, message: `subject must be 1-${SUBJECT_MAX_LENGTH} characters` });
+        }
+        if (description !== undefined && (typeof description !== 'string' || description.length > DESCRIPTION_MAX_LENGTH)) {
+            return res.status(400).json({ success: false, message: `description must be a string of at most ${DESCRIPTION_MAX_LENGTH} characters` });
+        }
+        const participantsError = validateParticipants(participants);
+        if (participantsError) {
+            return res.status(400).json({ success: false, message: participantsError });
+        }
+
+        let metadata = await req.sock.groupCreate(subject.trim(), participants.map(toJid));
+        if (description) {
+            await req.sock.groupUpdateDescription(metadata.id, description);
+            metadata = { ...metadata, desc: description };
+        }
+
+        logger.info('Group created:', { instanceId: req.instanceId, groupId: metadata.id });
+        res.status(201).json({ success: true, group: formatGroup(metadata) });
+    } catch (error) {
+        sendGroupError(res, error, 'createGroup', 'Failed to create group');
+    }
+};
+
+/**
+ * Add, remove, promote or demote group participants
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const updateGroupParticipants = async (req, res) => {
+    try {
+        const jid = getGroupJid(req, res);
+        if (!jid) return;
+
+        const { action, participants } = req.body;
+        if (!PARTICIPANT_ACTIONS.includes(action)) {
+            return res.status(400).json({ success: false, message: `action must be one of: ${PARTICIPANT_ACTIONS.join(', ')}` });
+        }
+        const participantsError = validateParticipants(participants);
+        if (participantsError) {
+            return res.status(400).json({ success: false, message: participantsError });
+        }
+
+        // WhatsApp answers per participant, e.g. 403 for a number that only accepts invites
+        const results = (await req.sock.groupParticipantsUpdate(jid, participants.map(toJid), action))
+            .map(result => ({
+                jid: result.jid,
+                number: jidToNumber(result.jid),
+                status: parseInt(result.status),
+                success: result.status === '200'
+            }));
+
+        res.json({
+            success: true,
+            action,
+            updated: results.filter(result => result.success).length,
+            results
+        });
+    } catch (error) {
+        sendGroupError(res, error, 'updateGroupParticipants', 'Failed to update participants');
+    }
+};
+
+/**
+ * Update a group's subject and/or description
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const updateGroup = async (req, res) => {
+    try {
+        const jid = getGroupJid(req, res);
+        if (!jid) return;
+
+        const { subject, description } = req.body;
+        if (subject === undefined && description === undefined) {
+            return res.status(400).json({ success: false, message: 'subject or description is required' });
+        }
+        if (subject !== undefined && (typeof subject !== 'string' || !subject.trim() || subject.length > SUBJECT_MAX_LENGTH)) {
+            return res.status(400).json({ success: false, message: `subject must be 1-${SUBJECT_MAX_LENGTH} characters` });
+        }
+        if (description !== undefined && description !== null && (typeof description !== 'string' || description.length > DESCRIPTION_MAX_LENGTH)) {
+            return res.status(400).json({ success: false, message: `description must be a string of at most ${DESCRIPTION_MAX_LENGTH} characters` });
+        }
+
+        if (subject !== undefined) await req.sock.groupUpdateSubject(jid, subject.trim());
+        // An empty or null description clears it
+        if (description !== undefined) await req.sock.groupUpdateDescription(jid, description || undefined);
+
+        res.json({ success: true, group: formatGroup(await req.sock.groupMetadata(jid)) });
+    } catch (error) {
+        sendGroupError(res, error, 'updateGroup', 'Failed to update group');
+    }
+};
+
+/**
+ * Get a group's invite link
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getGroupInvite = async (req, res) => {
+    try {
+        const jid = getGroupJid(req, res);
+        if (!jid) return;
+
+        const code = await req.sock.groupInviteCode(jid);
+        res.json({ success: true, code, inviteLink: `${INVITE_LINK_BASE}${code}` });
+    } catch (error) {
+        sendGroupError(res, error, 'getGroupInvite', 'Failed to fetch invite link');
+    }
+};
+
+/**
+ * Revoke a group's invite link and return the new one
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const revokeGroupInvite = async (req, res) => {
+    try {
+        const jid = getGroupJid(req, res);
+        if (!jid) return;
+
+        const code = await req.sock.groupRevokeInvite(jid);
+        logger.info('Group invite revoked:', { instanceId: req.instanceId, groupId: jid });
+        res.json({ success: true, code, inviteLink: `${INVITE_LINK_BASE}${code}` });
+    } catch (error) {
+        sendGroupError(res, error, 'revokeGroupInvite', 'Failed to revoke invite link');
+    }
+};
@@ -0,0 +1,317 @@
+// src/controllers/mediaLibrary.js
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import connectDB from '../db/index.js';
+import { ensureTable, ensureColumn } from '../db/schema.js';
+import { logger } from '../logger.js';
+import { ensureTemplateSchema } from './templates.js';
+import { ensureSendJobSchema } from './sendJobs.js';
+import { ensureStatusPostSchema } from './statusPosts.js';
+import { buildMediaPayload } from './messages.js';
+import { processMedia, getProcessingKind } from '../utils/mediaProcessing.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Library files are stored by content hash, so identical uploads share one file
+const MEDIA_ROOT = path.join(__dirname, '..', '..', 'uploads', 'media');
+
+// Function to make sure the media table, its processed-variant columns and the media_id references to it exist
+export const ensureMediaSchema = async () => {
+    await ensureTable('media', `
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        instance_id VARCHAR(255) NOT NULL,
+        sha256 CHAR(64) NOT NULL,
+        file_name VARCHAR(255) NOT NULL,
+        storage_path VARCHAR(1024) NOT NULL,
+        mime_type VARCHAR(255) NOT NULL,
+        size BIGINT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY unique_instance_hash (instance_id, sha256),
+        INDEX idx_instance_id (instance_id)
+    `);
+    await ensureColumn('media_messages', 'media_id', 'INT NULL, ADD INDEX idx_media_id (media_id)');
+
+    // WhatsApp-ready variant made at upload time; 'none' means the file is sent as uploaded
+    await ensureColumn('media', 'processing_status', "ENUM('none', 'ready', 'failed') NOT NULL DEFAULT 'none'");
+    await ensureColumn('media', 'processing_error', 'TEXT NULL');
+    await ensureColumn('media', 'processed_path', 'VARCHAR(1024) NULL');
+    await ensureColumn('media', 'processed_mime_type', 'VARCHAR(255) NULL');
+    await ensureColumn('media', 'processed_size', 'BIGINT NULL');
+    await ensureColumn('media', 'thumbnail_path', 'VARCHAR(1024) NULL');
+    await ensureColumn('media', 'duration_seconds', 'INT NULL');
+    await ensureColumn('media', 'width', 'INT NULL');
+    await ensureColumn('media', 'height', 'INT NULL');
+    await ensureColumn('media', 'waveform', 'TEXT NULL');
+};
+
+// Storage paths stay on the server; clients only ever see the media id
+const formatMedia = ({ storage_path, processed_path, thumbnail_path, waveform, ...media }) => ({
+    ...media,
+    hasThumbnail: !!thumbnail_path,
+    waveform: waveform ? JSON.parse(waveform) : null
+});
+
+// Function to get a media row that belongs to an instance, including its storage path
+export const findMedia = async (instanceId, mediaId) => {
+    await ensureMediaSchema();
+    const connection = await connectDB();
+    const [rows] = await connection.query(
+        'SELECT * FROM media WHERE id = ? AND instance_id = ?',
+        [mediaId, instanceId]
+    );
+    return rows[0] || null;
+};
+
+const findMediaByHash = async (instanceId, sha256) => {
+    const connection = await connectDB();
+    const [rows] = await connection.query(
+        'SELECT * FROM media WHERE instance_id = ? AND sha256 = ?',
+        [instanceId, sha256]
+    );
+    return rows[0] || null;
+};
+
+// Function to add uploaded bytes to an instance's library. Bytes the instance already
+// uploaded are not stored again; the existing row is returned with deduplicated: true.
+export const registerMedia = async (instanceId, { data, fileName, mimeType }) => {
+    await ensureMediaSchema();
+
+    const sha256 = crypto.createHash('sha256').update(data).digest('hex');
+    const existing = await findMediaByHash(instanceId, sha256);
+    if (existing) {
+        logger.info('Media already in library:', { instanceId, mediaId: existing.id, sha256 });
+        return { media: existing, deduplicated: true };
+    }
+
+    const storagePath = path.join(MEDIA_ROOT, instanceId, `${sha256}${path.extname(fileName).toLowerCase()}`);
+    await fs.promises.mkdir(path.dirname(storagePath), { recursive: true });
+    await fs.promises.writeFile(storagePath, data);
+
+    const connection = await connectDB();
+    try {
+        const [result] = await connection.execute(
+            'INSERT INTO media (instance_id, sha256, file_name, storage_path, mime_type, size) VALUES (?, ?, ?, ?, ?, ?)',
+            [instanceId, sha256, fileName, storagePath, mimeType || 'application/octet-stream', data.length]
+        );
+
+        logger.info('Media added to library:', { instanceId, mediaId: result.insertId, sha256, size: data.length });
+        await processLibraryMedia(instanceId, result.insertId, storagePath, fileName);
+        return { media: await findMedia(instanceId, result.insertId), deduplicated: false };
+    } catch (error) {
+        // Two uploads of the same bytes raced; the other one registered the row first
+        if (error.code === 'ER_DUP_ENTRY') {
+            return { media: await findMediaByHash(instanceId, sha256), deduplicated: true };
+        }
+        throw error;
+    }
+};
+
+// Transcode a new library file and record the variant. A failure is stored on the row
+// and the original is sent instead, so an odd file never blocks the upload.
+const processLibraryMedia = async (instanceId, mediaId, storagePath, fileName) => {
+    if (!getProcessingKind(fileName)) return;
+
+    const connection = await connectDB();
+    try {
+        const processed = await processMedia(storagePath, fileName);
+        await connection.execute(
+            'UPDATE media SET processing_status = \'ready\', processing_error = NULL, processed_path = ?, processed_mime_type = ?, ' +
+            'processed_size = ?, thumbnail_path = ?, duration_seconds = ?, width = ?, height = ?, waveform = ? WHERE id = ?',
+            [
+                processed.processedPath,
+                processed.mimeType,
+                processed.size,
+                processed.thumbnailPath || null,
+                processed.duration ?? null,
+                processed.width ?? null,
+                processed.height ?? null,
+                processed.waveform ? JSON.stringify(processed.waveform) : null,
+                mediaId
+            ]
+        );
+        logger.info('Media processed:', { instanceId, mediaId, kind: processed.kind, size: processed.size });
+    } catch (error) {
+        logger.error('Media processing failed, the original will be sent:', { instanceId, mediaId, error: error.message });
+        await connection.execute(
+            'UPDATE media SET processing_status = \'failed\', processing_error = ? WHERE id = ?',
+            [error.message, mediaId]
+        );
+    }
+};
+
+// Function to build the Baileys payload for a library item, using the processed variant when there
+// is one: voice notes get ptt, duration and waveform, images and videos get their thumbnail
+export const buildLibraryMediaPayload = async (media, caption, { asSticker = false } = {}) => {
+    // Stickers are converted from the original so they keep their transparency
+    if (asSticker || media.processing_status !== 'ready') {
+        return buildMediaPayload(media.storage_path, caption, { asSticker, fileName: media.file_name });
+    }
+
+    const mediaPayload = await buildMediaPayload(media.processed_path, caption, { fileName: media.file_name });
+    mediaPayload.mimetype = media.processed_mime_type;
+
+    if (mediaPayload.audio) {
+        mediaPayload.ptt = true;
+        mediaPayload.seconds = media.duration_seconds || undefined;
+        if (media.waveform) mediaPayload.waveform = new Uint8Array(JSON.parse(media.waveform));
+        delete mediaPayload.caption;
+    }
+
+    if (media.thumbnail_path && fs.existsSync(media.thumbnail_path)) {
+        mediaPayload.jpegThumbnail = (await fs.promises.readFile(media.thumbnail_path)).toString('base64');
+    }
+
+    return mediaPayload;
+};
+
+// Count what still needs a media row: pending messages, templates and unfinished send jobs
+const getMediaReferences = async (instanceId, mediaId) => {
+    await ensureTemplateSchema();
+    await ensureSendJobSchema();
+    await ensureStatusPostSchema();
+    const connection = await connectDB();
+
+    const [[messages]] = await connection.query(
+        'SELECT COUNT(*) as count FROM media_messages WHERE instance_id = ? AND media_id = ? AND message_status = \'pending\'',
+        [instanceId, mediaId]
+    );
+    const [[templates]] = await connection.query(
+        'SELECT COUNT(*) as count FROM message_templates WHERE instance_id = ? AND media_id = ?',
+        [instanceId, mediaId]
+    );
+    const [[jobs]] = await connection.query(
+        'SELECT COUNT(*) as count FROM send_jobs ' +
+        'WHERE instance_id = ? AND status IN (\'queued\', \'running\', \'paused\') ' +
+        'AND (JSON_EXTRACT(payload, \'$.mediaId\') = ? ' +
+        'OR JSON_CONTAINS(JSON_EXTRACT(payload, \'$.messages[*].attachments[*].mediaId\'), ?))',
+        [instanceId, parseInt(mediaId), String(parseInt(mediaId))]
+    );
+    const [[statusPosts]] = await connection.query(
+        'SELECT COUNT(*) as count FROM status_posts WHERE instance_id = ? AND media_id = ? AND status = \'pending\'',
+        [instanceId, mediaId]
+    );
+
+    return {
+        pendingMessages: parseInt(messages.count) || 0,
+        templates: parseInt(templates.count) || 0,
+        activeJobs: parseInt(jobs.count) || 0,
+        scheduledStatusPosts: parseInt(statusPosts.count) || 0
+    };
+};
+
+/**
+ * List the media library of an instance
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const listMedia = async (req, res) => {
+    try {
+        const { instanceId } = req.params;
+        const { limit = 100, offset = 0 } = req.query;
+
+        await ensureMediaSchema();
+        const connection = await connectDB();
+        const [rows] = await connection.query(
+            'SELECT * FROM media WHERE instance_id = ? ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?',
+            [instanceId, parseInt(limit), parseInt(offset)]
+        );
+        const [[{ total }]] = await connection.query(
+            'SELECT COUNT(*) as total FROM media WHERE instance_id = ?',
+            [instanceId]
+        );
+
+        res.json({
+            success: true,
+            media: rows.map(formatMedia),
+            pagination: {
+                total,
+                limit: parseInt(limit),
+                offset: parseInt(offset),
+                hasMore: total > parseInt(offset) + parseInt(limit)
+            }
+        });
+    } catch (error) {
+        logger.error('Error in listMedia:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch media', error: error.message });
+    }
+};
+
+/**
+ * Get one media item with usage counts
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getMedia = async (req, res) => {
+    try {
+        const { instanceId, mediaId } = req.params;
+
+        const media = await findMedia(instanceId, mediaId);
+        if (!media) {
+            return res.status(404).json({ success: false, message: 'Media not found' });
+        }
+
+        const connection = await connectDB();
+        const [[usage]] = await connection.query(
+            'SELECT COUNT(*) as total, SUM(CASE WHEN message_status IN (\'sent\', \'delivered\', \'read\') THEN 1 ELSE 0 END) as sent ' +
+            'FROM media_messages WHERE instance_id = ? AND media_id = ?',
+            [instanceId, mediaId]
+        );
+
+        res.json({
+            success: true,
+            media: formatMedia(media),
+            fileExists: fs.existsSync(media.storage_path),
+            usage: {
+                messages: parseInt(usage.total) || 0,
+                sent: parseInt(usage.sent) || 0,
+                ...(await getMediaReferences(instanceId, mediaId))
+            }
+        });
+    } catch (error) {
+        logger.error('Error in getMedia:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch media', error: error.message });
+    }
+};
+
+/**
+ * Delete a media item and its file, unless pending messages, templates, send jobs or scheduled status posts still use it
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const deleteMedia = async (req, res) => {
+    try {
+        const { instanceId, mediaId } = req.params;
+
+        const media = await findMedia(instanceId, mediaId);
+        if (!media) {
+            return res.status(404).json({ success: false, message: 'Media not found' });
+        }
+
+        const references = await getMediaReferences(instanceId, mediaId);
+        if (Object.values(references).some(count => count > 0)) {
+            return res.status(409).json({
+                success: false,
+                message: 'Media is still used by pending messages, templates, send jobs or scheduled status posts',
+                references
+            });
+        }
+
+        const connection = await connectDB();
+        await connection.execute('DELETE FROM media WHERE id = ? AND instance_id = ?', [mediaId, instanceId]);
+        for (const filePath of [media.storage_path, media.processed_path, media.thumbnail_path].filter(Boolean)) {
+            await fs.promises.unlink(filePath).catch((error) => {
+                logger.warn('Media file could not be removed:', { mediaId, filePath, error: error.message });
+            });
+        }
+
+        logger.info('Media deleted:', { instanceId, mediaId });
+        res.json({ success: true, message: 'Media deleted' });
+    } catch (error) {
+        logger.error('Error in deleteMedia:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete media', error: error.message });
+    }
+};
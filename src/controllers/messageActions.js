@@ -0,0 +1,369 @@
+// src/controllers/messageActions.js
+
+import connectDB from '../db/index.js';
+import { ensureTable, ensureColumn } from '../db/schema.js';
+import { logger } from '../logger.js';
+import { instances } from './qrcode.js';
+import { replacePlaceholders, ensureMessageTypeSchema, ensureAttachmentSchema } from './messages.js';
+import { addMentions } from './groups.js';
+import { findCampaign } from './campaigns.js';
+import { getPacingDelay, ensureThrottleSchema } from './throttle.js';
+import { toJid } from '../utils/jids.js';
+
+// Edits, revokes (delete for everyone) and reactions on messages we already sent.
+// Each one goes out as a new WhatsApp message pointing at the stored whatsapp_message_id;
+// the outcome is written to message_actions and the latest state onto the media_messages row.
+
+const ACTIONS = {
+    EDIT: 'edit',
+    REVOKE: 'revoke',
+    REACT: 'react'
+};
+
+// WhatsApp only accepts edits for 15 minutes and revokes for about two and a half days
+const EDIT_WINDOW_MS = 15 * 60 * 1000;
+const REVOKE_WINDOW_MS = 60 * 60 * 60 * 1000;
+const TEXT_MAX_LENGTH = 4096;
+
+// Only text and captions can be edited
+const EDITABLE_TYPES = ['text', 'image', 'video', 'document'];
+
+// Campaigns whose messages are being revoked by this process
+const activeCampaignRevokes = new Set();
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Function to make sure the action log and the media_messages action columns exist
+export const ensureMessageActionSchema = async () => {
+    await ensureTable('message_actions', `
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        message_id INT NOT NULL,
+        instance_id VARCHAR(255) NOT NULL,
+        action ENUM('edit', 'revoke', 'react') NOT NULL,
+        detail TEXT NULL,
+        success BOOLEAN NOT NULL,
+        error TEXT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_message_id (message_id)
+    `);
+    await ensureColumn('media_messages', 'edited_at', 'TIMESTAMP NULL');
+    await ensureColumn('media_messages', 'original_message', 'TEXT NULL');
+    await ensureColumn('media_messages', 'revoked_at', 'TIMESTAMP NULL');
+    await ensureColumn('media_messages', 'reaction', 'VARCHAR(32) NULL');
+    await ensureMessageTypeSchema();
+    await ensureAttachmentSchema();
+    await ensureThrottleSchema();
+};
+
+const findMessage = async (instanceId, messageId) => {
+    await ensureMessageActionSchema();
+    const connection = await connectDB();
+    const [rows] = await connection.query(
+        'SELECT * FROM media_messages WHERE id = ? AND instance_id = ?',
+        [messageId, instanceId]
+    );
+    return rows[0] || null;
+};
+
+const logAction = async (message, action, detail, error = null) => {
+    const connection = await connectDB();
+    await connection.execute(
+        'INSERT INTO message_actions (message_id, instance_id, action, detail, success, error) VALUES (?, ?, ?, ?, ?, ?)',
+        [message.id, message.instance_id, action, detail, !error, error ? error.message : null]
+    );
+};
+
+// The key WhatsApp uses to point at one of our sent messages
+const getMessageKey = (message) => ({
+    remoteJid: toJid(message.recipient),
+    id: message.whatsapp_message_id,
+    fromMe: true
+});
+
+// The keys of every WhatsApp message a row went out as: a message with media, text and a
+// location or contact card was sent in parts, each with its own id
+const getPartKeys = (message) => {
+    const ids = message.part_whatsapp_ids ? JSON.parse(message.part_whatsapp_ids) : [message.whatsapp_message_id];
+    return ids.map(id => ({ ...getMessageKey(message), id }));
+};
+
+// Function to check that an action can be applied to a message; returns an error message or null
+const checkActionable = (message, action) => {
+    if (!message.whatsapp_message_id) return 'Message has no WhatsApp message id; it was not sent or is an album';
+    if (message.revoked_at) return 'Message has been deleted for everyone';
+    if (action === ACTIONS.REACT) return null;
+
+    const age = Date.now() - new Date(message.sent_at || message.created_at).getTime();
+    if (action === ACTIONS.EDIT) {
+        if (message.message_type && !EDITABLE_TYPES.includes(message.message_type)) return `${message.message_type} messages cannot be edited`;
+        if (age > EDIT_WINDOW_MS) return 'Messages can only be edited within 15 minutes of sending';
+    }
+    if (action === ACTIONS.REVOKE && age > REVOKE_WINDOW_MS) return 'Messages can only be deleted for everyone within about 60 hours of sending';
+    return null;
+};
+
+// Function to delete one message, with all of its parts, for everyone and record it; throws if WhatsApp refuses
+const revokeMessage = async (sock, message) => {
+    const connection = await connectDB();
+    try {
+        for (const key of getPartKeys(message)) {
+            await sock.sendMessage(toJid(message.recipient), { delete: key });
+        }
+        await connection.execute('UPDATE media_messages SET revoked_at = NOW() WHERE id = ?', [message.id]);
+        await logAction(message, ACTIONS.REVOKE, null);
+    } catch (error) {
+        await logAction(message, ACTIONS.REVOKE, null, error);
+        throw error;
+    }
+};
+
+// Attachments of a message are revoked with it; returns the ones that could not be
+const revokeAttachments = async (sock, message) => {
+    const connection = await connectDB();
+    const [attachments] = await connection.query(
+        'SELECT * FROM media_messages WHERE parent_message_id = ? AND whatsapp_message_id IS NOT NULL AND revoked_at IS NULL',
+        [message.id]
+    );
+
+    const failed = [];
+    for (const attachment of attachments) {
+        try {
+            await revokeMessage(sock, attachment);
+        } catch (error) {
+            logger.error(`Failed to revoke attachment ${attachment.id} of message ${message.id}:`, error.message);
+            failed.push(attachment.id);
+        }
+    }
+    return failed;
+};
+
+const formatActionResult = (message) => ({
+    id: message.id,
+    recipient: message.recipient,
+    message: message.message,
+    originalMessage: message.original_message,
+    editedAt: message.edited_at,
+    revokedAt: message.revoked_at,
+    reaction: message.reaction
+});
+
+// Baileys reports WhatsApp's refusals as Boom errors; keep client errors' status
+const sendActionError = (res, error, handler, message) => {
+    logger.error(`Error in ${handler}:`, { error: error.message, stack: error.stack });
+    const statusCode = error.output?.statusCode;
+    res.status(statusCode >= 400 && statusCode < 500 ? statusCode : 500).json({ success: false, message, error: error.message });
+};
+
+/**
+ * Edit the text (or caption) of a sent message
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const editMessage = async (req, res) => {
+    try {
+        const { instanceId, messageId } = req.params;
+        const { text } = req.body;
+
+        if (typeof text !== 'string' || !text.trim() || text.length > TEXT_MAX_LENGTH) {
+            return res.status(400).json({ success: false, message: `text must be 1-${TEXT_MAX_LENGTH} characters` });
+        }
+
+        const message = await findMessage(instanceId, messageId);
+        if (!message) {
+            return res.status(404).json({ success: false, message: 'Message not found' });
+        }
+        const notActionable = checkActionable(message, ACTIONS.EDIT);
+        if (notActionable) {
+            return res.status(409).json({ success: false, message: notActionable });
+        }
+
+        // The new text is rendered for the recipient like the original was
+        const renderedText = await replacePlaceholders(text, message.recipient, instanceId);
+        const content = await addMentions({ text: renderedText }, 'text', message.recipient, instanceId);
+        try {
+            await req.sock.sendMessage(toJid(message.recipient), { ...content, edit: getMessageKey(message) });
+        } catch (error) {
+            await logAction(message, ACTIONS.EDIT, renderedText, error);
+            throw error;
+        }
+
+        // The stored id is the text's when the row has one, else the media's with its caption.
+        // The first edit keeps what was originally sent.
+        const column = message.message ? 'message' : 'caption';
+        const connection = await connectDB();
+        await connection.execute(
+            `UPDATE media_messages SET original_message = COALESCE(original_message, ${column}), ${column} = ?, edited_at = NOW() WHERE id = ?`,
+            [renderedText, message.id]
+        );
+        await logAction(message, ACTIONS.EDIT, renderedText);
+
+        res.json({ success: true, message: formatActionResult(await findMessage(instanceId, messageId)) });
+    } catch (error) {
+        sendActionError(res, error, 'editMessage', 'Failed to edit message');
+    }
+};
+
+/**
+ * Delete a sent message (and its attachments) for everyone
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const revokeSentMessage = async (req, res) => {
+    try {
+        const { instanceId, messageId } = req.params;
+
+        const message = await findMessage(instanceId, messageId);
+        if (!message) {
+            return res.status(404).json({ success: false, message: 'Message not found' });
+        }
+
+        // An album has no WhatsApp message of its own, only its attachments
+        const isAlbum = !message.whatsapp_message_id && message.message_type === 'album';
+        if (!isAlbum) {
+            const notActionable = checkActionable(message, ACTIONS.REVOKE);
+            if (notActionable) {
+                return res.status(409).json({ success: false, message: notActionable });
+            }
+            await revokeMessage(req.sock, message);
+        }
+
+        const failedAttachments = await revokeAttachments(req.sock, message);
+        if (isAlbum && failedAttachments.length === 0) {
+            const connection = await connectDB();
+            await connection.execute('UPDATE media_messages SET revoked_at = NOW() WHERE id = ?', [message.id]);
+        }
+
+        res.json({
+            success: failedAttachments.length === 0,
+            message: formatActionResult(await findMessage(instanceId, messageId)),
+            failedAttachments
+        });
+    } catch (error) {
+        sendActionError(res, error, 'revokeSentMessage', 'Failed to delete message');
+    }
+};
+
+/**
+ * Add a reaction to a sent message, or remove it with an empty emoji
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const reactToMessage = async (req, res) => {
+    try {
+        const { instanceId, messageId } = req.params;
+        const emoji = req.body.emoji ?? '';
+
+        // A reaction is a single emoji, possibly several code points long
+        if (typeof emoji !== 'string' || emoji.length > 32 || /[\p{L}\p{N}\s]/u.test(emoji)) {
+            return res.status(400).json({ success: false, message: 'emoji must be a single emoji, or empty to remove the reaction' });
+        }
+
+        const message = await findMessage(instanceId, messageId);
+        if (!message) {
+            return res.status(404).json({ success: false, message: 'Message not found' });
+        }
+        const notActionable = checkActionable(message, ACTIONS.REACT);
+        if (notActionable) {
+            return res.status(409).json({ success: false, message: notActionable });
+        }
+
+        try {
+            await req.sock.sendMessage(toJid(message.recipient), { react: { text: emoji, key: getMessageKey(message) } });
+        } catch (error) {
+            await logAction(message, ACTIONS.REACT, emoji, error);
+            throw error;
+        }
+
+        const connection = await connectDB();
+        await connection.execute('UPDATE media_messages SET reaction = ? WHERE id = ?', [emoji || null, message.id]);
+        await logAction(message, ACTIONS.REACT, emoji);
+
+        res.json({ success: true, message: formatActionResult(await findMessage(instanceId, messageId)) });
+    } catch (error) {
+        sendActionError(res, error, 'reactToMessage', 'Failed to react to message');
+    }
+};
+
+// Function to revoke a campaign's messages one by one, paced like normal sends
+const runCampaignRevoke = async (instanceId, campaignId, messages) => {
+    activeCampaignRevokes.add(campaignId);
+    let revoked = 0;
+    let failed = 0;
+
+    try {
+        for (const message of messages) {
+            const sock = instances[instanceId]?.sock;
+            if (!sock || instances[instanceId].status !== 'connected') {
+                logger.error(`Campaign ${campaignId} revoke stopped: instance ${instanceId} disconnected`);
+                break;
+            }
+
+            try {
+                await revokeMessage(sock, message);
+                revoked++;
+            } catch (error) {
+                logger.error(`Failed to revoke message ${message.id} of campaign ${campaignId}:`, error.message);
+                failed++;
+            }
+            await sleep(await getPacingDelay(instanceId));
+        }
+    } finally {
+        activeCampaignRevokes.delete(campaignId);
+        logger.info(`Campaign ${campaignId} revoke finished:`, { instanceId, revoked, failed, total: messages.length });
+    }
+};
+
+/**
+ * Delete every message of a campaign that can still be deleted for everyone.
+ * Runs in the background; each row's revoked_at shows the progress.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const revokeCampaignMessages = async (req, res) => {
+    try {
+        const { instanceId, campaignId } = req.params;
+
+        const campaign = await findCampaign(instanceId, campaignId);
+        if (!campaign) {
+            return res.status(404).json({ success: false, message: 'Campaign not found' });
+        }
+        if (activeCampaignRevokes.has(campaign.id)) {
+            return res.status(409).json({ success: false, message: 'This campaign is already being deleted' });
+        }
+
+        // Attachment rows carry the campaign too, so they are picked up here
+        await ensureMessageActionSchema();
+        const connection = await connectDB();
+        const [messages] = await connection.query(
+            'SELECT * FROM media_messages ' +
+            'WHERE instance_id = ? AND campaign_id = ? AND whatsapp_message_id IS NOT NULL AND revoked_at IS NULL ' +
+            'AND COALESCE(sent_at, created_at) >= NOW() - INTERVAL ? SECOND ' +
+            'ORDER BY id ASC',
+            [instanceId, campaign.id, REVOKE_WINDOW_MS / 1000]
+        );
+        const [[{ expired }]] = await connection.query(
+            'SELECT COUNT(*) as expired FROM media_messages ' +
+            'WHERE instance_id = ? AND campaign_id = ? AND whatsapp_message_id IS NOT NULL AND revoked_at IS NULL ' +
+            'AND COALESCE(sent_at, created_at) < NOW() - INTERVAL ? SECOND',
+            [instanceId, campaign.id, REVOKE_WINDOW_MS / 1000]
+        );
+
+        if (messages.length > 0) {
+            runCampaignRevoke(instanceId, campaign.id, messages).catch(error => {
+                logger.error(`Unhandled error revoking campaign ${campaign.id}:`, { error: error.message, stack: error.stack });
+            });
+        }
+
+        res.status(202).json({
+            success: true,
+            message: `Deleting ${messages.length} messages for everyone`,
+            campaignId: campaign.id,
+            queued: messages.length,
+            // Too old to delete for everyone any more
+            expired: parseInt(expired) || 0
+        });
+    } catch (error) {
+        logger.error('Error in revokeCampaignMessages:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete campaign messages', error: error.message });
+    }
+};
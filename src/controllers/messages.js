@@ -4,6 +4,32 @@ import connectDB from '../db/index.js';
 import fs from 'fs';
 import path from 'path';
 import { logger } from '../logger.js';
+import { renderTemplate } from '../utils/placeholders.js';
+import { spinText, countVariants, sampleVariants } from '../utils/spintax.js';
+import { createSendJob, startSendJob } from './sendJobs.js';
+import { resolveCampaign, CAMPAIGN_SOURCE } from './campaigns.js';
+import { findTemplate } from './templates.js';
+import { findMedia, buildLibraryMediaPayload } from './mediaLibrary.js';
+import { ensureThrottleSchema, waitForSendSlot, getPacingDelay } from './throttle.js';
+import { checkSendWindow } from './sendWindows.js';
+import { addMentions } from './groups.js';
+import { filterUnverifiedRecipients, SKIP_NUMBERS } from './numberChecks.js';
+import { getCreditBalance, reserveCredits, settleReservation } from './credits.js';
+import { isSuppressed, filterSuppressedRecipients } from './suppression.js';
+import { toJid, isValidRecipient } from '../utils/jids.js';
+import { ensureColumn } from '../db/schema.js';
+import sharp from 'sharp';
+import {
+    validateInteractive,
+    validateLocation,
+    validateContact,
+    buildVCard,
+    getVCardName,
+    getStructuredPayload,
+    buildStructuredContent,
+    usesTextAsBody,
+    sendContent
+} from '../utils/messageContent.js';
 
 // Function to format the scheduled time
 const formatScheduledAt = (scheduledAt) => {
@@ -24,33 +50,256 @@ const formatScheduledAt = (scheduledAt) => {
     return `${year}-${month}-${day}T${hours}:${minutes}`;
 };
 
-// Function to replace placeholders with actual values from recipient data
-const replacePlaceholders = async (text, phoneNumber, instanceId) => {
-    if (!text || !phoneNumber || !instanceId) return text;
-    
-    try {
+// Function to make sure media_messages records what kind of message each row is.
+// message_type is text, image, video, audio, document, sticker, buttons, list, poll,
+// location or contact; payload holds the JSON structure of the non-file kinds.
+export const ensureMessageTypeSchema = async () => {
+    await ensureColumn('media_messages', 'message_type', 'VARCHAR(32) NULL, ADD INDEX idx_message_type (message_type)');
+    await ensureColumn('media_messages', 'payload', 'TEXT NULL');
+};
+
+// Function to make sure attachment rows can point at the logical message they belong to
+export const ensureAttachmentSchema = () => (
+    ensureColumn('media_messages', 'parent_message_id', 'INT NULL, ADD INDEX idx_parent_message_id (parent_message_id)')
+);
+
+// Function to make sure a message sent as several WhatsApp messages (media, text, location or
+// contact card) records the id of each part; whatsapp_message_id only holds the last one
+export const ensurePartIdsSchema = () => (
+    ensureColumn('media_messages', 'part_whatsapp_ids', 'TEXT NULL')
+);
+
+// Function to make sure a message can record the message it replies to: our own row
+// (quoted_message_id) and/or the WhatsApp id, plus the sender within a group
+export const ensureQuoteSchema = async () => {
+    await ensureColumn('media_messages', 'quoted_message_id', 'INT NULL, ADD INDEX idx_quoted_message_id (quoted_message_id)');
+    await ensureColumn('media_messages', 'quoted_whatsapp_id', 'VARCHAR(255) NULL, ADD INDEX idx_quoted_whatsapp_id (quoted_whatsapp_id)');
+    await ensureColumn('media_messages', 'quoted_participant', 'VARCHAR(255) NULL');
+};
+
+// Function to check a message's quote: a reply to one of our sent media_messages rows
+// ({ messageId }) or to an inbound message ({ key: { id, participant }, text }).
+// Throws with a client-facing message if it is invalid; replaces quote with the resolved one.
+export const prepareQuote = async (instanceId, message) => {
+    if (message.quote === undefined || message.quote === null) return message;
+
+    const { quote } = message;
+    if (typeof quote !== 'object' || Array.isArray(quote)) throw new Error('quote must be an object');
+    const chatJid = toJid(message.number);
+
+    if (quote.messageId !== undefined) {
         const connection = await connectDB();
-        const cleanPhoneNumber = phoneNumber.replace(/^\+/, '').trim();
-        
-        // Get recipient data from phoneList table
         const [rows] = await connection.query(
-            'SELECT * FROM phoneList WHERE phone_numbers = ? AND instance_id = ?',
-            [cleanPhoneNumber, instanceId]
+            'SELECT id, recipient, message, caption, whatsapp_message_id FROM media_messages WHERE id = ? AND instance_id = ?',
+            [quote.messageId, instanceId]
         );
-        
-        if (rows.length === 0) {
-            logger.warn(`No data found for phone number: ${phoneNumber}`);
-            return text;
+        const quoted = rows[0];
+        if (!quoted) throw new Error(`Quoted message ${quote.messageId} not found`);
+        if (!quoted.whatsapp_message_id) throw new Error(`Quoted message ${quote.messageId} has not been sent`);
+        if (toJid(quoted.recipient) !== chatJid) throw new Error(`Quoted message ${quote.messageId} was sent to a different chat`);
+
+        message.quote = {
+            messageId: quoted.id,
+            key: { remoteJid: chatJid, id: quoted.whatsapp_message_id, fromMe: true },
+            text: quoted.message || quoted.caption || ''
+        };
+        return message;
+    }
+
+    const { key, text } = quote;
+    if (!key || typeof key.id !== 'string' || !key.id.trim()) throw new Error('quote needs a messageId or a key with an id');
+    if (key.remoteJid !== undefined && key.remoteJid !== chatJid) throw new Error('quote.key.remoteJid must be the chat being replied to');
+    if (key.participant !== undefined && typeof key.participant !== 'string') throw new Error('quote.key.participant must be a JID');
+    if (text !== undefined && typeof text !== 'string') throw new Error('quote.text must be a string');
+
+    message.quote = {
+        messageId: null,
+        key: {
+            remoteJid: chatJid,
+            id: key.id.trim(),
+            fromMe: !!key.fromMe,
+            ...(key.participant ? { participant: key.participant } : {})
+        },
+        text: text || ''
+    };
+    return message;
+};
+
+// Function to rebuild the quote of a stored media_messages row (e.g. a deferred reply), or null
+export const loadStoredQuote = async (row) => {
+    if (!row.quoted_whatsapp_id) return null;
+
+    let text = '';
+    if (row.quoted_message_id) {
+        const connection = await connectDB();
+        const [rows] = await connection.query('SELECT message, caption FROM media_messages WHERE id = ?', [row.quoted_message_id]);
+        text = rows[0] ? rows[0].message || rows[0].caption || '' : '';
+    }
+
+    return {
+        messageId: row.quoted_message_id,
+        key: {
+            remoteJid: toJid(row.recipient),
+            id: row.quoted_whatsapp_id,
+            fromMe: !!row.quoted_message_id,
+            ...(row.quoted_participant ? { participant: row.quoted_participant } : {})
+        },
+        text
+    };
+};
+
+// Function to build the Baileys `quoted` send option for a resolved quote
+export const buildQuotedMessage = (quote) => ({
+    key: quote.key,
+    message: { conversation: quote.text }
+});
+
+const MAX_ATTACHMENTS = 10;
+
+// Function to check a message's ordered attachment list ([{ mediaId, caption }]) against
+// the instance's media library. Throws with a client-facing message if it is invalid.
+export const prepareAttachments = async (instanceId, message, mediaCache = new Map()) => {
+    if (message.attachments === undefined || message.attachments === null) return message;
+
+    const { attachments } = message;
+    if (!Array.isArray(attachments) || attachments.length === 0) {
+        throw new Error('attachments must be a non-empty array');
+    }
+    if (attachments.length > MAX_ATTACHMENTS) {
+        throw new Error(`At most ${MAX_ATTACHMENTS} attachments can be sent in a message`);
+    }
+
+    for (const [index, attachment] of attachments.entries()) {
+        if (!attachment?.mediaId) throw new Error(`attachments[${index}].mediaId is required`);
+        if (attachment.caption !== undefined && attachment.caption !== null && typeof attachment.caption !== 'string') {
+            throw new Error(`attachments[${index}].caption must be a string`);
         }
-        
-        // Replace placeholders with database values
-        return text.replace(/\{\{(\w+)\}\}/g, (match, field) => {
-            if (rows[0][field] !== undefined) {
-                return rows[0][field];
-            }
-            return match;
-        });
-        
+
+        if (!mediaCache.has(String(attachment.mediaId))) {
+            mediaCache.set(String(attachment.mediaId), await findMedia(instanceId, attachment.mediaId));
+        }
+        if (!mediaCache.get(String(attachment.mediaId))) {
+            throw new Error(`attachments[${index}]: Media ${attachment.mediaId} not found`);
+        }
+    }
+
+    message.attachments = attachments.map(({ mediaId, caption }) => ({ mediaId: parseInt(mediaId), caption: caption || null }));
+    return message;
+};
+
+// Function to load the library rows and Baileys payloads of every attachment used by a set of messages,
+// keyed by media id, so each file is read once per send rather than once per recipient
+export const loadAttachmentPayloads = async (instanceId, messages) => {
+    const payloads = new Map();
+    for (const { attachments = [] } of messages) {
+        for (const { mediaId } of attachments || []) {
+            if (payloads.has(mediaId)) continue;
+
+            const media = await findMedia(instanceId, mediaId);
+            if (!media) throw new Error(`Media ${mediaId} not found`);
+            payloads.set(mediaId, { media, mediaPayload: await buildLibraryMediaPayload(media, '') });
+        }
+    }
+    return payloads;
+};
+
+// Function to work out the message_type of a send from its structured payload or media
+export const getMessageType = (mediaPayload, structured) => {
+    if (structured) return structured.type;
+    if (mediaPayload) return ['image', 'video', 'audio', 'document', 'sticker'].find(type => mediaPayload[type]) || 'document';
+    return 'text';
+};
+
+// Function to turn a contact request into the stored { contacts: [{ name, vcard }] } form,
+// reading phoneList rows of the instance when ids are given. Throws if a row is missing.
+export const resolveContact = async (instanceId, contact) => {
+    if (contact.vcard) {
+        return { contacts: [{ name: getVCardName(contact.vcard), vcard: contact.vcard.trim() }] };
+    }
+
+    if (contact.phoneListIds === undefined && contact.phoneListId === undefined) {
+        return { contacts: [{ name: contact.name.trim(), vcard: buildVCard(contact) }] };
+    }
+
+    const ids = (contact.phoneListIds ?? [contact.phoneListId]).map(id => parseInt(id));
+    const connection = await connectDB();
+    const [rows] = await connection.query(
+        'SELECT id, name, phone_numbers FROM phoneList WHERE id IN (?) AND instance_id = ?',
+        [ids, instanceId]
+    );
+
+    const missing = ids.filter(id => !rows.some(row => row.id === id));
+    if (missing.length > 0) {
+        throw new Error(`phoneList rows not found: ${missing.join(', ')}`);
+    }
+
+    return {
+        contacts: ids.map(id => rows.find(row => row.id === id)).map(row => ({
+            name: row.name || row.phone_numbers,
+            vcard: buildVCard({ name: row.name || row.phone_numbers, number: row.phone_numbers })
+        }))
+    };
+};
+
+// Function to check the structured part (interactive, location or contact) of one message
+// and resolve contact cards in place. Throws with a client-facing message if it is invalid.
+export const prepareStructuredMessage = async (instanceId, message, contactCache = new Map()) => {
+    const kinds = ['interactive', 'location', 'contact'].filter(kind => message[kind]);
+    if (kinds.length > 1) {
+        throw new Error(`Only one of ${kinds.join(', ')} can be sent in a message`);
+    }
+
+    if (message.interactive) {
+        const interactiveError = validateInteractive(message.interactive, message.text);
+        if (interactiveError) throw new Error(interactiveError);
+    }
+
+    if (message.location) {
+        const locationError = validateLocation(message.location);
+        if (locationError) throw new Error(locationError);
+    }
+
+    if (message.contact) {
+        const contactError = validateContact(message.contact);
+        if (contactError) throw new Error(contactError);
+
+        // A top-level contact is shared by every message, so resolve it once
+        const cacheKey = JSON.stringify(message.contact);
+        if (!contactCache.has(cacheKey)) {
+            contactCache.set(cacheKey, await resolveContact(instanceId, message.contact));
+        }
+        message.contact = contactCache.get(cacheKey);
+    }
+
+    return message;
+};
+
+// Function to get a recipient's phoneList row, or null if there is none
+export const getRecipientData = async (phoneNumber, instanceId) => {
+    const connection = await connectDB();
+    const cleanPhoneNumber = phoneNumber.replace(/^\+/, '').trim();
+    
+    // Get recipient data from phoneList table; imported lists store numbers with a leading +
+    const [rows] = await connection.query(
+        'SELECT * FROM phoneList WHERE phone_numbers IN (?, ?) AND instance_id = ?',
+        [cleanPhoneNumber, `+${cleanPhoneNumber}`, instanceId]
+    );
+    
+    return rows.length > 0 ? rows[0] : null;
+};
+
+// Function to render placeholders with a recipient's phoneList values, returning the text,
+// the fields that rendered empty and whether the recipient has phoneList data at all
+export const renderPlaceholders = async (text, phoneNumber, instanceId) => {
+    if (!text || !phoneNumber || !instanceId) return { text, unresolved: [], contactFound: false };
+
+    try {
+        const recipientData = await getRecipientData(phoneNumber, instanceId);
+
+        // Render conditionals, fallbacks and filters with database values
+        const { text: renderedText, unresolved } = renderTemplate(text, recipientData || {});
+        return { text: renderedText, unresolved, contactFound: !!recipientData };
+
     } catch (error) {
         logger.error('Error replacing placeholders:', { 
             error: error.message, 
@@ -58,12 +307,28 @@ const replacePlaceholders = async (text, phoneNumber, instanceId) => {
             phoneNumber,
             instanceId
         });
-        return text;
+        return { text, unresolved: [], contactFound: false };
     }
 };
 
+// Function to replace placeholders with actual values from recipient data.
+// Used by both the immediate send path and the scheduler so they render identically.
+export const replacePlaceholders = async (text, phoneNumber, instanceId) => {
+    if (!text || !phoneNumber || !instanceId) return text;
+
+    const { text: renderedText, unresolved, contactFound } = await renderPlaceholders(text, phoneNumber, instanceId);
+    if (!contactFound) {
+        logger.warn(`No data found for phone number: ${phoneNumber}`);
+    }
+    if (unresolved.length > 0) {
+        logger.warn('Unresolved placeholders rendered empty:', { phoneNumber, unresolved });
+    }
+    return renderedText;
+};
+
 // Function to save messaging data to the database
-export const logMediaMessageToDB = async (instanceId, phoneNumbers, message, media, caption, scheduleTime, messageStatus, whatsappMessageId) => {
+// extraColumns holds additional media_messages columns to set, e.g. { job_id: 12 }
+export const logMediaMessageToDB = async (instanceId, phoneNumbers, message, media, caption, scheduleTime, messageStatus, whatsappMessageId, extraColumns = {}) => {
     try {
         const connection = await connectDB();
         
@@ -81,10 +346,11 @@ export const logMediaMessageToDB = async (instanceId, phoneNumbers, message, med
         );
         
         // Insert messages into database
+        const extraColumnNames = Object.keys(extraColumns);
         const query = `
             INSERT INTO media_messages 
-            (instance_id, recipient, message, media, caption, schedule_time, message_status, whatsapp_message_id, created_at) 
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW());
+            (instance_id, recipient, message, media, caption, schedule_time, message_status, whatsapp_message_id, ${extraColumnNames.map(name => `${name}, `).join('')}created_at) 
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ${extraColumnNames.map(() => '?, ').join('')}NOW());
         `;
         
         const results = await Promise.all(
@@ -97,7 +363,8 @@ export const logMediaMessageToDB = async (instanceId, phoneNumbers, message, med
                     processedCaption || null,
                     formatScheduledAt(scheduleTime),
                     messageStatusValidated,
-                    whatsappMessageId || null
+                    whatsappMessageId || null,
+                    ...extraColumnNames.map(name => extraColumns[name] ?? null)
                 ];
                 
                 logger.info('Logging to DB:', { 
@@ -211,135 +478,295 @@ export const updateMessageStatusInDB = async (messageId, newStatus) => {
     }
 };
 
-// Function to send messages
-export const sendMessagesOneAtATime = async (messages, mediaPayload, sock, instanceId, filePath, scheduleTime) => {
-    let totalMessagesSent = 0;
-    const totalNumbers = messages.length;
-    const MAX_RETRIES = 3;
-    const RETRY_DELAY = 3000; // 3 seconds
+const MAX_RETRIES = 3;
+const RETRY_DELAY = 3000; // 3 seconds
 
-    // Check if WhatsApp is connected
-    if (!sock || !sock.user || !sock.user.id) {
-        logger.error('WhatsApp connection not ready');
-        throw new Error('WhatsApp connection not ready');
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// options are Baileys send options, e.g. { quoted } for a reply
+const sendWithRetry = async (sock, jid, messageContent, options = {}, retryCount = 0) => {
+    try {
+        const result = await sendContent(sock, jid, messageContent, options);
+        return { success: true, result };
+    } catch (error) {
+        if (retryCount < MAX_RETRIES && error.message === 'Timed Out') {
+            logger.info(`Retry attempt ${retryCount + 1} for ${jid}`);
+            await sleep(RETRY_DELAY);
+            return sendWithRetry(sock, jid, messageContent, options, retryCount + 1);
+        }
+        throw error;
     }
+};
 
-    const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+// Function to send one message (media and/or text) to a single recipient.
+// Logs the message to the database and throws if sending fails.
+// attachmentPayloads (from loadAttachmentPayloads) is optional; attachments are loaded here when it is missing.
+export const sendMessageToRecipient = async (message, mediaPayload, sock, instanceId, filePath, scheduleTime, extraColumns = {}, attachmentPayloads = null) => {
+    // Numbers and group JIDs are both accepted as recipients
+    const jid = toJid(message.number);
+    let whatsappMessageId = null;
+    const partIds = [];
+    const attachments = message.attachments || [];
 
-    const getRandomDelay = () => {
-        // Random delay between 2 to 3 seconds
-        return Math.floor(Math.random() * (3000 - 2000)) + 2000;
+    // Record the kind of message, and the structure of non-file ones, on the row.
+    // A message that is only a list of attachments is an album.
+    const structured = getStructuredPayload(message);
+    const messageType = getMessageType(mediaPayload, structured);
+    await ensureMessageTypeSchema();
+    await ensureAttachmentSchema();
+    await ensureQuoteSchema();
+    const parentColumns = extraColumns;
+    extraColumns = {
+        ...extraColumns,
+        message_type: attachments.length > 0 && messageType === 'text' && !message.text ? 'album' : messageType,
+        payload: structured ? JSON.stringify(structured) : null,
+        ...(message.quote ? {
+            quoted_message_id: message.quote.messageId,
+            quoted_whatsapp_id: message.quote.key.id,
+            quoted_participant: message.quote.key.participant || null
+        } : {})
     };
 
-    const sendWithRetry = async (jid, messageContent, retryCount = 0) => {
-        try {
-            const result = await sock.sendMessage(jid, messageContent);
-            return { success: true, result };
-        } catch (error) {
-            if (retryCount < MAX_RETRIES && error.message === 'Timed Out') {
-                logger.info(`Retry attempt ${retryCount + 1} for ${jid}`);
-                await sleep(RETRY_DELAY);
-                return sendWithRetry(jid, messageContent, retryCount + 1);
+    // A reply quotes the earlier message on the first part that goes out
+    let quoteOptions = message.quote ? { quoted: buildQuotedMessage(message.quote) } : {};
+    const takeQuoteOptions = () => {
+        const options = quoteOptions;
+        quoteOptions = {};
+        return options;
+    };
+
+    if (attachments.length > 0 && !attachmentPayloads) {
+        attachmentPayloads = await loadAttachmentPayloads(instanceId, [message]);
+    }
+
+    // Each attachment gets a child row under the message, pending until it is sent
+    const logAttachment = (parentId, attachment, variantCaption, rowScheduleTime, columns = {}) => {
+        const { media, mediaPayload: attachmentPayload } = attachmentPayloads.get(attachment.mediaId);
+        return logMediaMessageToDB(
+            instanceId,
+            [message.number],
+            null,
+            media.storage_path,
+            variantCaption || null,
+            rowScheduleTime,
+            'pending',
+            null,
+            {
+                ...parentColumns,
+                ...columns,
+                parent_message_id: parentId,
+                media_id: media.id,
+                message_type: getMessageType(attachmentPayload, null)
             }
-            throw error;
-        }
+        );
     };
 
-    for (const message of messages) {
-        const jid = `${message.number}@s.whatsapp.net`;
+    // Pick this recipient's spintax variant once, so the logged row matches what is sent
+    const variantText = spinText(message.text);
+    const variantCaption = spinText(message.caption);
 
-        try {
-            let isMediaSent = false;
-            let isMessageSent = false;
-            let whatsappMessageId = null;
+    // Numbers that opted out (or were suppressed by hand) are recorded as failed without sending
+    if (await isSuppressed(instanceId, message.number)) {
+        const suppressedId = await logMediaMessageToDB(
+            instanceId,
+            [message.number],
+            variantText || null,
+            mediaPayload ? filePath : null,
+            variantCaption || null,
+            scheduleTime,
+            'failed',
+            null,
+            { ...extraColumns, status_reason: 'suppressed' }
+        );
+        for (const attachment of attachments) {
+            const attachmentId = await logAttachment(suppressedId, attachment, attachment.caption, scheduleTime, { status_reason: 'suppressed' });
+            await updateMessageStatusInDB(attachmentId, 'failed');
+        }
+        logger.info(`Message to ${message.number} skipped (suppressed)`);
+        return suppressedId;
+    }
 
-            // Process variable substitution for text and caption
-            const processedText = await replacePlaceholders(message.text, message.number, instanceId);
-            const processedCaption = await replacePlaceholders(message.caption, message.number, instanceId);
-            
-            // Log the original and processed messages for debugging
-            if (message.text !== processedText || (message.caption && message.caption !== processedCaption)) {
-                logger.info('Variable substitution:', {
-                    originalText: message.text,
-                    processedText,
-                    originalCaption: message.caption,
-                    processedCaption,
-                    phoneNumber: message.number
-                });
-            }
+    // Process variable substitution for text and caption
+    const processedText = await replacePlaceholders(variantText, message.number, instanceId);
+    const processedCaption = await replacePlaceholders(variantCaption, message.number, instanceId);
+    
+    // Log the original and processed messages for debugging
+    if (message.text !== processedText || (message.caption && message.caption !== processedCaption)) {
+        logger.info('Variable substitution:', {
+            originalText: message.text,
+            processedText,
+            originalCaption: message.caption,
+            processedCaption,
+            phoneNumber: message.number
+        });
+    }
 
-            // First store the message as pending
-            const dbMessageId = await logMediaMessageToDB(
-                instanceId,
-                [message.number],
-                message.text || null, // Store original message with placeholders
-                mediaPayload ? filePath : null,
-                message.caption || null, // Store original caption with placeholders
-                scheduleTime,
-                'pending',
-                null // whatsapp_message_id will be updated after sending
-            );
-
-            // Send media with caption if mediaPayload exists
-            if (mediaPayload) {
-                logger.info(`Attempting to send media to ${message.number}`, { 
-                    fileType: mediaPayload.mimetype || 'document',
-                    fileName: mediaPayload.fileName || 'unknown'
-                });
-                
-                try {
-                    // Create a copy of mediaPayload with the processed caption
-                    const processedMediaPayload = { ...mediaPayload };
-                    if (processedCaption) {
-                        processedMediaPayload.caption = processedCaption;
-                    }
-                    
-                    const mediaResult = await sendWithRetry(jid, {
-                        ...processedMediaPayload,
-                        quoted: null
-                    });
-                    isMediaSent = true;
-                    whatsappMessageId = mediaResult.result.key.id;
-                    logger.info(`Media sent successfully to ${message.number}`);
-                } catch (mediaError) {
-                    logger.error(`Failed to send media to ${message.number}:`, { 
-                        error: mediaError.message,
-                        stack: mediaError.stack 
-                    });
-                    // Update message status to failed
-                    await updateMessageStatusInDB(dbMessageId, 'failed');
-                    throw mediaError;
-                }
+    // Outside the recipient's send window the message is handed to the scheduler for the next slot
+    const { allowed, nextSlot } = await checkSendWindow(instanceId, message.number);
+    if (!allowed) {
+        const deferredId = await logMediaMessageToDB(
+            instanceId,
+            [message.number],
+            variantText || null,
+            mediaPayload ? filePath : null,
+            variantCaption || null,
+            nextSlot,
+            'pending',
+            null,
+            { ...extraColumns, status_reason: 'quiet_hours' }
+        );
+        for (const attachment of attachments) {
+            await logAttachment(deferredId, attachment, attachment.caption, nextSlot, { status_reason: 'quiet_hours' });
+        }
+        logger.info(`Message to ${message.number} deferred to ${nextSlot.toISOString()} (quiet hours)`);
+        return deferredId;
+    }
+
+    // Respect the instance's per-minute/hour/day limits before anything goes out
+    await waitForSendSlot(instanceId);
+
+    // First store the message as pending
+    const dbMessageId = await logMediaMessageToDB(
+        instanceId,
+        [message.number],
+        variantText || null, // Store the chosen variant; placeholders are filled in on insert
+        mediaPayload ? filePath : null,
+        variantCaption || null,
+        scheduleTime,
+        'pending',
+        null, // whatsapp_message_id will be updated after sending
+        extraColumns
+    );
+
+    // Send the attachments in order, each tracked on its own child row
+    for (const [index, attachment] of attachments.entries()) {
+        const variantAttachmentCaption = spinText(attachment.caption);
+        const attachmentId = await logAttachment(dbMessageId, attachment, variantAttachmentCaption, scheduleTime);
+        const { mediaPayload: attachmentPayload } = attachmentPayloads.get(attachment.mediaId);
+
+        try {
+            let attachmentContent = { ...attachmentPayload };
+            if (!attachmentPayload.sticker && !attachmentPayload.audio) {
+                attachmentContent.caption = await replacePlaceholders(variantAttachmentCaption, message.number, instanceId) || '';
+                attachmentContent = await addMentions(attachmentContent, 'caption', message.number, instanceId);
             }
 
-            // Send text message if it exists
-            if (processedText) {
-                try {
-                    const textResult = await sendWithRetry(jid, { 
-                        text: processedText,
-                        quoted: null
-                    });
-                    isMessageSent = true;
-                    whatsappMessageId = textResult.result.key.id;
-                    logger.info(`Text message sent successfully to ${message.number}`);
-                } catch (textError) {
-                    logger.error(`Failed to send text to ${message.number}:`, { 
-                        error: textError.message,
-                        stack: textError.stack 
-                    });
-                    // Update message status to failed
-                    await updateMessageStatusInDB(dbMessageId, 'failed');
-                    throw textError;
-                }
+            const attachmentResult = await sendWithRetry(sock, jid, attachmentContent, takeQuoteOptions());
+            await updateMessageWithWhatsAppId(attachmentId, attachmentResult.result.key.id);
+            logger.info(`Attachment ${index + 1}/${attachments.length} sent successfully to ${message.number}`);
+        } catch (attachmentError) {
+            logger.error(`Failed to send attachment ${index + 1} to ${message.number}:`, { 
+                error: attachmentError.message,
+                stack: attachmentError.stack 
+            });
+            // The message failed: mark this attachment and the message itself
+            await updateMessageStatusInDB(attachmentId, 'failed');
+            await updateMessageStatusInDB(dbMessageId, 'failed');
+            throw attachmentError;
+        }
+    }
+
+    // Send media with caption if mediaPayload exists
+    if (mediaPayload) {
+        logger.info(`Attempting to send media to ${message.number}`, { 
+            fileType: mediaPayload.mimetype || 'document',
+            fileName: mediaPayload.fileName || 'unknown'
+        });
+        
+        try {
+            // Create a copy of mediaPayload with the processed caption; stickers have none
+            let processedMediaPayload = { ...mediaPayload };
+            if (typeof processedCaption === 'string' && !mediaPayload.sticker) {
+                processedMediaPayload.caption = processedCaption;
+                processedMediaPayload = await addMentions(processedMediaPayload, 'caption', message.number, instanceId);
             }
+            
+            const mediaResult = await sendWithRetry(sock, jid, processedMediaPayload, takeQuoteOptions());
+            whatsappMessageId = mediaResult.result.key.id;
+            partIds.push(whatsappMessageId);
+            logger.info(`Media sent successfully to ${message.number}`);
+        } catch (mediaError) {
+            logger.error(`Failed to send media to ${message.number}:`, { 
+                error: mediaError.message,
+                stack: mediaError.stack 
+            });
+            // Update message status to failed
+            await updateMessageStatusInDB(dbMessageId, 'failed');
+            throw mediaError;
+        }
+    }
+
+    // Send text message if it exists; for interactive messages the text is their body
+    if (processedText) {
+        try {
+            // Group texts can @mention phoneList contacts
+            const content = usesTextAsBody(structured)
+                ? buildStructuredContent(structured, processedText)
+                : await addMentions({ text: processedText }, 'text', message.number, instanceId);
+            const textResult = await sendWithRetry(sock, jid, content, takeQuoteOptions());
+            whatsappMessageId = textResult.result.key.id;
+            partIds.push(whatsappMessageId);
+            logger.info(`${usesTextAsBody(structured) ? `Interactive ${structured.type}` : 'Text'} message sent successfully to ${message.number}`);
+        } catch (textError) {
+            logger.error(`Failed to send text to ${message.number}:`, { 
+                error: textError.message,
+                stack: textError.stack 
+            });
+            // Update message status to failed
+            await updateMessageStatusInDB(dbMessageId, 'failed');
+            throw textError;
+        }
+    }
+
+    // Send the location or contact card after the text
+    if (structured && !usesTextAsBody(structured)) {
+        try {
+            const structuredResult = await sendWithRetry(sock, jid, buildStructuredContent(structured), takeQuoteOptions());
+            whatsappMessageId = structuredResult.result.key.id;
+            partIds.push(whatsappMessageId);
+            logger.info(`${structured.type} message sent successfully to ${message.number}`);
+        } catch (structuredError) {
+            logger.error(`Failed to send ${structured.type} to ${message.number}:`, { 
+                error: structuredError.message,
+                stack: structuredError.stack 
+            });
+            // Update message status to failed
+            await updateMessageStatusInDB(dbMessageId, 'failed');
+            throw structuredError;
+        }
+    }
+
+    // Update the message with WhatsApp message ID and status before pacing, so a restart
+    // during the delay does not fail an already delivered message and receipts find the row.
+    // An album has no send of its own, so it is marked sent once all of its attachments went out
+    if (whatsappMessageId) {
+        await updateMessageWithWhatsAppId(dbMessageId, whatsappMessageId, partIds);
+    } else if (attachments.length > 0) {
+        await updateMessageStatusInDB(dbMessageId, 'sent');
+    }
+
+    // Add a random delay between messages to prevent detection
+    const randomDelay = await getPacingDelay(instanceId);
+    logger.info(`Waiting ${randomDelay/1000} seconds before next message...`);
+    await sleep(randomDelay);
 
-            // Add a random delay between messages to prevent detection
-            const randomDelay = getRandomDelay();
-            logger.info(`Waiting ${randomDelay/1000} seconds before next message...`);
-            await sleep(randomDelay);
+    return dbMessageId;
+};
 
-            // Update the message with WhatsApp message ID and status
-            await updateMessageWithWhatsAppId(dbMessageId, whatsappMessageId);
+// Function to send messages
+export const sendMessagesOneAtATime = async (messages, mediaPayload, sock, instanceId, filePath, scheduleTime) => {
+    let totalMessagesSent = 0;
+    const totalNumbers = messages.length;
+
+    // Check if WhatsApp is connected
+    if (!sock || !sock.user || !sock.user.id) {
+        logger.error('WhatsApp connection not ready');
+        throw new Error('WhatsApp connection not ready');
+    }
+
+    for (const message of messages) {
+        try {
+            await sendMessageToRecipient(message, mediaPayload, sock, instanceId, filePath, scheduleTime);
 
             totalMessagesSent++;
             logger.info(`Progress: ${totalMessagesSent}/${totalNumbers} messages sent`);
@@ -464,14 +891,17 @@ export const migrateMessageToReportTime = async (instanceId, recipient, whatsapp
     }
 };
 
-// Function to update message with WhatsApp ID
-export const updateMessageWithWhatsAppId = async (dbId, whatsappMessageId) => {
+// Function to update message with WhatsApp ID. partIds lists the ids of every part of a
+// message sent in several parts, in send order, so all of them can be revoked later.
+export const updateMessageWithWhatsAppId = async (dbId, whatsappMessageId, partIds = []) => {
     try {
         if (!dbId || !whatsappMessageId) {
             logger.error('Missing required parameters for updateMessageWithWhatsAppId');
             return;
         }
 
+        await ensureThrottleSchema();
+        await ensurePartIdsSchema();
         const connection = await connectDB();
         
         // First, get the message details
@@ -490,11 +920,16 @@ export const updateMessageWithWhatsAppId = async (dbId, whatsappMessageId) => {
         // Update the message status and WhatsApp message ID
         const query = `
             UPDATE media_messages 
-            SET whatsapp_message_id = ?, message_status = ? 
+            SET whatsapp_message_id = ?, part_whatsapp_ids = ?, message_status = ?, sent_at = NOW() 
             WHERE id = ?
         `;
         
-        const [result] = await connection.execute(query, [whatsappMessageId, 'sent', dbId]);
+        const [result] = await connection.execute(query, [
+            whatsappMessageId,
+            partIds.length > 1 ? JSON.stringify(partIds) : null,
+            'sent',
+            dbId
+        ]);
         
         if (result.affectedRows > 0) {
             logger.info(`Message ${dbId} updated with WhatsApp ID ${whatsappMessageId}`);
@@ -533,20 +968,62 @@ export const sendMessages = async (req, res) => {
         for (const messageData of messages) {
             let dbId;
             try {
+                const variantText = spinText(messageData.message);
+
+                // Suppressed numbers are recorded as failed without sending
+                if (await isSuppressed(instanceId, messageData.recipient)) {
+                    await ensureMessageTypeSchema();
+                    await logMediaMessageToDB(
+                        instanceId,
+                        [messageData.recipient],
+                        variantText,
+                        null,
+                        null,
+                        messageData.schedule_time,
+                        'failed',
+                        null,
+                        { status_reason: 'suppressed', message_type: 'text' }
+                    );
+                    logger.info(`Message to ${messageData.recipient} skipped (suppressed)`);
+                    continue;
+                }
+
+                // Outside the recipient's send window, leave the message to the scheduler
+                const { allowed, nextSlot } = await checkSendWindow(instanceId, messageData.recipient);
+                if (!allowed) {
+                    await logMediaMessageToDB(
+                        instanceId,
+                        [messageData.recipient],
+                        variantText,
+                        null,
+                        null,
+                        nextSlot,
+                        'pending',
+                        null,
+                        { status_reason: 'quiet_hours', message_type: 'text' }
+                    );
+                    logger.info(`Message to ${messageData.recipient} deferred to ${nextSlot.toISOString()} (quiet hours)`);
+                    continue;
+                }
+
+                await waitForSendSlot(instanceId);
+                await ensureMessageTypeSchema();
+
                 // First log to DB with pending status
                 dbId = await logMediaMessageToDB(
                     instanceId,
                     [messageData.recipient],
-                    messageData.message,
+                    variantText,
                     null, // media
                     null, // caption
                     messageData.schedule_time,
                     'pending',
-                    null // whatsapp_message_id will be updated after sending
+                    null, // whatsapp_message_id will be updated after sending
+                    { message_type: 'text' }
                 );
 
                 // Send message and get WhatsApp message ID
-                const whatsappMessageId = await sendTextMessage(sock, messageData.recipient, messageData.message);
+                const whatsappMessageId = await sendTextMessage(sock, messageData.recipient, variantText);
                 
                 // Update DB record with WhatsApp message ID and status
                 await updateMessageWithWhatsAppId(dbId, whatsappMessageId);
@@ -556,7 +1033,7 @@ export const sendMessages = async (req, res) => {
 
                 // Add delay between messages
                 if (progress < total) {
-                    const delay = Math.random() * 4000 + 2000; // 2-6 seconds
+                    const delay = await getPacingDelay(instanceId);
                     logger.info(`Waiting ${(delay/1000).toFixed(3)} seconds before next message...`);
                     await new Promise(resolve => setTimeout(resolve, delay));
                 }
@@ -576,10 +1053,220 @@ export const sendMessages = async (req, res) => {
     }
 };
 
+// WhatsApp stickers are 512x512 WebP images; static ones should stay under 100KB
+const STICKER_SIZE = 512;
+const STICKER_MAX_BYTES = 100 * 1024;
+
+// Function to convert a PNG/JPG/WebP image into a sticker WebP, lowering quality until it fits
+const convertToSticker = async (fileBuffer) => {
+    let sticker;
+    for (const quality of [80, 60, 40]) {
+        sticker = await sharp(fileBuffer)
+            .resize(STICKER_SIZE, STICKER_SIZE, { fit: 'contain', background: { r: 0, g: 0, b: 0, alpha: 0 } })
+            .webp({ quality })
+            .toBuffer();
+        if (sticker.length <= STICKER_MAX_BYTES) break;
+    }
+    return sticker;
+};
+
+// Function to build the Baileys media payload for a file on disk.
+// With asSticker, an image file is converted and sent as a sticker; fileName is the
+// name documents are shown with (media library files are stored under their hash).
+export const buildMediaPayload = async (filePath, caption, { asSticker = false, fileName = path.basename(filePath) } = {}) => {
+    // Check if file exists
+    if (!fs.existsSync(filePath)) {
+        throw new Error('File not found');
+    }
+
+    // Check file size (16MB limit)
+    const stats = fs.statSync(filePath);
+    const fileSizeInMB = stats.size / (1024 * 1024);
+    if (fileSizeInMB > 16) {
+        throw new Error('File size exceeds 16MB limit');
+    }
+
+    const fileExtension = path.extname(filePath).toLowerCase();
+    const fileBuffer = await fs.promises.readFile(filePath);
+
+    if (asSticker) {
+        if (!['.png', '.jpg', '.jpeg', '.webp'].includes(fileExtension)) {
+            throw new Error('Stickers must be PNG, JPG or WebP images');
+        }
+
+        const sticker = await convertToSticker(fileBuffer);
+        logger.info('Sticker payload created:', {
+            fileName,
+            originalSize: fileBuffer.length,
+            size: sticker.length
+        });
+        return { sticker, mimetype: 'image/webp' };
+    }
+    const mimeTypes = {
+        '.jpg': 'image/jpeg',
+        '.jpeg': 'image/jpeg',
+        '.png': 'image/png',
+        '.mp4': 'video/mp4',
+        '.mov': 'video/quicktime',
+        '.mp3': 'audio/mpeg',
+        '.wav': 'audio/wav',
+        '.ogg': 'audio/ogg',
+        '.pdf': 'application/pdf',
+        '.doc': 'application/msword',
+        '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+    };
+
+    let mediaPayload;
+    switch (fileExtension) {
+        case '.jpg':
+        case '.jpeg':
+        case '.png':
+            mediaPayload = {
+                image: fileBuffer,
+                caption: caption || '',
+                mimetype: mimeTypes[fileExtension]
+            };
+            break;
+        case '.mp4':
+        case '.mov':
+            mediaPayload = {
+                video: fileBuffer,
+                caption: caption || '',
+                mimetype: mimeTypes[fileExtension]
+            };
+            break;
+        case '.mp3':
+        case '.wav':
+        case '.ogg':
+            mediaPayload = {
+                audio: fileBuffer,
+                mimetype: mimeTypes[fileExtension],
+                ptt: fileExtension === '.ogg',
+                caption: caption || ''
+            };
+            break;
+        case '.pdf':
+        case '.doc':
+        case '.docx':
+            mediaPayload = {
+                document: fileBuffer,
+                mimetype: mimeTypes[fileExtension],
+                fileName,
+                caption: caption || ''
+            };
+            break;
+        default:
+            // For Excel and other files, send as document with auto-detected mimetype
+            mediaPayload = {
+                document: fileBuffer,
+                fileName,
+                caption: caption || '',
+                mimetype: 'application/octet-stream'  // Generic binary file type
+            };
+    }
+
+    // Log the media payload for debugging
+    logger.info('Media payload created:', {
+        type: fileExtension,
+        fileName,
+        size: fileBuffer.length,
+        mimeType: mediaPayload.mimetype || 'application/octet-stream'
+    });
+
+    return mediaPayload;
+};
+
+// Function to count the subscription messages a send uses; every attachment is its own message
+export const countMessagesNeeded = (messages) => messages.reduce((total, message) => total + 1 + (message.attachments?.length || 0), 0);
+
+// Function to report what a send would do without sending anything: the text and captions each
+// recipient would get (one spintax variant), placeholders that would render empty, invalid and
+// repeated numbers, the recipients left out, and the messages it would use from the subscription
+export const buildDryRunReport = async (instanceId, messages, suppressed = []) => {
+    const recipients = [];
+    const invalidNumbers = [];
+    const duplicateNumbers = [];
+    const unresolvedPlaceholders = new Set();
+    const seenJids = new Set();
+
+    for (const message of messages) {
+        const valid = isValidRecipient(message.number);
+        const jid = valid ? toJid(message.number) : null;
+        const duplicate = valid && seenJids.has(jid);
+        if (!valid) invalidNumbers.push(message.number);
+        if (duplicate && !duplicateNumbers.includes(message.number)) duplicateNumbers.push(message.number);
+        if (valid) seenJids.add(jid);
+
+        const unresolved = new Set();
+        const render = async (text) => {
+            if (!text) return text || null;
+            const rendered = await renderPlaceholders(spinText(text), message.number, instanceId);
+            rendered.unresolved.forEach(field => unresolved.add(field));
+            return rendered.text;
+        };
+
+        const text = await render(message.text);
+        const caption = await render(message.caption);
+        const attachmentCaptions = [];
+        for (const attachment of message.attachments || []) {
+            attachmentCaptions.push(await render(attachment.caption));
+        }
+        unresolved.forEach(field => unresolvedPlaceholders.add(field));
+
+        recipients.push({
+            number: message.number,
+            valid,
+            duplicate,
+            text,
+            caption,
+            ...(message.attachments ? { attachmentCaptions } : {}),
+            unresolved: [...unresolved]
+        });
+    }
+
+    const balance = await getCreditBalance(instanceId);
+    const required = countMessagesNeeded(messages);
+    const remaining = balance ? balance.available : 0;
+
+    return {
+        success: true,
+        dryRun: true,
+        totalMessages: messages.length,
+        recipients,
+        unresolvedPlaceholders: [...unresolvedPlaceholders],
+        invalidNumbers,
+        duplicateNumbers,
+        suppressed,
+        credits: {
+            required,
+            remaining,
+            sufficient: !!balance && required <= remaining,
+            subscriptionActive: !!balance
+        }
+    };
+};
+
 // Handle media message sending
 export const sendMedia = async (req, res) => {
     const { instanceId, sock } = req;
-    const { messages, filePath, scheduleTime } = req.body;
+    const {
+        messages: requestMessages,
+        mediaId: requestMediaId,
+        scheduleTime,
+        campaignId,
+        campaignName,
+        templateId,
+        interactive,
+        location,
+        contact,
+        sticker,
+        attachments,
+        skipNumbers,
+        dryRun
+    } = req.body;
+    let messages = requestMessages;
+    let mediaId = requestMediaId;
+    let media = null;
 
     try {
         // Validate required fields
@@ -590,45 +1277,147 @@ export const sendMedia = async (req, res) => {
             });
         }
 
-        // Get latest subscription details
-        const connection = await connectDB();
-        const [subscriptionDetails] = await connection.query(
-            'SELECT s.* FROM subscription s ' +
-            'WHERE s.instance_id = ? ' +
-            'AND s.date_expiry >= CURDATE() ' +  // Only get active subscription
-            'ORDER BY s.created_at DESC, s.id DESC ' +  // Order by created_at and id to get the newest
-            'LIMIT 1',
-            [instanceId]
-        );
+        // Media is only ever referenced by its library id, never by a server path
+        if (req.body.filePath) {
+            return res.status(400).json({ 
+                success: false,
+                message: 'filePath is not accepted; upload the file and send its mediaId' 
+            });
+        }
+
+        // A saved template supplies the text, caption and media for every recipient
+        if (templateId) {
+            const template = await findTemplate(instanceId, templateId);
+            if (!template) {
+                return res.status(404).json({ 
+                    success: false,
+                    message: 'Template not found' 
+                });
+            }
+            messages = messages.map(message => ({ ...message, text: template.text, caption: template.caption }));
+            mediaId = mediaId || template.media_id;
+        }
+
+        // A top-level interactive, location or contact payload applies to every message
+        // that has no structured part of its own
+        const sharedStructure = { interactive, location, contact };
+        messages = messages.map(message => (
+            message.interactive || message.location || message.contact
+                ? { ...message }
+                : { ...message, ...sharedStructure }
+        ));
+
+        const contactCache = new Map();
+        for (const [index, message] of messages.entries()) {
+            try {
+                await prepareStructuredMessage(instanceId, message, contactCache);
+            } catch (error) {
+                return res.status(400).json({ 
+                    success: false,
+                    message: `messages[${index}]: ${error.message}` 
+                });
+            }
+        }
+
+        if (mediaId) {
+            media = await findMedia(instanceId, mediaId);
+            if (!media) {
+                return res.status(404).json({ 
+                    success: false,
+                    message: 'Media not found' 
+                });
+            }
+        }
+
+        if (sticker && !media) {
+            return res.status(400).json({ 
+                success: false,
+                message: 'A PNG or JPG mediaId is required to send a sticker' 
+            });
+        }
+
+        // A top-level attachment list applies to every message that has none of its own
+        if (attachments) {
+            messages = messages.map(message => (message.attachments ? message : { ...message, attachments }));
+        }
 
-        if (!subscriptionDetails || subscriptionDetails.length === 0) {
+        const mediaCache = new Map();
+        for (const [index, message] of messages.entries()) {
+            if (message.attachments && media) {
+                return res.status(400).json({ 
+                    success: false,
+                    message: 'Send either a mediaId or attachments, not both' 
+                });
+            }
+
+            try {
+                await prepareAttachments(instanceId, message, mediaCache);
+                await prepareQuote(instanceId, message);
+            } catch (error) {
+                return res.status(400).json({ 
+                    success: false,
+                    message: `messages[${index}]: ${error.message}` 
+                });
+            }
+        }
+
+        // Optionally leave out numbers the number checks found not on WhatsApp (or never checked),
+        // before they count against the subscription
+        let skippedRecipients = [];
+        if (skipNumbers !== undefined && skipNumbers !== null) {
+            if (!Object.values(SKIP_NUMBERS).includes(skipNumbers)) {
+                return res.status(400).json({ 
+                    success: false,
+                    message: `skipNumbers must be one of: ${Object.values(SKIP_NUMBERS).join(', ')}` 
+                });
+            }
+
+            const { kept, skipped } = await filterUnverifiedRecipients(instanceId, messages, skipNumbers);
+            if (kept.length === 0 && !dryRun) {
+                return res.status(400).json({ 
+                    success: false,
+                    message: 'No recipients left to send to after skipping unverified numbers',
+                    skipped
+                });
+            }
+            messages = kept;
+            skippedRecipients = skipped;
+            logger.info('Skipped recipients by WhatsApp status:', { instanceId, skipNumbers, skipped: skipped.length });
+        }
+
+        // Numbers on the suppression list are always left out
+        const { kept: unsuppressed, skipped: suppressedRecipients } = await filterSuppressedRecipients(instanceId, messages);
+        if (unsuppressed.length === 0 && !dryRun) {
             return res.status(400).json({
                 success: false,
-                message: 'No active subscription found'
+                message: 'No recipients left to send to, all of them are on the suppression list',
+                skipped: [...skippedRecipients, ...suppressedRecipients]
             });
         }
+        messages = unsuppressed;
+        skippedRecipients = [...skippedRecipients, ...suppressedRecipients];
 
-        const subscription = subscriptionDetails[0];
-        logger.info('Current Subscription:', { subscription });
+        // A dry run reports what would be sent and stops before anything is queued or charged
+        if (dryRun) {
+            return res.json(await buildDryRunReport(instanceId, messages, skippedRecipients));
+        }
 
-        // Get count of messages sent in current subscription period
-        const [messageCount] = await connection.query(
-            'SELECT COUNT(*) as count FROM media_messages ' +
-            'WHERE instance_id = ? ' +
-            'AND created_at >= ? ' +
-            'AND created_at <= COALESCE(?, NOW()) ' +  // Only count messages within subscription period
-            'AND created_at >= (SELECT created_at FROM subscription ' +  // Only count messages after this subscription was created
-            '                  WHERE instance_id = ? ' +
-            '                  AND id = ?)',
-            [instanceId, subscription.date_purchased, subscription.date_expiry, instanceId, subscription.id]
-        );
+        // Get latest subscription details and its credits
+        const balance = await getCreditBalance(instanceId);
+        if (!balance) {
+            return res.status(400).json({
+                success: false,
+                message: 'No active subscription found'
+            });
+        }
 
-        const totalMessagesSent = messageCount[0].count;
-        const messagesRemaining = subscription.num_messages - totalMessagesSent;
+        const { subscription, used: totalMessagesSent, reserved: messagesReserved, available: messagesRemaining } = balance;
+        logger.info('Current Subscription:', { subscription });
 
         logger.info('Message Stats:', {
             totalMessages: subscription.num_messages,
             totalSent: totalMessagesSent,
+            reserved: messagesReserved,
             remaining: messagesRemaining,
             subscriptionId: subscription.id,
             datePurchased: subscription.date_purchased,
@@ -644,7 +1433,8 @@ export const sendMedia = async (req, res) => {
         }
 
         // Check if total numbers to send exceeds remaining messages
-        if (messages.length > messagesRemaining) {
+        const messagesNeeded = countMessagesNeeded(messages);
+        if (messagesNeeded > messagesRemaining) {
             return res.status(400).json({
                 success: false,
                 message: `Can only send ${messagesRemaining} more messages with current subscription`
@@ -658,101 +1448,10 @@ export const sendMedia = async (req, res) => {
             });
         }
 
-        let mediaPayload = null;
-        let fileExtension = null;
-
-        // Process media file if provided
-        if (filePath) {
+        // Validate the media file up front so a bad file fails the request, not the job
+        if (media) {
             try {
-                // Check if file exists
-                if (!fs.existsSync(filePath)) {
-                    return res.status(400).json({ 
-                        success: false,
-                        message: 'File not found' 
-                    });
-                }
-
-                // Check file size (16MB limit)
-                const stats = fs.statSync(filePath);
-                const fileSizeInMB = stats.size / (1024 * 1024);
-                if (fileSizeInMB > 16) {
-                    return res.status(400).json({ 
-                        success: false,
-                        message: 'File size exceeds 16MB limit' 
-                    });
-                }
-
-                fileExtension = path.extname(filePath).toLowerCase();
-                const fileBuffer = await fs.promises.readFile(filePath);
-                const mimeTypes = {
-                    '.jpg': 'image/jpeg',
-                    '.jpeg': 'image/jpeg',
-                    '.png': 'image/png',
-                    '.mp4': 'video/mp4',
-                    '.mov': 'video/quicktime',
-                    '.mp3': 'audio/mpeg',
-                    '.wav': 'audio/wav',
-                    '.ogg': 'audio/ogg',
-                    '.pdf': 'application/pdf',
-                    '.doc': 'application/msword',
-                    '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
-                };
-
-                switch (fileExtension) {
-                    case '.jpg':
-                    case '.jpeg':
-                    case '.png':
-                        mediaPayload = {
-                            image: fileBuffer,
-                            caption: messages[0].caption || '',
-                            mimetype: mimeTypes[fileExtension]
-                        };
-                        break;
-                    case '.mp4':
-                    case '.mov':
-                        mediaPayload = {
-                            video: fileBuffer,
-                            caption: messages[0].caption || '',
-                            mimetype: mimeTypes[fileExtension]
-                        };
-                        break;
-                    case '.mp3':
-                    case '.wav':
-                    case '.ogg':
-                        mediaPayload = {
-                            audio: fileBuffer,
-                            mimetype: mimeTypes[fileExtension],
-                            ptt: fileExtension === '.ogg',
-                            caption: messages[0].caption || ''
-                        };
-                        break;
-                    case '.pdf':
-                    case '.doc':
-                    case '.docx':
-                        mediaPayload = {
-                            document: fileBuffer,
-                            mimetype: mimeTypes[fileExtension],
-                            fileName: path.basename(filePath),
-                            caption: messages[0].caption || ''
-                        };
-                        break;
-                    default:
-                        // For Excel and other files, send as document with auto-detected mimetype
-                        mediaPayload = {
-                            document: fileBuffer,
-                            fileName: path.basename(filePath),
-                            caption: messages[0].caption || '',
-                            mimetype: 'application/octet-stream'  // Generic binary file type
-                        };
-                }
-
-                // Log the media payload for debugging
-                logger.info('Media payload created:', {
-                    type: fileExtension,
-                    fileName: path.basename(filePath),
-                    size: fileBuffer.length,
-                    mimeType: mediaPayload.mimetype || 'application/octet-stream'
-                });
+                await buildLibraryMediaPayload(media, messages[0].caption, { asSticker: !!sticker });
             } catch (error) {
                 logger.error('Media processing error:', { error: error.message });
                 return res.status(400).json({ 
@@ -762,21 +1461,43 @@ export const sendMedia = async (req, res) => {
             }
         }
 
-        // Send messages with logging
-        const totalSent = await sendMessagesOneAtATime(
-            messages,
-            mediaPayload,
-            sock,
-            instanceId,
-            filePath,
-            scheduleTime
-        );
+        // Every send is recorded as a campaign, either an existing one or a new one
+        const resolvedCampaignId = await resolveCampaign(instanceId, { campaignId, campaignName }, CAMPAIGN_SOURCE.SEND_MEDIA);
+        if (!resolvedCampaignId) {
+            return res.status(404).json({
+                success: false,
+                message: 'Campaign not found'
+            });
+        }
 
-        // Return success response
-        res.json({
+        // Hold the credits for the whole send; the job settles them when it finishes. The check
+        // above can race with another send, this one cannot.
+        const reservationId = await reserveCredits(instanceId, messagesNeeded, `send-media campaign:${resolvedCampaignId}`);
+        if (!reservationId) {
+            const current = await getCreditBalance(instanceId);
+            return res.status(400).json({
+                success: false,
+                message: `Can only send ${current ? current.available : 0} more messages with current subscription`
+            });
+        }
+
+        // Hand the send off to the background worker and return straight away
+        let jobId;
+        try {
+            jobId = await createSendJob(instanceId, { messages, mediaId: media ? media.id : null, sticker: !!sticker, scheduleTime, campaignId: resolvedCampaignId, reservationId });
+        } catch (error) {
+            await settleReservation(reservationId, 0);
+            throw error;
+        }
+        startSendJob(jobId);
+
+        res.status(202).json({
             success: true,
-            message: `Successfully processed ${totalSent} messages`,
-            totalMessages: totalSent
+            message: `Queued ${messages.length} messages for sending`,
+            jobId,
+            campaignId: resolvedCampaignId,
+            totalMessages: messages.length,
+            skipped: skippedRecipients
         });
 
     } catch (error) {
@@ -789,11 +1510,12 @@ export const sendMedia = async (req, res) => {
                     instanceId,
                     messages.map(message => message.number),
                     messages[0].text,
-                    filePath,
+                    media ? media.storage_path : null,
                     messages[0].caption,
                     scheduleTime,
                     'failed',
-                    null
+                    null,
+                    media ? { media_id: media.id } : {}
                 );
             }
         } catch (dbError) {
@@ -806,4 +1528,39 @@ export const sendMedia = async (req, res) => {
             error: error.message
         });
     }
-};
\ No newline at end of file
+};
+
+/**
+ * Preview the spintax variants of a message text and caption
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const previewSpintax = async (req, res) => {
+    try {
+        const { text, caption, samples = 5 } = req.body;
+
+        if (!text && !caption) {
+            return res.status(400).json({ 
+                success: false,
+                message: 'text or caption is required' 
+            });
+        }
+
+        const sampleCount = Math.min(Math.max(parseInt(samples) || 5, 1), 50);
+
+        res.json({
+            success: true,
+            text: text ? { variantCount: countVariants(text), samples: sampleVariants(text, sampleCount) } : null,
+            caption: caption ? { variantCount: countVariants(caption), samples: sampleVariants(caption, sampleCount) } : null,
+            // Text and caption are spun independently, so their counts multiply
+            totalVariants: countVariants(text) * countVariants(caption)
+        });
+    } catch (error) {
+        logger.error('Error in previewSpintax:', { error: error.message, stack: error.stack });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to preview variants',
+            error: error.message
+        });
+    }
+};
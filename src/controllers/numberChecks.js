@@ -0,0 +1,439 @@
+// src/controllers/numberChecks.js
+
+import connectDB from '../db/index.js';
+import { ensureTable, ensureColumn } from '../db/schema.js';
+import { logger } from '../logger.js';
+import { JOB_STATUS, waitForSocket } from './sendJobs.js';
+import { toJid, jidToNumber, isGroupJid } from '../utils/jids.js';
+import { createJobRunner } from '../utils/jobRunner.js';
+
+// Background jobs that ask WhatsApp which phoneList numbers are registered. Each
+// contact's answer is stored on its row, so a job picks up where it left off after
+// a pause or restart: rows checked since the job's cutoff are simply not selected again.
+
+// Numbers per onWhatsApp query and the pause between queries, to stay well clear of rate limits
+const BATCH_SIZE = 20;
+const BATCH_DELAY_MS = 4000;
+
+// Accepted send-media `skipNumbers` values
+export const SKIP_NUMBERS = {
+    NOT_ON_WHATSAPP: 'not_on_whatsapp',
+    UNVERIFIED: 'unverified'
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Function to make sure the check job table and the phoneList result columns exist
+export const ensureNumberCheckSchema = async () => {
+    await ensureTable('number_check_jobs', `
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        instance_id VARCHAR(255) NOT NULL,
+        status ENUM('queued', 'running', 'paused', 'cancelled', 'completed', 'failed') NOT NULL DEFAULT 'queued',
+        checked_before TIMESTAMP NULL,
+        total_numbers INT NOT NULL DEFAULT 0,
+        checked INT NOT NULL DEFAULT 0,
+        on_whatsapp INT NOT NULL DEFAULT 0,
+        error TEXT NULL,
+        started_at TIMESTAMP NULL,
+        finished_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_instance_id (instance_id),
+        INDEX idx_status (status)
+    `);
+    // NULL until the number has been checked
+    await ensureColumn('phoneList', 'is_on_whatsapp', 'BOOLEAN NULL');
+    await ensureColumn('phoneList', 'whatsapp_checked_at', 'TIMESTAMP NULL');
+};
+
+// Rows a job still has to check: never checked, or checked before the job's cutoff (if it has one)
+const PENDING_CONDITION = 'instance_id = ? AND (whatsapp_checked_at IS NULL OR whatsapp_checked_at < ?)';
+
+const getCheckJob = async (jobId) => {
+    const connection = await connectDB();
+    const [rows] = await connection.query('SELECT * FROM number_check_jobs WHERE id = ?', [jobId]);
+    return rows[0] || null;
+};
+
+const setCheckStatus = async (jobId, status, error = null) => {
+    const connection = await connectDB();
+    const isFinished = [JOB_STATUS.CANCELLED, JOB_STATUS.COMPLETED, JOB_STATUS.FAILED].includes(status);
+
+    await connection.execute(
+        'UPDATE number_check_jobs SET status = ?, error = ?, ' +
+        'started_at = COALESCE(started_at, IF(? = \'running\', NOW(), NULL)), ' +
+        'finished_at = IF(?, NOW(), NULL) ' +
+        'WHERE id = ?',
+        [status, error, status, isFinished, jobId]
+    );
+    logger.info(`Number check ${jobId} status set to: ${status}`);
+};
+
+// Function to mark a queued check running; a pause or cancel that came in meanwhile is kept
+const markCheckRunning = async (jobId) => {
+    const connection = await connectDB();
+    await connection.execute(
+        'UPDATE number_check_jobs SET status = ?, started_at = COALESCE(started_at, NOW()) WHERE id = ? AND status = ?',
+        [JOB_STATUS.RUNNING, jobId, JOB_STATUS.QUEUED]
+    );
+};
+
+const isCheckStopped = async (jobId) => {
+    const job = await getCheckJob(jobId);
+    return !job || ![JOB_STATUS.QUEUED, JOB_STATUS.RUNNING].includes(job.status);
+};
+
+// Function to ask WhatsApp about one batch of phoneList rows and store the answers.
+// Returns how many of the rows are on WhatsApp.
+const checkBatch = async (sock, rows) => {
+    const connection = await connectDB();
+    const digitsById = new Map(rows.map(row => [row.id, String(row.phone_numbers).replace(/[^\d]/g, '')]));
+
+    // Anything too short to be a phone number is not worth a query
+    const queryNumbers = [...new Set([...digitsById.values()].filter(digits => digits.length >= 6))];
+    const results = queryNumbers.length > 0 ? await sock.onWhatsApp(...queryNumbers.map(toJid)) : [];
+    const registered = new Set((results || []).filter(result => result.exists).map(result => jidToNumber(result.jid)));
+
+    const onIds = rows.filter(row => registered.has(digitsById.get(row.id))).map(row => row.id);
+    const offIds = rows.filter(row => !registered.has(digitsById.get(row.id))).map(row => row.id);
+
+    if (onIds.length > 0) {
+        await connection.query('UPDATE phoneList SET is_on_whatsapp = TRUE, whatsapp_checked_at = NOW() WHERE id IN (?)', [onIds]);
+    }
+    if (offIds.length > 0) {
+        await connection.query('UPDATE phoneList SET is_on_whatsapp = FALSE, whatsapp_checked_at = NOW() WHERE id IN (?)', [offIds]);
+    }
+    return onIds.length;
+};
+
+// Function to run a number check until every pending contact is checked, or it is paused or cancelled
+const runNumberCheck = async (jobId) => {
+    try {
+        await ensureNumberCheckSchema();
+        const job = await getCheckJob(jobId);
+        if (!job || ![JOB_STATUS.QUEUED, JOB_STATUS.RUNNING].includes(job.status)) return;
+
+        await markCheckRunning(jobId);
+        const connection = await connectDB();
+        logger.info(`Number check ${jobId} running:`, { instanceId: job.instance_id, total: job.total_numbers, checked: job.checked });
+
+        while (true) {
+            // Status is re-read every batch so pause/cancel take effect between queries
+            const current = await getCheckJob(jobId);
+            if (!current || ![JOB_STATUS.QUEUED, JOB_STATUS.RUNNING].includes(current.status)) {
+                logger.info(`Number check ${jobId} stopped`);
+                return;
+            }
+            // A check resumed while this worker was running is queued again
+            if (current.status === JOB_STATUS.QUEUED) await markCheckRunning(jobId);
+
+            const [rows] = await connection.query(
+                `SELECT id, phone_numbers FROM phoneList WHERE ${PENDING_CONDITION} ORDER BY id ASC LIMIT ?`,
+                [job.instance_id, job.checked_before, BATCH_SIZE]
+            );
+            if (rows.length === 0) break;
+
+            const sock = await waitForSocket(job.instance_id, () => isCheckStopped(jobId), `Number check ${jobId}`);
+            if (!sock) return;
+
+            const onWhatsApp = await checkBatch(sock, rows);
+            await connection.execute(
+                'UPDATE number_check_jobs SET checked = checked + ?, on_whatsapp = on_whatsapp + ? WHERE id = ?',
+                [rows.length, onWhatsApp, jobId]
+            );
+
+            await sleep(BATCH_DELAY_MS);
+        }
+
+        await setCheckStatus(jobId, JOB_STATUS.COMPLETED);
+    } catch (error) {
+        logger.error(`Number check ${jobId} failed:`, { error: error.message, stack: error.stack });
+        await setCheckStatus(jobId, JOB_STATUS.FAILED, error.message).catch(() => {});
+    }
+};
+
+const numberCheckRunner = createJobRunner('number check', {
+    work: runNumberCheck,
+    shouldRun: async (jobId) => !(await isCheckStopped(jobId))
+});
+
+// Function to start a number check in the background without waiting for it
+export const startNumberCheck = (jobId) => numberCheckRunner.start(jobId);
+
+// Function to pick up number checks that were queued or running when the server stopped
+export const resumeInterruptedNumberChecks = async () => {
+    try {
+        await ensureNumberCheckSchema();
+        const connection = await connectDB();
+        const [jobs] = await connection.query(
+            'SELECT id FROM number_check_jobs WHERE status IN (?, ?) ORDER BY id ASC',
+            [JOB_STATUS.QUEUED, JOB_STATUS.RUNNING]
+        );
+
+        for (const { id } of jobs) {
+            logger.info(`Resuming number check ${id}`);
+            startNumberCheck(id);
+        }
+    } catch (error) {
+        logger.error('Error resuming number checks:', { error: error.message, stack: error.stack });
+    }
+};
+
+// Function to get the stored WhatsApp status of recipients, keyed by their digits:
+// true or false once checked, null if unchecked or not in phoneList
+export const getWhatsAppStatuses = async (instanceId, numbers) => {
+    await ensureNumberCheckSchema();
+    const digits = [...new Set(numbers.map(number => String(number).replace(/[^\d]/g, '')))];
+    const statuses = new Map(digits.map(number => [number, null]));
+    if (digits.length === 0) return statuses;
+
+    // Imported lists store numbers with a leading +; the latest check wins for duplicate rows
+    const connection = await connectDB();
+    const [rows] = await connection.query(
+        'SELECT phone_numbers, is_on_whatsapp FROM phoneList ' +
+        'WHERE instance_id = ? AND phone_numbers IN (?) AND whatsapp_checked_at IS NOT NULL ' +
+        'ORDER BY whatsapp_checked_at ASC',
+        [instanceId, [...digits, ...digits.map(number => `+${number}`)]]
+    );
+    for (const row of rows) {
+        statuses.set(String(row.phone_numbers).replace(/[^\d]/g, ''), !!row.is_on_whatsapp);
+    }
+    return statuses;
+};
+
+// Function to split send-media messages into those to send and those skipped by the
+// skipNumbers option. Group recipients are never skipped.
+export const filterUnverifiedRecipients = async (instanceId, messages, skipNumbers) => {
+    const statuses = await getWhatsAppStatuses(
+        instanceId,
+        messages.filter(message => !isGroupJid(message.number)).map(message => message.number)
+    );
+
+    const kept = [];
+    const skipped = [];
+    for (const message of messages) {
+        const status = isGroupJid(message.number) ? true : statuses.get(String(message.number).replace(/[^\d]/g, ''));
+        if (status === false) {
+            skipped.push({ number: message.number, reason: SKIP_NUMBERS.NOT_ON_WHATSAPP });
+        } else if (status === null && skipNumbers === SKIP_NUMBERS.UNVERIFIED) {
+            skipped.push({ number: message.number, reason: SKIP_NUMBERS.UNVERIFIED });
+        } else {
+            kept.push(message);
+        }
+    }
+    return { kept, skipped };
+};
+
+const formatCheckJob = (job) => ({
+    jobId: job.id,
+    instanceId: job.instance_id,
+    status: job.status,
+    total: job.total_numbers,
+    checked: job.checked,
+    onWhatsApp: job.on_whatsapp,
+    notOnWhatsApp: job.checked - job.on_whatsapp,
+    remaining: Math.max(0, job.total_numbers - job.checked),
+    etaSeconds: [JOB_STATUS.QUEUED, JOB_STATUS.RUNNING].includes(job.status)
+        ? Math.ceil(Math.max(0, job.total_numbers - job.checked) / BATCH_SIZE) * (BATCH_DELAY_MS / 1000)
+        : null,
+    checkedBefore: job.checked_before,
+    error: job.error,
+    createdAt: job.created_at,
+    startedAt: job.started_at,
+    finishedAt: job.finished_at
+});
+
+// Look up a check job that belongs to the instance in the route
+const findInstanceCheck = async (req, res) => {
+    const { instanceId, jobId } = req.params;
+    await ensureNumberCheckSchema();
+    const job = await getCheckJob(jobId);
+
+    if (!job || job.instance_id !== instanceId) {
+        res.status(404).json({ success: false, message: 'Number check not found' });
+        return null;
+    }
+    return job;
+};
+
+/**
+ * Start checking the instance's phoneList numbers for WhatsApp registration
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const createNumberCheck = async (req, res) => {
+    try {
+        const { instanceId } = req.params;
+        const { recheck = false, maxAgeDays } = req.body;
+
+        if (maxAgeDays !== undefined && (!Number.isInteger(Number(maxAgeDays)) || Number(maxAgeDays) < 1)) {
+            return res.status(400).json({ success: false, message: 'maxAgeDays must be a whole number of days' });
+        }
+
+        await ensureNumberCheckSchema();
+        const connection = await connectDB();
+
+        // One check per instance at a time; they would only repeat each other's queries
+        const [active] = await connection.query(
+            'SELECT id FROM number_check_jobs WHERE instance_id = ? AND status IN (?, ?, ?)',
+            [instanceId, JOB_STATUS.QUEUED, JOB_STATUS.RUNNING, JOB_STATUS.PAUSED]
+        );
+        if (active.length > 0) {
+            return res.status(409).json({
+                success: false,
+                message: 'A number check is already in progress for this instance',
+                jobId: active[0].id
+            });
+        }
+
+        // By default only unchecked numbers are checked (no cutoff); recheck covers all of them and
+        // maxAgeDays the ones checked longer ago. The cutoff uses the database clock, like whatsapp_checked_at.
+        const cutoff = recheck ? 'NOW()' : maxAgeDays !== undefined ? 'NOW() - INTERVAL ? DAY' : 'NULL';
+        const [result] = await connection.execute(
+            `INSERT INTO number_check_jobs (instance_id, status, checked_before) VALUES (?, ?, ${cutoff})`,
+            !recheck && maxAgeDays !== undefined
+                ? [instanceId, JOB_STATUS.QUEUED, parseInt(maxAgeDays)]
+                : [instanceId, JOB_STATUS.QUEUED]
+        );
+
+        const { checked_before: checkedBefore } = await getCheckJob(result.insertId);
+        const [[{ total }]] = await connection.query(
+            `SELECT COUNT(*) as total FROM phoneList WHERE ${PENDING_CONDITION}`,
+            [instanceId, checkedBefore]
+        );
+        await connection.execute('UPDATE number_check_jobs SET total_numbers = ? WHERE id = ?', [parseInt(total), result.insertId]);
+
+        logger.info('Number check created:', { jobId: result.insertId, instanceId, totalNumbers: parseInt(total) });
+        startNumberCheck(result.insertId);
+
+        res.status(202).json({ success: true, job: formatCheckJob(await getCheckJob(result.insertId)) });
+    } catch (error) {
+        logger.error('Error in createNumberCheck:', error);
+        res.status(500).json({ success: false, message: 'Failed to start number check', error: error.message });
+    }
+};
+
+/**
+ * List number checks of an instance, newest first, with the contact totals
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const listNumberChecks = async (req, res) => {
+    try {
+        const { instanceId } = req.params;
+        const { limit = 20, offset = 0 } = req.query;
+
+        await ensureNumberCheckSchema();
+        const connection = await connectDB();
+        const [rows] = await connection.query(
+            'SELECT * FROM number_check_jobs WHERE instance_id = ? ORDER BY id DESC LIMIT ? OFFSET ?',
+            [instanceId, parseInt(limit), parseInt(offset)]
+        );
+        const [[contacts]] = await connection.query(
+            'SELECT ' +
+            'SUM(CASE WHEN is_on_whatsapp = TRUE THEN 1 ELSE 0 END) as on_whatsapp, ' +
+            'SUM(CASE WHEN is_on_whatsapp = FALSE THEN 1 ELSE 0 END) as not_on_whatsapp, ' +
+            'SUM(CASE WHEN whatsapp_checked_at IS NULL THEN 1 ELSE 0 END) as unchecked ' +
+            'FROM phoneList WHERE instance_id = ?',
+            [instanceId]
+        );
+
+        res.json({
+            success: true,
+            contacts: {
+                onWhatsApp: parseInt(contacts.on_whatsapp) || 0,
+                notOnWhatsApp: parseInt(contacts.not_on_whatsapp) || 0,
+                unchecked: parseInt(contacts.unchecked) || 0
+            },
+            jobs: rows.map(formatCheckJob)
+        });
+    } catch (error) {
+        logger.error('Error in listNumberChecks:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch number checks', error: error.message });
+    }
+};
+
+/**
+ * Get progress of a number check
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getNumberCheck = async (req, res) => {
+    try {
+        const job = await findInstanceCheck(req, res);
+        if (!job) return;
+
+        res.json({ success: true, job: formatCheckJob(job) });
+    } catch (error) {
+        logger.error('Error in getNumberCheck:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch number check', error: error.message });
+    }
+};
+
+/**
+ * Pause a queued or running number check
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const pauseNumberCheck = async (req, res) => {
+    try {
+        const job = await findInstanceCheck(req, res);
+        if (!job) return;
+
+        if (![JOB_STATUS.QUEUED, JOB_STATUS.RUNNING].includes(job.status)) {
+            return res.status(409).json({ success: false, message: `Cannot pause a number check that is ${job.status}` });
+        }
+
+        await setCheckStatus(job.id, JOB_STATUS.PAUSED);
+        res.json({ success: true, job: formatCheckJob(await getCheckJob(job.id)) });
+    } catch (error) {
+        logger.error('Error in pauseNumberCheck:', error);
+        res.status(500).json({ success: false, message: 'Failed to pause number check', error: error.message });
+    }
+};
+
+/**
+ * Resume a paused number check
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const resumeNumberCheck = async (req, res) => {
+    try {
+        const job = await findInstanceCheck(req, res);
+        if (!job) return;
+
+        if (job.status !== JOB_STATUS.PAUSED) {
+            return res.status(409).json({ success: false, message: `Cannot resume a number check that is ${job.status}` });
+        }
+
+        // If the worker has not stopped yet it carries on, or the runner restarts the check once it has
+        await setCheckStatus(job.id, JOB_STATUS.QUEUED);
+        startNumberCheck(job.id);
+        res.json({ success: true, job: formatCheckJob(await getCheckJob(job.id)) });
+    } catch (error) {
+        logger.error('Error in resumeNumberCheck:', error);
+        res.status(500).json({ success: false, message: 'Failed to resume number check', error: error.message });
+    }
+};
+
+/**
+ * Cancel a number check; results already stored are kept
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const cancelNumberCheck = async (req, res) => {
+    try {
+        const job = await findInstanceCheck(req, res);
+        if (!job) return;
+
+        if (![JOB_STATUS.QUEUED, JOB_STATUS.RUNNING, JOB_STATUS.PAUSED].includes(job.status)) {
+            return res.status(409).json({ success: false, message: `Cannot cancel a number check that is ${job.status}` });
+        }
+
+        await setCheckStatus(job.id, JOB_STATUS.CANCELLED);
+        res.json({ success: true, job: formatCheckJob(await getCheckJob(job.id)) });
+    } catch (error) {
+        logger.error('Error in cancelNumberCheck:', error);
+        res.status(500).json({ success: false, message: 'Failed to cancel number check', error: error.message });
+    }
+};
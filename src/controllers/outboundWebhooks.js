@@ -0,0 +1,591 @@
+// src/controllers/outboundWebhooks.js
+
+import crypto from 'crypto';
+import http from 'http';
+import https from 'https';
+import axios from 'axios';
+import cron from 'node-cron';
+import connectDB from '../db/index.js';
+import { ensureTable, ensureColumn } from '../db/schema.js';
+import { logger } from '../logger.js';
+import { onInstanceEvent, INSTANCE_EVENT } from '../utils/events.js';
+import { resolvePublicAddresses, pinnedLookup } from '../utils/publicAddress.js';
+
+// Customers register webhook URLs per instance and pick the events they want. Every instance
+// event (see utils/events.js) becomes one delivery per subscribed webhook: a JSON POST signed
+// with the webhook's secret. Deliveries that fail (network error or non-2xx answer) are retried
+// with exponential backoff, and each attempt is logged with its response code. Failed
+// deliveries can be replayed; attempt numbers keep counting across replays, so a receiver
+// never sees the same event id with the same attempt number twice.
+//
+// Webhook URLs must resolve to public addresses only (see utils/publicAddress.js), both when
+// they are saved and again on every attempt, and response bodies are never kept or shown.
+//
+// Signature: the X-Webhook-Signature header is "t=<unix seconds>,v1=<hex>", where <hex> is the
+// HMAC-SHA256 of "<t>.<raw body>" keyed with the webhook secret.
+
+// Events webhooks can subscribe to; QR codes and progress ticks only go to event streams
+const WEBHOOK_EVENTS = [
+    INSTANCE_EVENT.MESSAGE_SENT,
+    INSTANCE_EVENT.MESSAGE_DELIVERED,
+    INSTANCE_EVENT.MESSAGE_READ,
+    INSTANCE_EVENT.MESSAGE_FAILED,
+    INSTANCE_EVENT.MESSAGE_INBOUND,
+    INSTANCE_EVENT.CONNECTION_UPDATE
+];
+const DELIVERY_STATUS = {
+    PENDING: 'pending',
+    DELIVERED: 'delivered',
+    FAILED: 'failed'
+};
+
+const MAX_ATTEMPTS = 8;
+const RETRY_BASE_SECONDS = 30;
+const RETRY_MAX_SECONDS = 6 * 60 * 60;
+const REQUEST_TIMEOUT_MS = 10000;
+const DELIVERIES_PER_TICK = 25;
+const URL_MAX_LENGTH = 2048;
+const DESCRIPTION_MAX_LENGTH = 255;
+const MAX_REPLAY = 500;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Deliveries being sent right now, so the retry tick and an immediate send never overlap
+const inFlight = new Set();
+
+// Function to make sure the webhook, delivery and attempt tables exist
+export const ensureWebhookSchema = async () => {
+    await ensureTable('webhook_endpoints', `
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        instance_id VARCHAR(255) NOT NULL,
+        url VARCHAR(2048) NOT NULL,
+        secret VARCHAR(128) NOT NULL,
+        events TEXT NOT NULL,
+        description VARCHAR(255) NULL,
+        enabled BOOLEAN NOT NULL DEFAULT TRUE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_instance_id (instance_id)
+    `);
+    await ensureTable('webhook_deliveries', `
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        webhook_id INT NOT NULL,
+        instance_id VARCHAR(255) NOT NULL,
+        event_id CHAR(36) NOT NULL,
+        event_type VARCHAR(64) NOT NULL,
+        payload LONGTEXT NOT NULL,
+        status ENUM('pending', 'delivered', 'failed') NOT NULL DEFAULT 'pending',
+        attempts INT NOT NULL DEFAULT 0,
+        next_attempt_at TIMESTAMP NULL,
+        last_response_status INT NULL,
+        last_error TEXT NULL,
+        delivered_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_webhook_status (webhook_id, status),
+        INDEX idx_due (status, next_attempt_at)
+    `);
+    await ensureTable('webhook_delivery_attempts', `
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        delivery_id INT NOT NULL,
+        attempt INT NOT NULL,
+        response_status INT NULL,
+        error TEXT NULL,
+        duration_ms INT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_delivery_id (delivery_id)
+    `);
+    // Replays get MAX_ATTEMPTS more attempts, counted from replay_from_attempt
+    await ensureColumn('webhook_deliveries', 'replay_count', 'INT NOT NULL DEFAULT 0');
+    await ensureColumn('webhook_deliveries', 'replayed_at', 'TIMESTAMP NULL');
+    await ensureColumn('webhook_deliveries', 'replay_from_attempt', 'INT NOT NULL DEFAULT 0');
+};
+
+// Function to sign a raw webhook body with a secret at a unix time
+export const signWebhookPayload = (secret, timestamp, body) => (
+    `t=${timestamp},v1=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`
+);
+
+// Seconds to wait before the attempt after `attempts` failed ones: 30s, 1m, 2m, ... up to 6h
+const getRetryDelaySeconds = (attempts) => Math.min(RETRY_BASE_SECONDS * 2 ** (attempts - 1), RETRY_MAX_SECONDS);
+
+const formatWebhook = ({ secret, ...row }) => ({
+    ...row,
+    events: JSON.parse(row.events),
+    enabled: !!row.enabled
+});
+
+// Function to get a webhook that belongs to an instance, with its secret
+const findWebhook = async (instanceId, webhookId) => {
+    await ensureWebhookSchema();
+    const connection = await connectDB();
+    const [rows] = await connection.query(
+        'SELECT * FROM webhook_endpoints WHERE id = ? AND instance_id = ?',
+        [webhookId, instanceId]
+    );
+    return rows[0] || null;
+};
+
+// Function to make one delivery attempt and record its outcome
+const attemptDelivery = async (deliveryId) => {
+    if (inFlight.has(deliveryId)) return;
+    inFlight.add(deliveryId);
+
+    try {
+        const connection = await connectDB();
+        const [rows] = await connection.query(
+            'SELECT d.*, w.url, w.secret FROM webhook_deliveries d ' +
+            'JOIN webhook_endpoints w ON w.id = d.webhook_id ' +
+            'WHERE d.id = ? AND d.status = \'pending\'',
+            [deliveryId]
+        );
+        const delivery = rows[0];
+        if (!delivery) return;
+
+        const attempt = delivery.attempts + 1;
+        // Backoff and giving up start over after a replay
+        const attemptSinceReplay = attempt - delivery.replay_from_attempt;
+        const timestamp = Math.floor(Date.now() / 1000);
+        const startedAt = Date.now();
+        let responseStatus = null;
+        let error = null;
+
+        try {
+            // Checked again on every attempt, and the connection pinned to the checked address
+            const [address] = await resolvePublicAddresses(delivery.url);
+            const lookup = pinnedLookup(address);
+
+            const response = await axios.post(delivery.url, delivery.payload, {
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'MultyComm-Webhooks/1.0',
+                    'X-Webhook-Id': delivery.event_id,
+                    'X-Webhook-Event': delivery.event_type,
+                    'X-Webhook-Attempt': String(attempt),
+                    'X-Webhook-Signature': signWebhookPayload(delivery.secret, timestamp, delivery.payload)
+                },
+                httpAgent: new http.Agent({ lookup }),
+                httpsAgent: new https.Agent({ lookup }),
+                proxy: false,
+                timeout: REQUEST_TIMEOUT_MS,
+                maxRedirects: 0,
+                responseType: 'text',
+                transformResponse: [(data) => data],
+                validateStatus: () => true
+            });
+            responseStatus = response.status;
+            if (responseStatus < 200 || responseStatus >= 300) {
+                error = `Endpoint answered with HTTP ${responseStatus}`;
+            }
+        } catch (requestError) {
+            error = requestError.message;
+        }
+
+        await connection.query(
+            'INSERT INTO webhook_delivery_attempts (delivery_id, attempt, response_status, error, duration_ms) VALUES (?, ?, ?, ?, ?)',
+            [delivery.id, attempt, responseStatus, error, Date.now() - startedAt]
+        );
+
+        if (!error) {
+            await connection.query(
+                'UPDATE webhook_deliveries SET status = \'delivered\', attempts = ?, last_response_status = ?, last_error = NULL, ' +
+                'next_attempt_at = NULL, delivered_at = NOW() WHERE id = ?',
+                [attempt, responseStatus, delivery.id]
+            );
+            return;
+        }
+
+        const giveUp = attemptSinceReplay >= MAX_ATTEMPTS;
+        await connection.query(
+            'UPDATE webhook_deliveries SET status = ?, attempts = ?, last_response_status = ?, last_error = ?, ' +
+            'next_attempt_at = IF(?, NULL, NOW() + INTERVAL ? SECOND) WHERE id = ?',
+            [giveUp ? DELIVERY_STATUS.FAILED : DELIVERY_STATUS.PENDING, attempt, responseStatus, error, giveUp, getRetryDelaySeconds(attemptSinceReplay), delivery.id]
+        );
+        logger.warn('Webhook delivery attempt failed:', { deliveryId: delivery.id, attempt, responseStatus, error, giveUp });
+    } catch (error) {
+        logger.error('Error delivering webhook:', { deliveryId, error: error.message, stack: error.stack });
+    } finally {
+        inFlight.delete(deliveryId);
+    }
+};
+
+// Function to queue an instance event for every enabled webhook of the instance subscribed to
+// it, and make the first attempts straight away
+const queueWebhookDeliveries = async (event) => {
+    try {
+        if (!WEBHOOK_EVENTS.includes(event.type)) return;
+
+        await ensureWebhookSchema();
+        const connection = await connectDB();
+        const [webhooks] = await connection.query(
+            'SELECT id, events FROM webhook_endpoints WHERE instance_id = ? AND enabled = TRUE',
+            [event.instanceId]
+        );
+        const subscribed = webhooks.filter(webhook => JSON.parse(webhook.events).includes(event.type));
+        if (subscribed.length === 0) return;
+
+        const payload = JSON.stringify({
+            id: event.id,
+            event: event.type,
+            instanceId: event.instanceId,
+            createdAt: event.createdAt,
+            data: event.data
+        });
+
+        for (const webhook of subscribed) {
+            const [result] = await connection.query(
+                'INSERT INTO webhook_deliveries (webhook_id, instance_id, event_id, event_type, payload, next_attempt_at) VALUES (?, ?, ?, ?, ?, NOW())',
+                [webhook.id, event.instanceId, event.id, event.type, payload]
+            );
+            attemptDelivery(result.insertId);
+        }
+    } catch (error) {
+        logger.error('Error queueing webhook deliveries:', { event: event.type, instanceId: event.instanceId, error: error.message });
+    }
+};
+
+// Function to retry the deliveries that are due
+const retryDueDeliveries = async () => {
+    await ensureWebhookSchema();
+    const connection = await connectDB();
+    const [rows] = await connection.query(
+        'SELECT id FROM webhook_deliveries WHERE status = \'pending\' AND next_attempt_at <= NOW() ORDER BY next_attempt_at ASC LIMIT ?',
+        [DELIVERIES_PER_TICK]
+    );
+
+    for (const { id } of rows) {
+        await attemptDelivery(id);
+    }
+};
+
+// Function to start sending webhooks: instance events are queued as they happen, and due
+// retries (including deliveries interrupted by a restart) are picked up every 5 seconds
+export const initializeWebhookDispatcher = () => {
+    onInstanceEvent((event) => {
+        queueWebhookDeliveries(event);
+    });
+
+    let isProcessing = false;
+    cron.schedule('*/5 * * * * *', async () => {
+        if (isProcessing) return;
+        isProcessing = true;
+        try {
+            await retryDueDeliveries();
+        } catch (error) {
+            logger.error('Error retrying webhook deliveries:', error.message);
+        } finally {
+            isProcessing = false;
+        }
+    });
+
+    logger.info('Webhook dispatcher initialized');
+};
+
+// Validate a webhook from a request body, merged over the existing webhook when updating.
+// Returns { error } or { fields } with the columns to save.
+const validateWebhook = async (body, existing = {}) => {
+    const value = (field) => (body[field] !== undefined ? body[field] : existing[field]);
+    const fields = {
+        url: value('url'),
+        events: value('events'),
+        description: value('description') ?? null,
+        enabled: value('enabled') ?? true
+    };
+
+    let url;
+    try {
+        url = new URL(fields.url);
+    } catch (error) {
+        return { error: 'url must be an absolute http(s) URL' };
+    }
+    if (!['http:', 'https:'].includes(url.protocol) || fields.url.length > URL_MAX_LENGTH) {
+        return { error: `url must be an http(s) URL of at most ${URL_MAX_LENGTH} characters` };
+    }
+    try {
+        await resolvePublicAddresses(fields.url);
+    } catch (error) {
+        return { error: `url must point to a public address: ${error.message}` };
+    }
+
+    if (!Array.isArray(fields.events) || fields.events.length === 0 || fields.events.some(event => !WEBHOOK_EVENTS.includes(event))) {
+        return { error: `events must be a list of: ${WEBHOOK_EVENTS.join(', ')}` };
+    }
+    if (fields.description !== null && (typeof fields.description !== 'string' || fields.description.length > DESCRIPTION_MAX_LENGTH)) {
+        return { error: `description must be at most ${DESCRIPTION_MAX_LENGTH} characters` };
+    }
+
+    fields.events = JSON.stringify([...new Set(fields.events)]);
+    fields.enabled = !!fields.enabled;
+    return { fields };
+};
+
+/**
+ * List the webhooks of an instance with their delivery counts
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const listWebhooks = async (req, res) => {
+    try {
+        const { instanceId } = req.params;
+
+        await ensureWebhookSchema();
+        const connection = await connectDB();
+        const [rows] = await connection.query(
+            'SELECT w.*, ' +
+            'SUM(d.status = \'pending\') AS pending_deliveries, ' +
+            'SUM(d.status = \'failed\') AS failed_deliveries ' +
+            'FROM webhook_endpoints w LEFT JOIN webhook_deliveries d ON d.webhook_id = w.id ' +
+            'WHERE w.instance_id = ? GROUP BY w.id ORDER BY w.id ASC',
+            [instanceId]
+        );
+
+        res.json({
+            success: true,
+            events: WEBHOOK_EVENTS,
+            webhooks: rows.map(row => ({
+                ...formatWebhook(row),
+                pending_deliveries: parseInt(row.pending_deliveries) || 0,
+                failed_deliveries: parseInt(row.failed_deliveries) || 0
+            }))
+        });
+    } catch (error) {
+        logger.error('Error in listWebhooks:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch webhooks', error: error.message });
+    }
+};
+
+/**
+ * Register a webhook URL for an instance. The signing secret is only returned here.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const createWebhook = async (req, res) => {
+    try {
+        const { instanceId } = req.params;
+
+        const { error, fields } = await validateWebhook(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        await ensureWebhookSchema();
+        const secret = `whsec_${crypto.randomBytes(24).toString('hex')}`;
+        const connection = await connectDB();
+        const [result] = await connection.query(
+            'INSERT INTO webhook_endpoints (instance_id, url, secret, events, description, enabled) VALUES (?, ?, ?, ?, ?, ?)',
+            [instanceId, fields.url, secret, fields.events, fields.description, fields.enabled]
+        );
+
+        logger.info('Webhook created:', { instanceId, webhookId: result.insertId, url: fields.url });
+        res.status(201).json({
+            success: true,
+            webhook: formatWebhook(await findWebhook(instanceId, result.insertId)),
+            secret
+        });
+    } catch (error) {
+        logger.error('Error in createWebhook:', error);
+        res.status(500).json({ success: false, message: 'Failed to create webhook', error: error.message });
+    }
+};
+
+/**
+ * Update a webhook; fields missing from the body keep their value. rotateSecret: true issues
+ * a new signing secret, returned in the response.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const updateWebhook = async (req, res) => {
+    try {
+        const { instanceId, webhookId } = req.params;
+
+        const webhook = await findWebhook(instanceId, webhookId);
+        if (!webhook) {
+            return res.status(404).json({ success: false, message: 'Webhook not found' });
+        }
+
+        const { error, fields } = await validateWebhook(req.body, formatWebhook(webhook));
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const secret = req.body.rotateSecret ? `whsec_${crypto.randomBytes(24).toString('hex')}` : webhook.secret;
+        const connection = await connectDB();
+        await connection.query(
+            'UPDATE webhook_endpoints SET url = ?, secret = ?, events = ?, description = ?, enabled = ? WHERE id = ?',
+            [fields.url, secret, fields.events, fields.description, fields.enabled, webhook.id]
+        );
+
+        res.json({
+            success: true,
+            webhook: formatWebhook(await findWebhook(instanceId, webhook.id)),
+            ...(req.body.rotateSecret ? { secret } : {})
+        });
+    } catch (error) {
+        logger.error('Error in updateWebhook:', error);
+        res.status(500).json({ success: false, message: 'Failed to update webhook', error: error.message });
+    }
+};
+
+/**
+ * Delete a webhook; deliveries still waiting for a retry are given up
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const deleteWebhook = async (req, res) => {
+    try {
+        const { instanceId, webhookId } = req.params;
+
+        const webhook = await findWebhook(instanceId, webhookId);
+        if (!webhook) {
+            return res.status(404).json({ success: false, message: 'Webhook not found' });
+        }
+
+        const connection = await connectDB();
+        await connection.query(
+            'UPDATE webhook_deliveries SET status = \'failed\', next_attempt_at = NULL, last_error = \'Webhook deleted\' WHERE webhook_id = ? AND status = \'pending\'',
+            [webhook.id]
+        );
+        await connection.query('DELETE FROM webhook_endpoints WHERE id = ?', [webhook.id]);
+
+        res.json({ success: true, message: 'Webhook deleted' });
+    } catch (error) {
+        logger.error('Error in deleteWebhook:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete webhook', error: error.message });
+    }
+};
+
+/**
+ * List a webhook's deliveries, newest first, optionally filtered by status and event
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const listWebhookDeliveries = async (req, res) => {
+    try {
+        const { instanceId, webhookId } = req.params;
+        const { status, event } = req.query;
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+        if (status && !Object.values(DELIVERY_STATUS).includes(status)) {
+            return res.status(400).json({ success: false, message: `status must be one of: ${Object.values(DELIVERY_STATUS).join(', ')}` });
+        }
+
+        const webhook = await findWebhook(instanceId, webhookId);
+        if (!webhook) {
+            return res.status(404).json({ success: false, message: 'Webhook not found' });
+        }
+
+        const connection = await connectDB();
+        const [rows] = await connection.query(
+            'SELECT id, event_id, event_type, status, attempts, replay_count, replayed_at, next_attempt_at, last_response_status, last_error, ' +
+            'delivered_at, created_at, ' +
+            'COUNT(*) OVER () AS total ' +
+            'FROM webhook_deliveries WHERE webhook_id = ? ' +
+            (status ? 'AND status = ? ' : '') +
+            (event ? 'AND event_type = ? ' : '') +
+            'ORDER BY id DESC LIMIT ? OFFSET ?',
+            [webhook.id, ...(status ? [status] : []), ...(event ? [event] : []), limit, offset]
+        );
+
+        res.json({
+            success: true,
+            total: rows.length > 0 ? rows[0].total : 0,
+            limit,
+            offset,
+            deliveries: rows.map(({ total, ...row }) => row)
+        });
+    } catch (error) {
+        logger.error('Error in listWebhookDeliveries:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch webhook deliveries', error: error.message });
+    }
+};
+
+/**
+ * Get a webhook delivery with its payload and every attempt's response code
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getWebhookDelivery = async (req, res) => {
+    try {
+        const { instanceId, webhookId, deliveryId } = req.params;
+
+        const webhook = await findWebhook(instanceId, webhookId);
+        if (!webhook) {
+            return res.status(404).json({ success: false, message: 'Webhook not found' });
+        }
+
+        const connection = await connectDB();
+        const [rows] = await connection.query(
+            'SELECT * FROM webhook_deliveries WHERE id = ? AND webhook_id = ?',
+            [deliveryId, webhook.id]
+        );
+        if (rows.length === 0) {
+            return res.status(404).json({ success: false, message: 'Delivery not found' });
+        }
+
+        const [attempts] = await connection.query(
+            'SELECT attempt, response_status, error, duration_ms, created_at FROM webhook_delivery_attempts ' +
+            'WHERE delivery_id = ? ORDER BY id ASC',
+            [rows[0].id]
+        );
+
+        res.json({
+            success: true,
+            delivery: { ...rows[0], payload: JSON.parse(rows[0].payload) },
+            attempts
+        });
+    } catch (error) {
+        logger.error('Error in getWebhookDelivery:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch webhook delivery', error: error.message });
+    }
+};
+
+/**
+ * Resend failed deliveries of a webhook: the ones listed in deliveryIds, or all failed ones
+ * (up to 500, oldest first). Each gets a fresh set of attempts with the original payload and
+ * event id, so receivers can recognise an event they already processed; attempt numbers carry on
+ * from the earlier ones.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const replayWebhookDeliveries = async (req, res) => {
+    try {
+        const { instanceId, webhookId } = req.params;
+        const { deliveryIds } = req.body;
+
+        if (deliveryIds !== undefined && (!Array.isArray(deliveryIds) || deliveryIds.length === 0 || deliveryIds.length > MAX_REPLAY)) {
+            return res.status(400).json({ success: false, message: `deliveryIds must be a list of 1-${MAX_REPLAY} delivery ids` });
+        }
+
+        const webhook = await findWebhook(instanceId, webhookId);
+        if (!webhook) {
+            return res.status(404).json({ success: false, message: 'Webhook not found' });
+        }
+        if (!webhook.enabled) {
+            return res.status(400).json({ success: false, message: 'Enable the webhook before replaying deliveries' });
+        }
+
+        const connection = await connectDB();
+        const [rows] = await connection.query(
+            'SELECT id FROM webhook_deliveries WHERE webhook_id = ? AND status = \'failed\' ' +
+            (deliveryIds ? 'AND id IN (?) ' : '') +
+            'ORDER BY id ASC LIMIT ?',
+            [webhook.id, ...(deliveryIds ? [deliveryIds] : []), MAX_REPLAY]
+        );
+        const ids = rows.map(row => row.id);
+
+        if (ids.length > 0) {
+            await connection.query(
+                'UPDATE webhook_deliveries SET status = \'pending\', replay_count = replay_count + 1, replayed_at = NOW(), ' +
+                'replay_from_attempt = attempts, next_attempt_at = NOW() WHERE id IN (?)',
+                [ids]
+            );
+        }
+
+        logger.info('Webhook deliveries replayed:', { instanceId, webhookId: webhook.id, count: ids.length });
+        res.json({ success: true, replayed: ids.length, deliveryIds: ids });
+    } catch (error) {
+        logger.error('Error in replayWebhookDeliveries:', error);
+        res.status(500).json({ success: false, message: 'Failed to replay webhook deliveries', error: error.message });
+    }
+};
@@ -7,6 +7,11 @@ import { makeWASocket, DisconnectReason, useMultiFileAuthState } from '@whiskeys
 import { logger } from '../logger.js';
 // In qrcode.js, import the setupMessageStatusTracking
 import { setupMessageStatusTracking } from './updateStatus.js';
+import { startWarmup } from './throttle.js';
+import { recordInboundMessages } from './conversations.js';
+import { runAutoReplies } from './autoReplies.js';
+import { handleOptOuts } from './suppression.js';
+import { emitInstanceEvent, INSTANCE_EVENT } from '../utils/events.js';
 
 // Store active instances
 export const instances = {};
@@ -74,7 +79,9 @@ export const initializeSock = async (instanceId) => {
 
                 logger.info('Connection update:', { update });
 
-                if (qr && !hasResolved) {
+                // The first QR code answers the request; WhatsApp refreshes it every ~20 seconds
+                // until it is scanned, and every one is kept and pushed to event streams
+                if (qr) {
                     logger.info(`Generating QR code for instance ${instanceId}`);
                     try {
                         const url = await qrcode.toDataURL(qr);
@@ -86,6 +93,7 @@ export const initializeSock = async (instanceId) => {
                             status: 'disconnected',
                             lastUpdate: new Date()
                         };
+                        emitInstanceEvent(instanceId, INSTANCE_EVENT.QR_UPDATE, { qrCode: url });
                         
                         if (!hasResolved) {
                             resolve({ qrCode: url });
@@ -93,10 +101,15 @@ export const initializeSock = async (instanceId) => {
                         }
                     } catch (err) {
                         logger.error('Error generating QR code URL:', { error: err.message, stack: err.stack });
-                        reject(err);
+                        if (!hasResolved) reject(err);
                     }
                 }
 
+                // A freshly paired number starts on the warm-up ramp
+                if (update.isNewLogin) {
+                    await startWarmup(instanceId);
+                }
+
                 if (connection === 'open') {
                     logger.info(`Connection opened for instance ${instanceId}`);
                     clearTimeout(timeout);
@@ -174,11 +187,30 @@ export const initializeSock = async (instanceId) => {
                         }
                     }
                 }
+
+                if (connection) {
+                    emitInstanceEvent(instanceId, INSTANCE_EVENT.CONNECTION_UPDATE, {
+                        connection,
+                        status: instances[instanceId]?.status || null,
+                        statusCode,
+                        loggedOut: connection === 'close' && !shouldReconnect
+                    });
+                }
             });
 
-            // Handle messages
-            sock.ev.on('messages.upsert', (m) => {
-                logger.info('Got message:', { messages: m });
+            // Store what contacts send us, publish it, handle opt-out keywords and answer the rest
+            // with the auto-reply rules; messages synced from history on connect (type 'append')
+            // are stored but not acted on
+            sock.ev.on('messages.upsert', async (m) => {
+                logger.info('Got message:', { type: m.type, count: m.messages?.length });
+                const stored = await recordInboundMessages(instanceId, m);
+                if (m.type === 'notify') {
+                    for (const { message, ...inbound } of stored) {
+                        emitInstanceEvent(instanceId, INSTANCE_EVENT.MESSAGE_INBOUND, inbound);
+                    }
+                    const unhandled = await handleOptOuts(instanceId, sock, stored);
+                    await runAutoReplies(instanceId, sock, unhandled);
+                }
             });
 
             // Handle connection events
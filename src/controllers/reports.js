@@ -2,6 +2,10 @@
 
 import connectDB from '../db/index.js';
 import { logger } from '../logger.js';
+import { ensureCampaignSchema } from './campaigns.js';
+import { ensureMessageTypeSchema, ensureAttachmentSchema, ensureQuoteSchema } from './messages.js';
+import { ensureMediaSchema } from './mediaLibrary.js';
+import { ensureMessageActionSchema } from './messageActions.js';
 
 /**
  * Get message reports with optional filtering
@@ -11,9 +15,24 @@ import { logger } from '../logger.js';
 export const getMessageReports = async (req, res) => {
     try {
         const { instance_id } = req.params;
-        const { start_date, end_date, recipient, status, limit = 100, offset = 0 } = req.query;
+        const { start_date, end_date, recipient, status, campaign_id, message_type, parent_message_id, quoted_message_id, action, limit = 100, offset = 0 } = req.query;
         
+        await ensureCampaignSchema();
+        await ensureMessageTypeSchema();
+        await ensureMediaSchema();
+        await ensureAttachmentSchema();
+        await ensureMessageActionSchema();
+        await ensureQuoteSchema();
         const connection = await connectDB();
+
+        // action=edited or action=revoked lists the messages changed after sending
+        const actionColumn = { edited: 'edited_at', revoked: 'revoked_at' }[action];
+        if (action && !actionColumn) {
+            return res.status(400).json({
+                success: false,
+                message: 'action must be edited or revoked'
+            });
+        }
         
         // Use media_messages as primary source and get timing info from report_time
         let reportQuery = `
@@ -23,10 +42,22 @@ export const getMessageReports = async (req, res) => {
                 m.recipient,
                 m.message,
                 m.media,
+                m.media_id,
                 m.caption,
                 m.message_status,
                 m.created_at,
                 m.whatsapp_message_id,
+                m.campaign_id,
+                m.message_type,
+                m.payload,
+                m.parent_message_id,
+                m.original_message,
+                m.edited_at,
+                m.revoked_at,
+                m.reaction,
+                m.quoted_message_id,
+                m.quoted_whatsapp_id,
+                m.quoted_participant,
                 MAX(r.initiated_time) as initiated_time,
                 MAX(r.sent_time) as sent_time,
                 MAX(r.delivered_time) as delivered_time,
@@ -40,16 +71,33 @@ export const getMessageReports = async (req, res) => {
             ${start_date ? 'AND m.created_at >= ?' : ''}
             ${end_date ? 'AND m.created_at <= ?' : ''}
             ${status ? 'AND m.message_status = ?' : ''}
+            ${campaign_id ? 'AND m.campaign_id = ?' : ''}
+            ${message_type ? 'AND m.message_type = ?' : ''}
+            ${parent_message_id ? 'AND m.parent_message_id = ?' : ''}
+            ${quoted_message_id ? 'AND m.quoted_message_id = ?' : ''}
+            ${actionColumn ? `AND m.${actionColumn} IS NOT NULL` : ''}
             GROUP BY 
                 m.id, 
                 m.instance_id,
                 m.recipient,
                 m.message,
                 m.media,
+                m.media_id,
                 m.caption,
                 m.message_status,
                 m.created_at,
-                m.whatsapp_message_id
+                m.whatsapp_message_id,
+                m.campaign_id,
+                m.message_type,
+                m.payload,
+                m.parent_message_id,
+                m.original_message,
+                m.edited_at,
+                m.revoked_at,
+                m.reaction,
+                m.quoted_message_id,
+                m.quoted_whatsapp_id,
+                m.quoted_participant
             ORDER BY m.created_at DESC 
             LIMIT ? OFFSET ?
         `;
@@ -59,6 +107,10 @@ export const getMessageReports = async (req, res) => {
         if (start_date) reportParams.push(`${start_date} 00:00:00`);
         if (end_date) reportParams.push(`${end_date} 23:59:59`);
         if (status) reportParams.push(status);
+        if (campaign_id) reportParams.push(campaign_id);
+        if (message_type) reportParams.push(message_type);
+        if (parent_message_id) reportParams.push(parent_message_id);
+        if (quoted_message_id) reportParams.push(quoted_message_id);
         reportParams.push(parseInt(limit), parseInt(offset));
 
         // Get total count from media_messages only
@@ -70,6 +122,11 @@ export const getMessageReports = async (req, res) => {
             ${start_date ? 'AND created_at >= ?' : ''}
             ${end_date ? 'AND created_at <= ?' : ''}
             ${status ? 'AND message_status = ?' : ''}
+            ${campaign_id ? 'AND campaign_id = ?' : ''}
+            ${message_type ? 'AND message_type = ?' : ''}
+            ${parent_message_id ? 'AND parent_message_id = ?' : ''}
+            ${quoted_message_id ? 'AND quoted_message_id = ?' : ''}
+            ${actionColumn ? `AND ${actionColumn} IS NOT NULL` : ''}
         `;
         
         const countParams = [instance_id];
@@ -77,6 +134,10 @@ export const getMessageReports = async (req, res) => {
         if (start_date) countParams.push(`${start_date} 00:00:00`);
         if (end_date) countParams.push(`${end_date} 23:59:59`);
         if (status) countParams.push(status);
+        if (campaign_id) countParams.push(campaign_id);
+        if (message_type) countParams.push(message_type);
+        if (parent_message_id) countParams.push(parent_message_id);
+        if (quoted_message_id) countParams.push(quoted_message_id);
         
         const [reportRows] = await connection.query(reportQuery, reportParams);
         const [totalCount] = await connection.query(countQuery, countParams);
@@ -98,7 +159,8 @@ export const getMessageReports = async (req, res) => {
         // Process reports
         const reports = reportRows.map((report, index) => ({
             sno: parseInt(offset) + index + 1,
-            ...report
+            ...report,
+            payload: report.payload ? JSON.parse(report.payload) : null
         }));
         
         return res.json({
@@ -129,8 +191,10 @@ export const getMessageReports = async (req, res) => {
 export const getMessageStatusSummary = async (req, res) => {
     try {
         const { instance_id } = req.params;
-        const { start_date, end_date } = req.query;
+        const { start_date, end_date, campaign_id, message_type } = req.query;
         
+        await ensureCampaignSchema();
+        await ensureMessageTypeSchema();
         const connection = await connectDB();
         
         // Get status summary directly from media_messages
@@ -142,12 +206,16 @@ export const getMessageStatusSummary = async (req, res) => {
             WHERE instance_id = ?
             ${start_date ? 'AND created_at >= ?' : ''}
             ${end_date ? 'AND created_at <= ?' : ''}
+            ${campaign_id ? 'AND campaign_id = ?' : ''}
+            ${message_type ? 'AND message_type = ?' : ''}
             GROUP BY message_status
         `;
         
         const queryParams = [instance_id];
         if (start_date) queryParams.push(`${start_date} 00:00:00`);
         if (end_date) queryParams.push(`${end_date} 23:59:59`);
+        if (campaign_id) queryParams.push(campaign_id);
+        if (message_type) queryParams.push(message_type);
         
         const [rows] = await connection.query(query, queryParams);
         
@@ -187,7 +255,7 @@ export const getMessageStatusSummary = async (req, res) => {
 export const getDailyMessageCount = async (req, res) => {
     try {
         const { instance_id } = req.params;
-        const { start_date, end_date } = req.query;
+        const { start_date, end_date, campaign_id, message_type } = req.query;
         
         if (!start_date || !end_date) {
             return res.status(400).json({
@@ -196,6 +264,8 @@ export const getDailyMessageCount = async (req, res) => {
             });
         }
         
+        await ensureCampaignSchema();
+        await ensureMessageTypeSchema();
         const connection = await connectDB();
         
         const query = `
@@ -209,11 +279,17 @@ export const getDailyMessageCount = async (req, res) => {
                 SUM(CASE WHEN m.message_status = 'pending' THEN 1 ELSE 0 END) as pending
             FROM media_messages m
             WHERE m.instance_id = ? AND m.created_at BETWEEN ? AND ?
+            ${campaign_id ? 'AND m.campaign_id = ?' : ''}
+            ${message_type ? 'AND m.message_type = ?' : ''}
             GROUP BY DATE(m.created_at)
             ORDER BY DATE(m.created_at)
         `;
         
-        const [rows] = await connection.query(query, [instance_id, start_date, end_date]);
+        const queryParams = [instance_id, start_date, end_date];
+        if (campaign_id) queryParams.push(campaign_id);
+        if (message_type) queryParams.push(message_type);
+        
+        const [rows] = await connection.query(query, queryParams);
         
         res.json({
             success: true,
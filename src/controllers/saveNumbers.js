@@ -4,6 +4,8 @@ import connectDB from '../db/index.js';
 import csv from 'csv-parser';
 import { Readable } from 'stream';
 import xlsx from 'xlsx';
+import { ensureSendWindowSchema } from './sendWindows.js';
+import { isValidTimezone } from '../utils/timezones.js';
 
 // Function to save phone numbers to the database
 export const saveCSVDataToDB = async (req) => {
@@ -174,15 +176,18 @@ export const saveCSVDataToDB = async (req) => {
         console.log('CSV Headers:', headers);
 
         // Get database connection
+        await ensureSendWindowSchema();
         const connection = await connectDB();
 
         // Insert all numbers into the database
         for (const row of results) {
             try {
+                // An optional timezone column sets the recipient's local time for send windows
+                const timezone = isValidTimezone(row.timezone?.trim()) ? row.timezone.trim() : null;
                 await connection.query(
-                    `INSERT INTO phoneList (phone_numbers, name, created_at, instance_id) 
-                     VALUES (?, ?, NOW(), ?)`,
-                    [row.phone_numbers, row.name, instanceId]
+                    `INSERT INTO phoneList (phone_numbers, name, timezone, created_at, instance_id) 
+                     VALUES (?, ?, ?, NOW(), ?)`,
+                    [row.phone_numbers, row.name, timezone, instanceId]
                 );
             } catch (insertError) {
                 console.error('Error inserting row:', insertError);
@@ -4,9 +4,23 @@ import connectDB from '../db/index.js';
 import cron from 'node-cron';
 import { instances, initializeSock } from './qrcode.js';
 import { logger } from '../logger.js';
+import { ensureCampaignSchema } from './campaigns.js';
+import { buildMediaPayload, replacePlaceholders, ensureMessageTypeSchema, ensureAttachmentSchema, ensureQuoteSchema, loadStoredQuote, buildQuotedMessage, getMessageType, updateMessageWithWhatsAppId } from './messages.js';
+import { buildStructuredContent, usesTextAsBody, sendContent } from '../utils/messageContent.js';
+import { findMedia, ensureMediaSchema, buildLibraryMediaPayload } from './mediaLibrary.js';
+import { spinText } from '../utils/spintax.js';
+import { ensureThrottleSchema, getSendDelay, getPacingDelay } from './throttle.js';
+import { checkSendWindow } from './sendWindows.js';
+import { addMentions } from './groups.js';
+import { publishDueStatusPosts } from './statusPosts.js';
+import { reserveCredits, settleReservation } from './credits.js';
+import { isSuppressed } from './suppression.js';
+import { toJid } from '../utils/jids.js';
 
 // Function to save scheduled message to database
-export const saveScheduledMessage = async (instanceId, phoneNumbers, message, media, caption, scheduleTime, delayInMS) => {
+// media is a media library row (or null); rows keep its id and server-side path.
+// attachments is an ordered list of { media, caption }, saved as child rows of each message.
+export const saveScheduledMessage = async (instanceId, phoneNumbers, message, media, caption, scheduleTime, delayInMS, campaignId = null, messageType = null, payload = null, attachments = []) => {
     try {
         // Validate that instance exists in database
         if (!instanceId) {
@@ -50,10 +64,14 @@ export const saveScheduledMessage = async (instanceId, phoneNumbers, message, me
         // Convert phoneNumbers to array if it's not already
         const recipients = Array.isArray(phoneNumbers) ? phoneNumbers : [phoneNumbers];
         
+        await ensureCampaignSchema();
+        await ensureMessageTypeSchema();
+        await ensureMediaSchema();
+        await ensureAttachmentSchema();
         const query = `
             INSERT INTO media_messages 
-            (instance_id, recipient, message, media, caption, schedule_time, message_status, created_at) 
-            VALUES (?, ?, ?, ?, ?, ?, 'pending', NOW());
+            (instance_id, recipient, message, media, media_id, caption, schedule_time, campaign_id, message_type, payload, parent_message_id, message_status, created_at) 
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending', NOW());
         `;
 
         const savedIds = [];
@@ -64,9 +82,15 @@ export const saveScheduledMessage = async (instanceId, phoneNumbers, message, me
                 instanceId || null,
                 recipient.trim(),  // Save single recipient
                 message || null,
-                media || null,
+                media ? media.storage_path : null,
+                media ? media.id : null,
                 caption || null,
-                formattedScheduleTime
+                formattedScheduleTime,
+                campaignId || null,
+                // Plain media rows get their exact type once the file is read at send time
+                messageType || (media ? null : (attachments.length > 0 && !message ? 'album' : 'text')),
+                payload ? JSON.stringify(payload) : null,
+                null
             ];
 
             logger.info('Saving scheduled message for recipient:', {
@@ -76,7 +100,23 @@ export const saveScheduledMessage = async (instanceId, phoneNumbers, message, me
             
             const [result] = await connection.execute(query, values);
             savedIds.push(result.insertId);
-            logger.info('Scheduled message saved:', { recipient, messageId: result.insertId });
+
+            for (const attachment of attachments) {
+                await connection.execute(query, [
+                    instanceId,
+                    recipient.trim(),
+                    null,
+                    attachment.media.storage_path,
+                    attachment.media.id,
+                    attachment.caption || null,
+                    formattedScheduleTime,
+                    campaignId || null,
+                    null,
+                    null,
+                    result.insertId
+                ]);
+            }
+            logger.info('Scheduled message saved:', { recipient, messageId: result.insertId, attachments: attachments.length });
         }
 
         return savedIds;
@@ -86,18 +126,20 @@ export const saveScheduledMessage = async (instanceId, phoneNumbers, message, me
     }
 };
 
-// Function to send a single message using Baileys with retry
-const sendMessage = async (sock, jid, message, retries = 3) => {
+// Function to send a single message using Baileys with retry; content is a Baileys message object
+// and options are Baileys send options, e.g. { quoted } for a reply.
+// Returns the WhatsApp message id, or null if the message could not be sent.
+const sendMessage = async (sock, jid, content, options = {}, retries = 3) => {
     try {
         for (let i = 0; i < retries; i++) {
             try {
                 if (!sock || !sock.sendMessage) {
                     logger.error('Invalid socket object');
-                    return false;
+                    return null;
                 }
                 
-                await sock.sendMessage(jid, { text: message });
-                return true;
+                const result = await sendContent(sock, jid, content, options);
+                return result?.key?.id || null;
             } catch (error) {
                 if (error.message === 'Timed Out' && i < retries - 1) {
                     // Wait for 1 second before retrying
@@ -107,21 +149,29 @@ const sendMessage = async (sock, jid, message, retries = 3) => {
                 throw error;
             }
         }
-        return false;
+        return null;
     } catch (error) {
         logger.error('Error sending message:', error.message);
-        return false;
+        return null;
     }
 };
 
 // Function to get pending scheduled messages
 export const getPendingScheduledMessages = async () => {
     try {
+        await ensureMessageTypeSchema();
+        await ensureMediaSchema();
+        await ensureAttachmentSchema();
+        await ensureQuoteSchema();
         const connection = await connectDB();
+
+        // Attachment rows are sent together with their message, not on their own
         const query = `
-            SELECT id, instance_id, recipient, message, media, caption, schedule_time, message_status 
+            SELECT id, instance_id, recipient, message, media, media_id, caption, schedule_time, message_status, message_type, payload,
+                quoted_message_id, quoted_whatsapp_id, quoted_participant
             FROM media_messages 
             WHERE message_status = 'pending' 
+            AND parent_message_id IS NULL
             AND schedule_time <= NOW()
             ORDER BY schedule_time ASC
             LIMIT 50
@@ -139,9 +189,21 @@ export const getPendingScheduledMessages = async () => {
 export const initializeScheduler = () => {
     logger.info('Initializing message scheduler...');
     
+    // A tick can outlast the 2 second interval once throttle pacing applies, and an
+    // overlapping tick would pick up the same pending rows again
+    let isProcessing = false;
+
     // Run every 2 seconds instead of every 1 second to reduce load
     const scheduler = cron.schedule('*/2 * * * * *', async () => {
+        if (isProcessing) return;
+        isProcessing = true;
+
         try {
+            // Scheduled WhatsApp Status posts go out on the same tick
+            await publishDueStatusPosts().catch(error => {
+                logger.error('Error publishing scheduled status posts:', error.message);
+            });
+
             const pendingMessages = await getPendingScheduledMessages();
             if (pendingMessages.length === 0) return;
             
@@ -173,24 +235,112 @@ export const initializeScheduler = () => {
                 
                 // Process messages sequentially with rate limiting
                 for (const message of messages) {
+                    // Leave the rest pending for a later tick once the throttle profile's limits are hit
+                    const throttleDelay = await getSendDelay(instanceId);
+                    if (throttleDelay > 0) {
+                        logger.info(`Throttle limit reached for instance ${instanceId}, deferring ${Math.round(throttleDelay / 1000)} seconds`);
+                        break;
+                    }
+
+                    let reservationId = null;
                     try {
-                        const formattedNumber = message.recipient.replace(/[+\s-]/g, '');
-                        const jid = `${formattedNumber}@s.whatsapp.net`;
+                        // Outside the recipient's send window, push the message to the next allowed slot
+                        const { allowed, nextSlot } = await checkSendWindow(instanceId, message.recipient);
+                        if (!allowed) {
+                            await deferScheduledMessage(message.id, nextSlot, 'quiet_hours');
+                            continue;
+                        }
+
+                        // Numbers that opted out after the message was scheduled are never sent to
+                        if (await isSuppressed(instanceId, message.recipient)) {
+                            await failScheduledMessage(message.id, 'suppressed');
+                            continue;
+                        }
+
+                        // Hold credits for the message and its attachments; without them it fails unsent
+                        reservationId = await reserveScheduledCredits(message);
+                        if (!reservationId) {
+                            await failScheduledMessage(message.id, 'insufficient_credits');
+                            continue;
+                        }
+
+                        // Recipients are numbers or group JIDs
+                        const jid = toJid(message.recipient);
                         
-                        // Send message with retry mechanism
-                        const success = await sendMessage(instance.sock, jid, message.message);
-                        await updateScheduledMessageStatus(message.id, success ? 'sent' : 'failed');
+                        // Pick a spintax variant and render placeholders the same way as the immediate send path
+                        const text = await replacePlaceholders(spinText(message.message), message.recipient, instanceId);
+                        const caption = await replacePlaceholders(spinText(message.caption), message.recipient, instanceId);
+
+                        // Send attachments and media (with their captions) first, then the text, then any
+                        // location or contact card, with retry mechanism. Interactive messages use the text as their body.
+                        const structured = message.payload ? JSON.parse(message.payload) : null;
+                        let mediaPayload = null;
+
+                        // A reply quotes the earlier message on the first part that goes out
+                        const quote = await loadStoredQuote(message);
+                        let quoteOptions = quote ? { quoted: buildQuotedMessage(quote) } : {};
+                        const takeQuoteOptions = () => {
+                            const options = quoteOptions;
+                            quoteOptions = {};
+                            return options;
+                        };
+
+                        // The row keeps the WhatsApp id of its last part and the ids of all of
+                        // them, like the immediate send path
+                        let whatsappMessageId = null;
+                        const partIds = [];
+                        const sendPart = async (content) => {
+                            const partId = await sendMessage(instance.sock, jid, content, takeQuoteOptions());
+                            if (partId) {
+                                whatsappMessageId = partId;
+                                partIds.push(partId);
+                            }
+                            return !!partId;
+                        };
+
+                        let success = await sendScheduledAttachments(instance.sock, jid, message, takeQuoteOptions);
+                        if (success && message.media_id) {
+                            // Library media is resolved by id; a deleted item fails the message
+                            const media = await findMedia(instanceId, message.media_id);
+                            if (!media) throw new Error(`Media ${message.media_id} not found`);
+                            mediaPayload = await buildLibraryMediaPayload(media, caption, { asSticker: message.message_type === 'sticker' });
+                            success = await sendPart(await addMentions(mediaPayload, 'caption', message.recipient, instanceId));
+                        } else if (success && message.media) {
+                            mediaPayload = await buildMediaPayload(message.media, caption, { asSticker: message.message_type === 'sticker' });
+                            success = await sendPart(await addMentions(mediaPayload, 'caption', message.recipient, instanceId));
+                        }
+                        if (success && text) {
+                            success = await sendPart(usesTextAsBody(structured)
+                                ? buildStructuredContent(structured, text)
+                                : await addMentions({ text }, 'text', message.recipient, instanceId));
+                        }
+                        if (success && structured && !usesTextAsBody(structured)) {
+                            success = await sendPart(buildStructuredContent(structured));
+                        }
+
+                        // An album has no send of its own, so it is only marked sent
+                        if (success && whatsappMessageId) {
+                            await updateMessageWithWhatsAppId(message.id, whatsappMessageId, partIds);
+                        } else {
+                            await updateScheduledMessageStatus(message.id, success ? 'sent' : 'failed');
+                        }
+                        await saveSentVariant(message.id, text, caption, message.message_type || getMessageType(mediaPayload, structured));
                         
-                        // Add a small delay between messages to prevent rate limiting
-                        await new Promise(resolve => setTimeout(resolve, 500));
+                        // Add the profile's pacing delay between messages to prevent rate limiting
+                        const pacingDelay = await getPacingDelay(instanceId);
+                        await new Promise(resolve => setTimeout(resolve, pacingDelay));
                     } catch (err) {
                         logger.error(`Error processing message ${message.id}:`, err.message);
                         await updateScheduledMessageStatus(message.id, 'failed');
+                    } finally {
+                        if (reservationId) await settleScheduledCredits(reservationId, message.id);
                     }
                 }
             }
         } catch (error) {
             logger.error('Error in scheduler:', error.message);
+        } finally {
+            isProcessing = false;
         }
     }, {
         scheduled: true,
@@ -204,14 +354,15 @@ export const initializeScheduler = () => {
 // Function to update message status
 export const updateScheduledMessageStatus = async (messageId, message_status) => {
     try {
+        await ensureThrottleSchema();
         const connection = await connectDB();
         const query = `
             UPDATE media_messages 
-            SET message_status = ? 
+            SET message_status = ?, sent_at = IF(? = 'sent', NOW(), sent_at) 
             WHERE id = ?
         `;
         
-        await connection.execute(query, [message_status, messageId]);
+        await connection.execute(query, [message_status, message_status, messageId]);
         logger.info(`Updated message ${messageId} status to: ${message_status}`);
     } catch (error) {
         logger.error('Error updating message status:', error.message);
@@ -219,6 +370,110 @@ export const updateScheduledMessageStatus = async (messageId, message_status) =>
     }
 };
 
+// Function to send the pending attachment rows of a scheduled message in order.
+// Returns false, with the failed attachment and the rest marked failed, if one could not be sent.
+// takeQuoteOptions returns the send options for the next part, so only the first one quotes a reply.
+const sendScheduledAttachments = async (sock, jid, message, takeQuoteOptions = () => ({})) => {
+    const connection = await connectDB();
+    const [attachments] = await connection.query(
+        'SELECT id, media_id, caption FROM media_messages WHERE parent_message_id = ? AND message_status = \'pending\' ORDER BY id ASC',
+        [message.id]
+    );
+
+    for (const [index, attachment] of attachments.entries()) {
+        let whatsappMessageId = null;
+        let caption = null;
+        let mediaPayload = null;
+        try {
+            const media = await findMedia(message.instance_id, attachment.media_id);
+            if (!media) throw new Error(`Media ${attachment.media_id} not found`);
+
+            caption = await replacePlaceholders(spinText(attachment.caption), message.recipient, message.instance_id);
+            mediaPayload = await buildLibraryMediaPayload(media, caption);
+            whatsappMessageId = await sendMessage(sock, jid, await addMentions(mediaPayload, 'caption', message.recipient, message.instance_id), takeQuoteOptions());
+        } catch (error) {
+            logger.error(`Error sending attachment ${attachment.id} of message ${message.id}:`, error.message);
+        }
+
+        if (!whatsappMessageId) {
+            await updateScheduledMessageStatus(attachment.id, 'failed');
+            const remainingIds = attachments.slice(index + 1).map(({ id }) => id);
+            if (remainingIds.length > 0) {
+                await connection.query('UPDATE media_messages SET message_status = \'failed\' WHERE id IN (?)', [remainingIds]);
+            }
+            return false;
+        }
+        await updateMessageWithWhatsAppId(attachment.id, whatsappMessageId);
+        await saveSentVariant(attachment.id, null, caption, getMessageType(mediaPayload, null));
+    }
+    return true;
+};
+
+// Function to reserve the credits a scheduled message needs: one for it and one per pending attachment
+const reserveScheduledCredits = async (message) => {
+    const connection = await connectDB();
+    const [rows] = await connection.query(
+        'SELECT COUNT(*) as count FROM media_messages WHERE parent_message_id = ? AND message_status = \'pending\'',
+        [message.id]
+    );
+    return reserveCredits(message.instance_id, 1 + rows[0].count, `scheduled message:${message.id}`);
+};
+
+// Function to settle a scheduled message's credits: parts that went out are debited, the rest refunded
+const settleScheduledCredits = async (reservationId, messageId) => {
+    try {
+        const connection = await connectDB();
+        const [rows] = await connection.query(
+            'SELECT COUNT(*) as count FROM media_messages WHERE (id = ? OR parent_message_id = ?) AND message_status = \'sent\'',
+            [messageId, messageId]
+        );
+        await settleReservation(reservationId, rows[0].count);
+    } catch (error) {
+        logger.error(`Error settling credits of message ${messageId}:`, error.message);
+    }
+};
+
+// Function to fail a pending message and its attachments without sending them, recording why
+const failScheduledMessage = async (messageId, reason) => {
+    try {
+        const connection = await connectDB();
+        await connection.execute(
+            'UPDATE media_messages SET message_status = \'failed\', status_reason = ? WHERE id = ? OR parent_message_id = ?',
+            [reason, messageId, messageId]
+        );
+        logger.warn(`Failed message ${messageId} without sending (${reason})`);
+    } catch (error) {
+        logger.error('Error failing scheduled message:', error.message);
+    }
+};
+
+// Function to move a pending message to a later time, recording why
+const deferScheduledMessage = async (messageId, scheduleTime, reason) => {
+    try {
+        const connection = await connectDB();
+        await connection.execute(
+            'UPDATE media_messages SET schedule_time = ?, status_reason = ? WHERE id = ? OR parent_message_id = ?',
+            [scheduleTime, reason, messageId, messageId]
+        );
+        logger.info(`Deferred message ${messageId} to ${scheduleTime.toISOString()} (${reason})`);
+    } catch (error) {
+        logger.error('Error deferring scheduled message:', error.message);
+    }
+};
+
+// Function to store the rendered text and caption that actually went out, and the message type
+const saveSentVariant = async (messageId, text, caption, messageType) => {
+    try {
+        const connection = await connectDB();
+        await connection.execute(
+            'UPDATE media_messages SET message = ?, caption = ?, message_type = ? WHERE id = ?',
+            [text || null, caption || null, messageType, messageId]
+        );
+    } catch (error) {
+        logger.error('Error saving sent variant:', error.message);
+    }
+};
+
 // Function to save media message to database for scheduled sending
 export const saveMediaMessage = async (req, res) => {
     try {
@@ -0,0 +1,473 @@
+// src/controllers/sendJobs.js
+
+import connectDB from '../db/index.js';
+import { ensureTable, ensureColumn } from '../db/schema.js';
+import { logger } from '../logger.js';
+import { instances, initializeSock } from './qrcode.js';
+import { sendMessageToRecipient, ensureAttachmentSchema, ensureQuoteSchema, loadAttachmentPayloads } from './messages.js';
+import { findMedia, ensureMediaSchema, buildLibraryMediaPayload } from './mediaLibrary.js';
+import { ensureCampaignSchema } from './campaigns.js';
+import { waitForSendSlot } from './throttle.js';
+import { ensureSendWindowSchema } from './sendWindows.js';
+import { settleReservation } from './credits.js';
+import { emitInstanceEvent, INSTANCE_EVENT } from '../utils/events.js';
+import { createJobRunner } from '../utils/jobRunner.js';
+
+// Valid ENUM values for `send_jobs.status`
+const JOB_STATUS = {
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    PAUSED: 'paused',
+    CANCELLED: 'cancelled',
+    COMPLETED: 'completed',
+    FAILED: 'failed'
+};
+
+// Used for the ETA until a job has sent its first message in this process
+const DEFAULT_MS_PER_MESSAGE = 3000;
+const SOCKET_WAIT_MS = 10000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Function to make sure the job table and media_messages.job_id exist
+export const ensureSendJobSchema = async () => {
+    await ensureTable('send_jobs', `
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        instance_id VARCHAR(255) NOT NULL,
+        status ENUM('queued', 'running', 'paused', 'cancelled', 'completed', 'failed') NOT NULL DEFAULT 'queued',
+        payload LONGTEXT NOT NULL,
+        total_messages INT NOT NULL DEFAULT 0,
+        error TEXT NULL,
+        started_at TIMESTAMP NULL,
+        finished_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_instance_id (instance_id),
+        INDEX idx_status (status)
+    `);
+    await ensureColumn('media_messages', 'job_id', 'INT NULL, ADD INDEX idx_job_id (job_id)');
+    await ensureCampaignSchema();
+    await ensureSendWindowSchema();
+    await ensureMediaSchema();
+    await ensureAttachmentSchema();
+    await ensureQuoteSchema();
+};
+
+// Function to save a new send job; payload holds { messages, filePath, scheduleTime, campaignId, reservationId },
+// where reservationId is the credit reservation the job settles when it finishes
+export const createSendJob = async (instanceId, payload) => {
+    await ensureSendJobSchema();
+    const connection = await connectDB();
+
+    const [result] = await connection.execute(
+        'INSERT INTO send_jobs (instance_id, status, payload, total_messages) VALUES (?, ?, ?, ?)',
+        [instanceId, JOB_STATUS.QUEUED, JSON.stringify(payload), payload.messages.length]
+    );
+
+    logger.info('Send job created:', { jobId: result.insertId, instanceId, totalMessages: payload.messages.length });
+    return result.insertId;
+};
+
+const getJob = async (jobId) => {
+    const connection = await connectDB();
+    const [rows] = await connection.query('SELECT * FROM send_jobs WHERE id = ?', [jobId]);
+    return rows[0] || null;
+};
+
+const setJobStatus = async (jobId, status, error = null) => {
+    const connection = await connectDB();
+    const isFinished = [JOB_STATUS.CANCELLED, JOB_STATUS.COMPLETED, JOB_STATUS.FAILED].includes(status);
+
+    await connection.execute(
+        'UPDATE send_jobs SET status = ?, error = ?, ' +
+        'started_at = COALESCE(started_at, IF(? = \'running\', NOW(), NULL)), ' +
+        'finished_at = IF(?, NOW(), NULL) ' +
+        'WHERE id = ?',
+        [status, error, status, isFinished, jobId]
+    );
+    logger.info(`Send job ${jobId} status set to: ${status}`);
+};
+
+// Count the job's media_messages rows by outcome; attachment rows are counted with their message
+const getJobCounts = async (jobId) => {
+    const connection = await connectDB();
+    const [rows] = await connection.query(
+        'SELECT ' +
+        'COUNT(*) as processed, ' +
+        'SUM(CASE WHEN message_status IN (\'sent\', \'delivered\', \'read\') THEN 1 ELSE 0 END) as sent, ' +
+        'SUM(CASE WHEN message_status = \'failed\' THEN 1 ELSE 0 END) as failed, ' +
+        'SUM(CASE WHEN message_status = \'pending\' THEN 1 ELSE 0 END) as pending ' +
+        'FROM media_messages WHERE job_id = ? AND parent_message_id IS NULL',
+        [jobId]
+    );
+
+    return {
+        processed: parseInt(rows[0].processed) || 0,
+        sent: parseInt(rows[0].sent) || 0,
+        failed: parseInt(rows[0].failed) || 0,
+        pending: parseInt(rows[0].pending) || 0
+    };
+};
+
+// Work out which messages of a job still have no media_messages row
+const getUnsentMessages = async (jobId, messages) => {
+    const connection = await connectDB();
+    const [rows] = await connection.query(
+        'SELECT recipient, COUNT(*) as count FROM media_messages WHERE job_id = ? AND parent_message_id IS NULL GROUP BY recipient',
+        [jobId]
+    );
+
+    const writtenByRecipient = new Map(rows.map(row => [row.recipient, parseInt(row.count)]));
+
+    return messages.filter((message) => {
+        const written = writtenByRecipient.get(message.number) || 0;
+        if (written > 0) {
+            writtenByRecipient.set(message.number, written - 1);
+            return false;
+        }
+        return true;
+    });
+};
+
+// Function to mark a queued job running; a pause or cancel that came in meanwhile is kept
+const markJobRunning = async (jobId) => {
+    const connection = await connectDB();
+    await connection.execute(
+        'UPDATE send_jobs SET status = ?, started_at = COALESCE(started_at, NOW()) WHERE id = ? AND status = ?',
+        [JOB_STATUS.RUNNING, jobId, JOB_STATUS.QUEUED]
+    );
+};
+
+const isJobStopped = async (jobId) => {
+    const job = await getJob(jobId);
+    return !job || ![JOB_STATUS.QUEUED, JOB_STATUS.RUNNING].includes(job.status);
+};
+
+// Function to wait until the instance socket is connected, giving up (returning null) once
+// isStopped resolves true, e.g. because the job was paused or cancelled. label names the job in logs.
+export const waitForSocket = async (instanceId, isStopped, label) => {
+    while (true) {
+        const instance = instances[instanceId];
+        if (instance?.sock?.user?.id && instance.status === 'connected') {
+            return instance.sock;
+        }
+
+        if (await isStopped()) {
+            return null;
+        }
+
+        if (!instance) {
+            initializeSock(instanceId).catch(error => {
+                logger.error(`Error initializing WhatsApp instance ${instanceId} for ${label}:`, error.message);
+            });
+        }
+
+        logger.info(`${label} waiting for instance ${instanceId} to connect...`);
+        await sleep(SOCKET_WAIT_MS);
+    }
+};
+
+// Function to settle the credits a finished job reserved: messages it sent are debited and the
+// rest refunded. Messages it deferred past quiet hours are charged by the scheduler instead.
+const settleJobCredits = async (job) => {
+    const { reservationId } = JSON.parse(job.payload);
+    if (!reservationId) return;
+
+    const connection = await connectDB();
+    const [rows] = await connection.query(
+        'SELECT COUNT(*) as count FROM media_messages ' +
+        'WHERE job_id = ? AND message_status IN (\'sent\', \'delivered\', \'read\') AND status_reason IS NULL',
+        [job.id]
+    );
+    await settleReservation(reservationId, rows[0].count);
+};
+
+// Function to publish a send job's progress (as returned by the progress endpoint) to the
+// instance's event stream
+const publishJobProgress = async (jobId) => {
+    try {
+        const job = await getJob(jobId);
+        if (job) emitInstanceEvent(job.instance_id, INSTANCE_EVENT.CAMPAIGN_PROGRESS, await formatJob(job));
+    } catch (error) {
+        logger.error(`Error publishing progress of send job ${jobId}:`, error.message);
+    }
+};
+
+// Function to run a send job until it finishes, is paused or is cancelled
+const runSendJob = async (jobId, runState) => {
+    runState.processed = 0;
+
+    try {
+        await ensureSendJobSchema();
+        const job = await getJob(jobId);
+        if (!job || ![JOB_STATUS.QUEUED, JOB_STATUS.RUNNING].includes(job.status)) return;
+
+        const { messages, mediaId, sticker, scheduleTime, campaignId } = JSON.parse(job.payload);
+        await markJobRunning(jobId);
+
+        // Media is looked up by library id; a job whose media was removed fails here
+        const media = mediaId ? await findMedia(job.instance_id, mediaId) : null;
+        if (mediaId && !media) {
+            throw new Error(`Media ${mediaId} not found`);
+        }
+        const filePath = media ? media.storage_path : null;
+        const mediaPayload = media
+            ? await buildLibraryMediaPayload(media, messages[0]?.caption, { asSticker: !!sticker })
+            : null;
+        const attachmentPayloads = await loadAttachmentPayloads(job.instance_id, messages);
+        const unsentMessages = await getUnsentMessages(jobId, messages);
+
+        logger.info(`Send job ${jobId} running:`, { total: messages.length, remaining: unsentMessages.length });
+
+        for (const message of unsentMessages) {
+            // Status is re-read every message so pause/cancel take effect between sends
+            const current = await getJob(jobId);
+            if (!current || ![JOB_STATUS.QUEUED, JOB_STATUS.RUNNING].includes(current.status)) {
+                logger.info(`Send job ${jobId} stopped with status: ${current?.status}`);
+                return;
+            }
+            // A job resumed while this worker was running is queued again
+            if (current.status === JOB_STATUS.QUEUED) await markJobRunning(jobId);
+
+            const sock = await waitForSocket(job.instance_id, () => isJobStopped(jobId), `Send job ${jobId}`);
+            if (!sock) return;
+
+            const hasSlot = await waitForSendSlot(job.instance_id, () => isJobStopped(jobId));
+            if (!hasSlot) return;
+
+            try {
+                await sendMessageToRecipient(message, mediaPayload, sock, job.instance_id, filePath, scheduleTime, {
+                    job_id: jobId,
+                    campaign_id: campaignId,
+                    media_id: media ? media.id : null
+                }, attachmentPayloads);
+            } catch (err) {
+                logger.error(`Send job ${jobId}: error sending message to ${message.number}:`, {
+                    error: err.message,
+                    stack: err.stack
+                });
+            }
+            runState.processed++;
+            await publishJobProgress(jobId);
+        }
+
+        const finished = await getJob(jobId);
+        if (finished && [JOB_STATUS.QUEUED, JOB_STATUS.RUNNING].includes(finished.status)) {
+            await setJobStatus(jobId, JOB_STATUS.COMPLETED);
+        }
+    } catch (error) {
+        logger.error(`Send job ${jobId} failed:`, { error: error.message, stack: error.stack });
+        await setJobStatus(jobId, JOB_STATUS.FAILED, error.message).catch(() => {});
+    }
+};
+
+// Function to publish where a send job stopped and settle its credits once it is over.
+// A paused job keeps its credits reserved until it is resumed or cancelled.
+const finishSendJobRun = async (jobId) => {
+    await publishJobProgress(jobId);
+
+    try {
+        const finished = await getJob(jobId);
+        if (finished && [JOB_STATUS.CANCELLED, JOB_STATUS.COMPLETED, JOB_STATUS.FAILED].includes(finished.status)) {
+            await settleJobCredits(finished);
+        }
+    } catch (error) {
+        logger.error(`Error settling credits of send job ${jobId}:`, { error: error.message, stack: error.stack });
+    }
+};
+
+const sendJobRunner = createJobRunner('send job', {
+    work: runSendJob,
+    shouldRun: async (jobId) => !(await isJobStopped(jobId)),
+    afterRun: finishSendJobRun
+});
+
+// Function to start a job in the background without waiting for it
+export const startSendJob = (jobId) => sendJobRunner.start(jobId);
+
+// Function to pick up jobs that were queued or running when the server stopped
+export const resumeInterruptedJobs = async () => {
+    try {
+        await ensureSendJobSchema();
+        const connection = await connectDB();
+        const [jobs] = await connection.query(
+            'SELECT id FROM send_jobs WHERE status IN (?, ?) ORDER BY id ASC',
+            [JOB_STATUS.QUEUED, JOB_STATUS.RUNNING]
+        );
+
+        for (const { id } of jobs) {
+            // A pending row without a WhatsApp ID was mid-send when we stopped; we can't
+            // know if it went out, so close it as failed rather than risk a duplicate.
+            // Rows with a status_reason were deferred on purpose and stay pending.
+            await connection.execute(
+                'UPDATE media_messages SET message_status = \'failed\' ' +
+                'WHERE job_id = ? AND message_status = \'pending\' AND whatsapp_message_id IS NULL AND status_reason IS NULL',
+                [id]
+            );
+            logger.info(`Resuming send job ${id}`);
+            startSendJob(id);
+        }
+    } catch (error) {
+        logger.error('Error resuming send jobs:', { error: error.message, stack: error.stack });
+    }
+};
+
+const formatJob = async (job) => {
+    const counts = await getJobCounts(job.id);
+    const remaining = Math.max(0, job.total_messages - counts.processed);
+    const runState = sendJobRunner.getRunState(job.id);
+
+    const msPerMessage = runState && runState.processed > 0
+        ? (Date.now() - runState.startedAt) / runState.processed
+        : DEFAULT_MS_PER_MESSAGE;
+    const isActive = [JOB_STATUS.QUEUED, JOB_STATUS.RUNNING].includes(job.status);
+    const { campaignId } = JSON.parse(job.payload);
+
+    return {
+        jobId: job.id,
+        instanceId: job.instance_id,
+        campaignId: campaignId || null,
+        status: job.status,
+        total: job.total_messages,
+        sent: counts.sent,
+        failed: counts.failed,
+        pending: counts.pending,
+        remaining,
+        etaSeconds: isActive ? Math.round((remaining * msPerMessage) / 1000) : null,
+        error: job.error,
+        createdAt: job.created_at,
+        startedAt: job.started_at,
+        finishedAt: job.finished_at
+    };
+};
+
+// Look up a job that belongs to the instance in the route
+const findInstanceJob = async (req, res) => {
+    const { instanceId, jobId } = req.params;
+    await ensureSendJobSchema();
+    const job = await getJob(jobId);
+
+    if (!job || job.instance_id !== instanceId) {
+        res.status(404).json({ success: false, message: 'Send job not found' });
+        return null;
+    }
+    return job;
+};
+
+/**
+ * Get progress of a send job
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getSendJobProgress = async (req, res) => {
+    try {
+        const job = await findInstanceJob(req, res);
+        if (!job) return;
+
+        res.json({ success: true, job: await formatJob(job) });
+    } catch (error) {
+        logger.error('Error in getSendJobProgress:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch send job', error: error.message });
+    }
+};
+
+/**
+ * List send jobs of an instance, newest first
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const listSendJobs = async (req, res) => {
+    try {
+        const { instanceId } = req.params;
+        const { status, limit = 20, offset = 0 } = req.query;
+
+        await ensureSendJobSchema();
+        const connection = await connectDB();
+        const [rows] = await connection.query(
+            `SELECT * FROM send_jobs WHERE instance_id = ? ${status ? 'AND status = ?' : ''} ORDER BY id DESC LIMIT ? OFFSET ?`,
+            status ? [instanceId, status, parseInt(limit), parseInt(offset)] : [instanceId, parseInt(limit), parseInt(offset)]
+        );
+
+        const jobs = await Promise.all(rows.map(formatJob));
+        res.json({ success: true, jobs });
+    } catch (error) {
+        logger.error('Error in listSendJobs:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch send jobs', error: error.message });
+    }
+};
+
+/**
+ * Pause a queued or running send job
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const pauseSendJob = async (req, res) => {
+    try {
+        const job = await findInstanceJob(req, res);
+        if (!job) return;
+
+        if (![JOB_STATUS.QUEUED, JOB_STATUS.RUNNING].includes(job.status)) {
+            return res.status(409).json({ success: false, message: `Cannot pause a job that is ${job.status}` });
+        }
+
+        await setJobStatus(job.id, JOB_STATUS.PAUSED);
+        res.json({ success: true, job: await formatJob(await getJob(job.id)) });
+    } catch (error) {
+        logger.error('Error in pauseSendJob:', error);
+        res.status(500).json({ success: false, message: 'Failed to pause send job', error: error.message });
+    }
+};
+
+/**
+ * Resume a paused send job
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const resumeSendJob = async (req, res) => {
+    try {
+        const job = await findInstanceJob(req, res);
+        if (!job) return;
+
+        if (job.status !== JOB_STATUS.PAUSED) {
+            return res.status(409).json({ success: false, message: `Cannot resume a job that is ${job.status}` });
+        }
+
+        // If the worker has not stopped yet it carries on, or the runner restarts the job once it has
+        await setJobStatus(job.id, JOB_STATUS.QUEUED);
+        startSendJob(job.id);
+        res.json({ success: true, job: await formatJob(await getJob(job.id)) });
+    } catch (error) {
+        logger.error('Error in resumeSendJob:', error);
+        res.status(500).json({ success: false, message: 'Failed to resume send job', error: error.message });
+    }
+};
+
+/**
+ * Cancel a send job; messages already sent are not recalled
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const cancelSendJob = async (req, res) => {
+    try {
+        const job = await findInstanceJob(req, res);
+        if (!job) return;
+
+        if (![JOB_STATUS.QUEUED, JOB_STATUS.RUNNING, JOB_STATUS.PAUSED].includes(job.status)) {
+            return res.status(409).json({ success: false, message: `Cannot cancel a job that is ${job.status}` });
+        }
+
+        await setJobStatus(job.id, JOB_STATUS.CANCELLED);
+
+        // A running job settles its credits once it stops; a paused or queued one is settled here
+        if (!sendJobRunner.isRunning(job.id)) {
+            await settleJobCredits(await getJob(job.id));
+            await publishJobProgress(job.id);
+        }
+        res.json({ success: true, job: await formatJob(await getJob(job.id)) });
+    } catch (error) {
+        logger.error('Error in cancelSendJob:', error);
+        res.status(500).json({ success: false, message: 'Failed to cancel send job', error: error.message });
+    }
+};
+
+export { JOB_STATUS };
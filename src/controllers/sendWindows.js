@@ -0,0 +1,226 @@
+// src/controllers/sendWindows.js
+
+import connectDB from '../db/index.js';
+import { ensureTable, ensureColumn } from '../db/schema.js';
+import { logger } from '../logger.js';
+import { getRecipientData } from './messages.js';
+import { isValidTimezone, getTimezoneForNumber } from '../utils/timezones.js';
+import { isGroupJid } from '../utils/jids.js';
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+
+// Function to make sure the send window table, media_messages.status_reason and phoneList.timezone exist
+export const ensureSendWindowSchema = async () => {
+    await ensureTable('send_windows', `
+        instance_id VARCHAR(255) PRIMARY KEY,
+        enabled BOOLEAN NOT NULL DEFAULT TRUE,
+        start_time CHAR(5) NOT NULL DEFAULT '09:00',
+        end_time CHAR(5) NOT NULL DEFAULT '20:00',
+        day_rules TEXT NULL,
+        timezone VARCHAR(64) NOT NULL DEFAULT 'Asia/Kolkata',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    `);
+    // Why a row was deferred or skipped instead of sent, e.g. 'quiet_hours'
+    await ensureColumn('media_messages', 'status_reason', 'VARCHAR(64) NULL');
+    await ensureColumn('phoneList', 'timezone', 'VARCHAR(64) NULL');
+};
+
+const toMinutes = (time) => {
+    const [, hours, minutes] = time.match(TIME_PATTERN);
+    return parseInt(hours) * 60 + parseInt(minutes);
+};
+
+// Function to get the send window of an instance, or null if it has none or it is disabled
+export const getSendWindow = async (instanceId) => {
+    await ensureSendWindowSchema();
+    const connection = await connectDB();
+    const [rows] = await connection.query('SELECT * FROM send_windows WHERE instance_id = ?', [instanceId]);
+
+    if (rows.length === 0 || !rows[0].enabled) return null;
+    return { ...rows[0], enabled: true, day_rules: rows[0].day_rules ? JSON.parse(rows[0].day_rules) : {} };
+};
+
+// The allowed minutes of a weekday: a day rule overrides the default hours, null closes the day
+const getDayRule = (window, day) => {
+    const rule = window.day_rules[day];
+    if (rule === null || rule === false) return null;
+
+    const { start_time: start, end_time: end } = rule || { start_time: window.start_time, end_time: window.end_time };
+    return { start: toMinutes(start), end: toMinutes(end) };
+};
+
+// Function to get the weekday (sun, mon, ...) and minute of the day of a time in a timezone
+export const getLocalParts = (date, timeZone) => {
+    const parts = Object.fromEntries(
+        new Intl.DateTimeFormat('en-US', { timeZone, weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' })
+            .formatToParts(date)
+            .map(part => [part.type, part.value])
+    );
+    return {
+        day: parts.weekday.toLowerCase().slice(0, 3),
+        minutes: parseInt(parts.hour) * 60 + parseInt(parts.minute)
+    };
+};
+
+// Function to get the next time a message may go out in the window, or null if it may go now
+export const getNextAllowedSlot = (window, timeZone, now = new Date()) => {
+    const { day, minutes } = getLocalParts(now, timeZone);
+    const dayIndex = DAYS.indexOf(day);
+
+    for (let offset = 0; offset <= 7; offset++) {
+        const rule = getDayRule(window, DAYS[(dayIndex + offset) % 7]);
+        if (!rule) continue;
+
+        if (offset === 0) {
+            if (minutes >= rule.start && minutes < rule.end) return null;
+            if (minutes >= rule.start) continue;
+        }
+        return new Date(now.getTime() + ((offset * 24 * 60) + rule.start - minutes) * 60 * 1000);
+    }
+    return null;
+};
+
+// Function to work out a recipient's timezone: phoneList column, then number, then the window default.
+// Groups have no single timezone, so they use the window's.
+export const getRecipientTimezone = async (phoneNumber, instanceId, window) => {
+    if (isGroupJid(phoneNumber)) return window?.timezone || DEFAULT_TIMEZONE;
+
+    const recipientData = await getRecipientData(phoneNumber, instanceId);
+    if (isValidTimezone(recipientData?.timezone)) return recipientData.timezone;
+
+    return getTimezoneForNumber(phoneNumber) || window?.timezone || DEFAULT_TIMEZONE;
+};
+
+// Function to check whether a recipient may be messaged now.
+// Returns { allowed, nextSlot, timeZone }.
+export const checkSendWindow = async (instanceId, phoneNumber, now = new Date()) => {
+    const window = await getSendWindow(instanceId);
+    if (!window) return { allowed: true, nextSlot: null, timeZone: null };
+
+    const timeZone = await getRecipientTimezone(phoneNumber, instanceId, window);
+    const nextSlot = getNextAllowedSlot(window, timeZone, now);
+    return { allowed: !nextSlot, nextSlot, timeZone };
+};
+
+// Validate and normalise a day_rules object from a request body; returns an error message or null
+const validateDayRules = (dayRules) => {
+    if (typeof dayRules !== 'object' || Array.isArray(dayRules)) {
+        return 'day_rules must be an object keyed by day (sun, mon, ...)';
+    }
+
+    for (const [day, rule] of Object.entries(dayRules)) {
+        if (!DAYS.includes(day)) return `Unknown day in day_rules: ${day}`;
+        if (rule === null || rule === false) continue;
+
+        if (!TIME_PATTERN.test(rule?.start_time) || !TIME_PATTERN.test(rule?.end_time)) {
+            return `day_rules.${day} needs start_time and end_time as HH:MM`;
+        }
+        if (toMinutes(rule.start_time) >= toMinutes(rule.end_time)) {
+            return `day_rules.${day} start_time must be before end_time`;
+        }
+    }
+    return null;
+};
+
+/**
+ * Get the send window of an instance
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getSendWindowSettings = async (req, res) => {
+    try {
+        const { instanceId } = req.params;
+
+        await ensureSendWindowSchema();
+        const connection = await connectDB();
+        const [rows] = await connection.query('SELECT * FROM send_windows WHERE instance_id = ?', [instanceId]);
+
+        res.json({
+            success: true,
+            sendWindow: rows.length > 0
+                ? { ...rows[0], enabled: !!rows[0].enabled, day_rules: rows[0].day_rules ? JSON.parse(rows[0].day_rules) : {} }
+                : null
+        });
+    } catch (error) {
+        logger.error('Error in getSendWindowSettings:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch send window', error: error.message });
+    }
+};
+
+/**
+ * Create or update the send window of an instance
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const updateSendWindowSettings = async (req, res) => {
+    try {
+        const { instanceId } = req.params;
+        const {
+            enabled = true,
+            start_time = '09:00',
+            end_time = '20:00',
+            day_rules = {},
+            timezone = DEFAULT_TIMEZONE
+        } = req.body;
+
+        if (!TIME_PATTERN.test(start_time) || !TIME_PATTERN.test(end_time)) {
+            return res.status(400).json({ success: false, message: 'start_time and end_time must be HH:MM' });
+        }
+        if (toMinutes(start_time) >= toMinutes(end_time)) {
+            return res.status(400).json({ success: false, message: 'start_time must be before end_time' });
+        }
+        if (!isValidTimezone(timezone)) {
+            return res.status(400).json({ success: false, message: `Unknown timezone: ${timezone}` });
+        }
+
+        const dayRulesError = validateDayRules(day_rules);
+        if (dayRulesError) {
+            return res.status(400).json({ success: false, message: dayRulesError });
+        }
+
+        const window = { start_time, end_time, day_rules };
+        if (DAYS.every(day => !getDayRule(window, day))) {
+            return res.status(400).json({ success: false, message: 'At least one day must allow sending' });
+        }
+
+        await ensureSendWindowSchema();
+        const connection = await connectDB();
+        await connection.execute(
+            'INSERT INTO send_windows (instance_id, enabled, start_time, end_time, day_rules, timezone) VALUES (?, ?, ?, ?, ?, ?) ' +
+            'ON DUPLICATE KEY UPDATE enabled = VALUES(enabled), start_time = VALUES(start_time), end_time = VALUES(end_time), ' +
+            'day_rules = VALUES(day_rules), timezone = VALUES(timezone)',
+            [instanceId, !!enabled, start_time, end_time, JSON.stringify(day_rules), timezone]
+        );
+
+        logger.info('Send window updated:', { instanceId, enabled, start_time, end_time, day_rules, timezone });
+        return getSendWindowSettings(req, res);
+    } catch (error) {
+        logger.error('Error in updateSendWindowSettings:', error);
+        res.status(500).json({ success: false, message: 'Failed to update send window', error: error.message });
+    }
+};
+
+/**
+ * Check whether a number may be messaged now and when its next slot is
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const checkRecipientWindow = async (req, res) => {
+    try {
+        const { instanceId } = req.params;
+        const { number } = req.query;
+
+        if (!number) {
+            return res.status(400).json({ success: false, message: 'number is required' });
+        }
+
+        const { allowed, nextSlot, timeZone } = await checkSendWindow(instanceId, number);
+        res.json({ success: true, number, allowed, nextSlot, timeZone });
+    } catch (error) {
+        logger.error('Error in checkRecipientWindow:', error);
+        res.status(500).json({ success: false, message: 'Failed to check send window', error: error.message });
+    }
+};
@@ -0,0 +1,436 @@
+// src/controllers/statusPosts.js
+
+import connectDB from '../db/index.js';
+import { ensureTable } from '../db/schema.js';
+import { logger } from '../logger.js';
+import { instances, initializeSock } from './qrcode.js';
+import { findMedia, buildLibraryMediaPayload } from './mediaLibrary.js';
+import { ensureSendWindowSchema } from './sendWindows.js';
+import { ensureNumberCheckSchema } from './numberChecks.js';
+import { isValidTimezone } from '../utils/timezones.js';
+import { toJid, jidToNumber } from '../utils/jids.js';
+
+// WhatsApp Status (stories) are sent to this JID, with the contacts allowed to see
+// them passed as statusJidList. Viewers' read receipts come back on the same JID.
+export const STATUS_JID = 'status@broadcast';
+
+// Valid ENUM values for `status_posts.status`
+const POST_STATUS = {
+    PENDING: 'pending',
+    POSTED: 'posted',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled'
+};
+
+const AUDIENCE_TYPES = ['all', 'contacts', 'segment'];
+const SEGMENT_FILTERS = ['nameContains', 'timezone', 'onWhatsApp', 'addedAfter', 'addedBefore'];
+const TEXT_MAX_LENGTH = 700;
+const COLOR_PATTERN = /^#([0-9a-f]{6}|[0-9a-f]{8})$/i;
+// WhatsApp's status text fonts (proto TextFont values)
+const MAX_FONT = 10;
+
+// Function to make sure the status post and view tables exist
+export const ensureStatusPostSchema = async () => {
+    await ensureTable('status_posts', `
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        instance_id VARCHAR(255) NOT NULL,
+        type ENUM('text', 'image', 'video') NOT NULL,
+        text TEXT NULL,
+        media_id INT NULL,
+        caption TEXT NULL,
+        background_color VARCHAR(9) NULL,
+        font TINYINT NULL,
+        audience TEXT NOT NULL,
+        audience_size INT NULL,
+        schedule_time DATETIME NULL,
+        status ENUM('pending', 'posted', 'failed', 'cancelled') NOT NULL DEFAULT 'pending',
+        whatsapp_message_id VARCHAR(255) NULL,
+        error TEXT NULL,
+        posted_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_instance_id (instance_id),
+        INDEX idx_status_schedule (status, schedule_time),
+        INDEX idx_whatsapp_message_id (whatsapp_message_id)
+    `);
+    await ensureTable('status_views', `
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        status_post_id INT NOT NULL,
+        viewer VARCHAR(255) NOT NULL,
+        delivered_at TIMESTAMP NULL,
+        viewed_at TIMESTAMP NULL,
+        UNIQUE KEY uniq_post_viewer (status_post_id, viewer)
+    `);
+};
+
+// Function to check a status audience; returns an error message or null.
+// { type: 'all' } is every phoneList contact, { type: 'contacts', phoneListIds } picks rows and
+// { type: 'segment', segment: { nameContains, timezone, onWhatsApp, addedAfter, addedBefore } } filters them.
+const validateAudience = (audience) => {
+    if (!audience || typeof audience !== 'object' || Array.isArray(audience)) return 'audience must be an object';
+    if (!AUDIENCE_TYPES.includes(audience.type)) return `audience.type must be one of: ${AUDIENCE_TYPES.join(', ')}`;
+
+    if (audience.type === 'contacts') {
+        const ids = audience.phoneListIds;
+        if (!Array.isArray(ids) || ids.length === 0) return 'audience.phoneListIds must be a non-empty array';
+        if (ids.some(id => !Number.isInteger(Number(id)))) return 'audience.phoneListIds must hold phoneList row ids';
+    }
+
+    if (audience.type === 'segment') {
+        const { segment } = audience;
+        if (!segment || typeof segment !== 'object' || Array.isArray(segment)) return 'audience.segment must be an object';
+
+        const filters = Object.keys(segment);
+        if (filters.length === 0) return `audience.segment needs at least one of: ${SEGMENT_FILTERS.join(', ')}`;
+        const unknown = filters.find(filter => !SEGMENT_FILTERS.includes(filter));
+        if (unknown) return `Unknown segment filter: ${unknown}`;
+
+        if (segment.nameContains !== undefined && (typeof segment.nameContains !== 'string' || !segment.nameContains.trim())) {
+            return 'segment.nameContains must be a non-empty string';
+        }
+        if (segment.timezone !== undefined && !isValidTimezone(segment.timezone)) return `Unknown timezone: ${segment.timezone}`;
+        if (segment.onWhatsApp !== undefined && segment.onWhatsApp !== true) return 'segment.onWhatsApp can only be true';
+        for (const filter of ['addedAfter', 'addedBefore']) {
+            if (segment[filter] !== undefined && isNaN(new Date(segment[filter]).getTime())) return `segment.${filter} must be a date`;
+        }
+    }
+    return null;
+};
+
+// Function to turn an audience into the JIDs that may see the status. Numbers the
+// number checks found not on WhatsApp are left out, they could never see it.
+const resolveAudience = async (instanceId, audience) => {
+    await ensureSendWindowSchema();
+    await ensureNumberCheckSchema();
+
+    const conditions = ['instance_id = ?', '(is_on_whatsapp IS NULL OR is_on_whatsapp = TRUE)'];
+    const params = [instanceId];
+
+    if (audience.type === 'contacts') {
+        conditions.push('id IN (?)');
+        params.push(audience.phoneListIds.map(Number));
+    }
+
+    if (audience.type === 'segment') {
+        const { nameContains, timezone, onWhatsApp, addedAfter, addedBefore } = audience.segment;
+        if (nameContains !== undefined) {
+            conditions.push('name LIKE ?');
+            params.push(`%${nameContains.trim()}%`);
+        }
+        if (timezone !== undefined) {
+            conditions.push('timezone = ?');
+            params.push(timezone);
+        }
+        if (onWhatsApp) conditions.push('is_on_whatsapp = TRUE');
+        if (addedAfter !== undefined) {
+            conditions.push('created_at >= ?');
+            params.push(new Date(addedAfter));
+        }
+        if (addedBefore !== undefined) {
+            conditions.push('created_at <= ?');
+            params.push(new Date(addedBefore));
+        }
+    }
+
+    const connection = await connectDB();
+    const [rows] = await connection.query(`SELECT phone_numbers FROM phoneList WHERE ${conditions.join(' AND ')}`, params);
+
+    const numbers = rows
+        .map(row => String(row.phone_numbers).replace(/[^\d]/g, ''))
+        .filter(digits => digits.length >= 6);
+    return [...new Set(numbers)].map(toJid);
+};
+
+// Function to build the Baileys content of a status post
+const buildStatusContent = async (post) => {
+    if (post.type === 'text') return { text: post.text };
+
+    const media = await findMedia(post.instance_id, post.media_id);
+    if (!media) throw new Error(`Media ${post.media_id} not found`);
+    return buildLibraryMediaPayload(media, post.caption || '');
+};
+
+// Function to publish a saved status post through the instance socket and record the outcome
+const publishStatusPost = async (post, sock) => {
+    const connection = await connectDB();
+
+    try {
+        const statusJidList = await resolveAudience(post.instance_id, JSON.parse(post.audience));
+        if (statusJidList.length === 0) throw new Error('The audience has no contacts');
+
+        const result = await sock.sendMessage(STATUS_JID, await buildStatusContent(post), {
+            backgroundColor: post.background_color || undefined,
+            font: post.font ?? undefined,
+            statusJidList,
+            broadcast: true
+        });
+
+        await connection.execute(
+            'UPDATE status_posts SET status = ?, whatsapp_message_id = ?, audience_size = ?, error = NULL, posted_at = NOW() WHERE id = ?',
+            [POST_STATUS.POSTED, result.key.id, statusJidList.length, post.id]
+        );
+        logger.info('Status posted:', { postId: post.id, instanceId: post.instance_id, audienceSize: statusJidList.length });
+    } catch (error) {
+        logger.error(`Failed to post status ${post.id}:`, { error: error.message, stack: error.stack });
+        await connection.execute(
+            'UPDATE status_posts SET status = ?, error = ? WHERE id = ?',
+            [POST_STATUS.FAILED, error.message, post.id]
+        );
+    }
+};
+
+// Function to publish scheduled status posts that are due; called on every scheduler tick
+export const publishDueStatusPosts = async () => {
+    await ensureStatusPostSchema();
+    const connection = await connectDB();
+    const [posts] = await connection.query(
+        'SELECT * FROM status_posts WHERE status = ? AND schedule_time <= NOW() ORDER BY schedule_time ASC LIMIT 10',
+        [POST_STATUS.PENDING]
+    );
+
+    for (const post of posts) {
+        let instance = instances[post.instance_id];
+        if (!instance?.sock || instance.status !== 'connected') {
+            try {
+                await initializeSock(post.instance_id);
+                instance = instances[post.instance_id];
+            } catch (error) {
+                logger.error(`Error initializing WhatsApp instance ${post.instance_id} for status post ${post.id}:`, error.message);
+            }
+            // Try again on a later tick
+            if (!instance?.sock || instance.status !== 'connected') continue;
+        }
+
+        await publishStatusPost(post, instance.sock);
+    }
+};
+
+// Function to record a delivery or view receipt for a posted status.
+// Returns false if the receipt is not for a status post of this instance.
+export const recordStatusReceipt = async (instanceId, update) => {
+    const { receipt } = update;
+    if (!receipt?.userJid) return false;
+
+    await ensureStatusPostSchema();
+    const connection = await connectDB();
+    const [posts] = await connection.query(
+        'SELECT id FROM status_posts WHERE instance_id = ? AND whatsapp_message_id = ?',
+        [instanceId, update.key.id]
+    );
+    if (posts.length === 0) return false;
+
+    // Timestamps are in seconds; a read (viewed) receipt may arrive without a delivery one
+    const toDate = (timestamp) => (timestamp ? new Date(Number(timestamp) * 1000) : null);
+    const viewedAt = toDate(receipt.readTimestamp || receipt.playedTimestamp);
+    const deliveredAt = toDate(receipt.receiptTimestamp) || viewedAt;
+
+    await connection.execute(
+        'INSERT INTO status_views (status_post_id, viewer, delivered_at, viewed_at) VALUES (?, ?, ?, ?) ' +
+        'ON DUPLICATE KEY UPDATE delivered_at = COALESCE(delivered_at, VALUES(delivered_at)), viewed_at = COALESCE(viewed_at, VALUES(viewed_at))',
+        [posts[0].id, jidToNumber(receipt.userJid), deliveredAt, viewedAt]
+    );
+    return true;
+};
+
+const formatStatusPost = (post) => ({
+    id: post.id,
+    type: post.type,
+    text: post.text,
+    mediaId: post.media_id,
+    caption: post.caption,
+    backgroundColor: post.background_color,
+    font: post.font,
+    audience: JSON.parse(post.audience),
+    audienceSize: post.audience_size,
+    scheduleTime: post.schedule_time,
+    status: post.status,
+    whatsappMessageId: post.whatsapp_message_id,
+    error: post.error,
+    postedAt: post.posted_at,
+    createdAt: post.created_at,
+    deliveries: parseInt(post.deliveries) || 0,
+    views: parseInt(post.views) || 0
+});
+
+// Status posts with their delivery and view counts
+const POST_SELECT = `
+    SELECT p.*,
+        (SELECT COUNT(*) FROM status_views v WHERE v.status_post_id = p.id AND v.delivered_at IS NOT NULL) as deliveries,
+        (SELECT COUNT(*) FROM status_views v WHERE v.status_post_id = p.id AND v.viewed_at IS NOT NULL) as views
+    FROM status_posts p
+`;
+
+const findStatusPost = async (instanceId, postId) => {
+    await ensureStatusPostSchema();
+    const connection = await connectDB();
+    const [rows] = await connection.query(`${POST_SELECT} WHERE p.id = ? AND p.instance_id = ?`, [postId, instanceId]);
+    return rows[0] || null;
+};
+
+/**
+ * Post a text, image or video status now, or schedule it
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const createStatusPost = async (req, res) => {
+    try {
+        const { instanceId } = req.params;
+        const { text, mediaId, caption, backgroundColor, font, audience = { type: 'all' }, scheduleTime } = req.body;
+
+        if (!text && !mediaId) {
+            return res.status(400).json({ success: false, message: 'text or mediaId is required' });
+        }
+        if (text && mediaId) {
+            return res.status(400).json({ success: false, message: 'Send either text or mediaId; use caption for text on media' });
+        }
+        if (text && (typeof text !== 'string' || text.length > TEXT_MAX_LENGTH)) {
+            return res.status(400).json({ success: false, message: `text must be a string of at most ${TEXT_MAX_LENGTH} characters` });
+        }
+        if (backgroundColor !== undefined && !COLOR_PATTERN.test(backgroundColor)) {
+            return res.status(400).json({ success: false, message: 'backgroundColor must be a hex color like #25D366' });
+        }
+        if (font !== undefined && (!Number.isInteger(Number(font)) || Number(font) < 0 || Number(font) > MAX_FONT)) {
+            return res.status(400).json({ success: false, message: `font must be a whole number from 0 to ${MAX_FONT}` });
+        }
+
+        const audienceError = validateAudience(audience);
+        if (audienceError) {
+            return res.status(400).json({ success: false, message: audienceError });
+        }
+
+        // Statuses show images and videos only
+        let type = 'text';
+        if (mediaId) {
+            const media = await findMedia(instanceId, mediaId);
+            if (!media) {
+                return res.status(404).json({ success: false, message: 'Media not found' });
+            }
+            const mimeType = media.processed_mime_type || media.mime_type || '';
+            type = mimeType.startsWith('image/') ? 'image' : mimeType.startsWith('video/') ? 'video' : null;
+            if (!type) {
+                return res.status(400).json({ success: false, message: 'Only image and video media can be posted as a status' });
+            }
+        }
+
+        if (scheduleTime && !(new Date(scheduleTime) > new Date())) {
+            return res.status(400).json({ success: false, message: 'scheduleTime must be a date in the future' });
+        }
+
+        // Posting now needs a connected socket; scheduled posts are picked up by the scheduler
+        const instance = instances[instanceId];
+        if (!scheduleTime && (!instance?.sock || instance.status !== 'connected')) {
+            return res.status(400).json({ success: false, message: 'WhatsApp instance not connected' });
+        }
+
+        await ensureStatusPostSchema();
+        const connection = await connectDB();
+        const [result] = await connection.execute(
+            'INSERT INTO status_posts (instance_id, type, text, media_id, caption, background_color, font, audience, schedule_time) ' +
+            'VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+            [
+                instanceId,
+                type,
+                text || null,
+                mediaId ? parseInt(mediaId) : null,
+                mediaId ? caption || null : null,
+                type === 'text' ? backgroundColor || null : null,
+                type === 'text' && font !== undefined ? Number(font) : null,
+                JSON.stringify(audience),
+                scheduleTime ? new Date(scheduleTime) : null
+            ]
+        );
+
+        if (!scheduleTime) {
+            await publishStatusPost(await findStatusPost(instanceId, result.insertId), instance.sock);
+        }
+
+        const post = await findStatusPost(instanceId, result.insertId);
+        if (post.status === POST_STATUS.FAILED) {
+            return res.status(500).json({ success: false, message: 'Failed to post status', error: post.error, post: formatStatusPost(post) });
+        }
+        res.status(201).json({ success: true, post: formatStatusPost(post) });
+    } catch (error) {
+        logger.error('Error in createStatusPost:', error);
+        res.status(500).json({ success: false, message: 'Failed to post status', error: error.message });
+    }
+};
+
+/**
+ * List the status posts of an instance, newest first, with delivery and view counts
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const listStatusPosts = async (req, res) => {
+    try {
+        const { instanceId } = req.params;
+        const { status, limit = 50, offset = 0 } = req.query;
+
+        await ensureStatusPostSchema();
+        const connection = await connectDB();
+        const [rows] = await connection.query(
+            `${POST_SELECT} WHERE p.instance_id = ? ${status ? 'AND p.status = ?' : ''} ORDER BY p.id DESC LIMIT ? OFFSET ?`,
+            status ? [instanceId, status, parseInt(limit), parseInt(offset)] : [instanceId, parseInt(limit), parseInt(offset)]
+        );
+
+        res.json({ success: true, posts: rows.map(formatStatusPost) });
+    } catch (error) {
+        logger.error('Error in listStatusPosts:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch status posts', error: error.message });
+    }
+};
+
+/**
+ * Get a status post with the contacts it was delivered to and who viewed it
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getStatusPost = async (req, res) => {
+    try {
+        const { instanceId, postId } = req.params;
+
+        const post = await findStatusPost(instanceId, postId);
+        if (!post) {
+            return res.status(404).json({ success: false, message: 'Status post not found' });
+        }
+
+        const connection = await connectDB();
+        const [views] = await connection.query(
+            'SELECT viewer, delivered_at, viewed_at FROM status_views WHERE status_post_id = ? ORDER BY viewed_at IS NULL, viewed_at DESC',
+            [post.id]
+        );
+
+        res.json({
+            success: true,
+            post: formatStatusPost(post),
+            viewers: views.map(view => ({ number: view.viewer, deliveredAt: view.delivered_at, viewedAt: view.viewed_at }))
+        });
+    } catch (error) {
+        logger.error('Error in getStatusPost:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch status post', error: error.message });
+    }
+};
+
+/**
+ * Cancel a scheduled status post that has not been posted yet
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const cancelStatusPost = async (req, res) => {
+    try {
+        const { instanceId, postId } = req.params;
+
+        const post = await findStatusPost(instanceId, postId);
+        if (!post) {
+            return res.status(404).json({ success: false, message: 'Status post not found' });
+        }
+        if (post.status !== POST_STATUS.PENDING) {
+            return res.status(409).json({ success: false, message: `Cannot cancel a status post that is ${post.status}` });
+        }
+
+        const connection = await connectDB();
+        await connection.execute('UPDATE status_posts SET status = ? WHERE id = ?', [POST_STATUS.CANCELLED, post.id]);
+        res.json({ success: true, post: formatStatusPost(await findStatusPost(instanceId, postId)) });
+    } catch (error) {
+        logger.error('Error in cancelStatusPost:', error);
+        res.status(500).json({ success: false, message: 'Failed to cancel status post', error: error.message });
+    }
+};
@@ -2,6 +2,7 @@
 
 import connectDB from '../db/index.js';
 import { logger } from '../logger.js';
+import { getCreditBalance, getCreditLedger } from './credits.js';
 
 export const checkSubscription = async (req, res) => {
     try {
@@ -56,9 +57,6 @@ export const getSubscriptionDetails = async (req, res) => {
             'ls.*, ' +
             '(SELECT COUNT(*) FROM media_messages ' +
             'WHERE instance_id = ls.instance_id ' +
-            'AND created_at >= ls.created_at) as messages_sent, ' +
-            '(SELECT COUNT(*) FROM media_messages ' +
-            'WHERE instance_id = ls.instance_id ' +
             'AND created_at >= ls.created_at ' +
             'AND message_status != "failed") as successful_messages, ' +
             '(SELECT COUNT(*) FROM media_messages ' +
@@ -117,11 +115,13 @@ export const getSubscriptionDetails = async (req, res) => {
         const subscriptionData = currentSubscription[0];
         const allTimeData = allTimeStats[0];
 
-        // Current subscription stats
-        const messages_sent = parseInt(subscriptionData.messages_sent) || 0;
+        // Current subscription balance comes from the credit ledger
+        const credits = await getCreditBalance(instance_id);
+        const messages_sent = credits ? credits.used : 0;
+        const messages_reserved = credits ? credits.reserved : 0;
+        const messages_remaining = credits ? credits.available : 0;
         const failed_messages = parseInt(subscriptionData.failed_messages) || 0;
         const successful_messages = parseInt(subscriptionData.successful_messages) || 0;
-        const messages_remaining = Math.max(0, subscriptionData.num_messages - messages_sent);
         const days_remaining = parseInt(subscriptionData.days_remaining) || 0;
 
         // All-time stats
@@ -139,6 +139,7 @@ export const getSubscriptionDetails = async (req, res) => {
                 current: {
                     ...subscriptionData,
                     messages_sent,
+                    messages_reserved,
                     failed_messages,
                     successful_messages,
                     messages_remaining,
@@ -165,6 +166,43 @@ export const getSubscriptionDetails = async (req, res) => {
     }
 };
 
+/**
+ * List the credit ledger entries (grants, reservations, debits, refunds and expiries) of an instance
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getSubscriptionLedger = async (req, res) => {
+    try {
+        const { id: instance_id } = req.params;
+        const { subscription_id, limit = 100, offset = 0 } = req.query;
+
+        const entries = await getCreditLedger(instance_id, {
+            subscriptionId: subscription_id,
+            limit: Math.min(Math.max(parseInt(limit) || 100, 1), 500),
+            offset: Math.max(parseInt(offset) || 0, 0)
+        });
+        const credits = await getCreditBalance(instance_id);
+
+        res.json({
+            success: true,
+            balance: credits ? {
+                subscriptionId: credits.subscription.id,
+                granted: credits.granted,
+                available: credits.available,
+                reserved: credits.reserved,
+                used: credits.used
+            } : null,
+            entries
+        });
+    } catch (error) {
+        logger.error('Error in getSubscriptionLedger:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
 // Add new subscription
 export const addSubscription = async (req, res) => {
     try {
@@ -0,0 +1,502 @@
+// src/controllers/suppression.js
+
+import csv from 'csv-parser';
+import { Readable } from 'stream';
+import connectDB from '../db/index.js';
+import { ensureTable } from '../db/schema.js';
+import { logger } from '../logger.js';
+import { logMediaMessageToDB, ensureMessageTypeSchema, ensureQuoteSchema } from './messages.js';
+import { ensureSendWindowSchema } from './sendWindows.js';
+import { ensureThrottleSchema, waitForSendSlotWithin } from './throttle.js';
+import { toContactKey } from './conversations.js';
+import { isGroupJid } from '../utils/jids.js';
+
+// Numbers on an instance's suppression list are never sent to: every send path skips them and
+// records 'suppressed' as the reason. Contacts add themselves by sending one of the instance's
+// opt-out keywords (STOP, UNSUBSCRIBE, ...) as a message of its own; numbers can also be added,
+// imported and removed by hand. Group chats are never suppressed.
+
+export const SUPPRESSION_REASON = {
+    OPT_OUT: 'opt_out',
+    MANUAL: 'manual',
+    IMPORT: 'import'
+};
+
+// Opt-out keywords used until an instance sets its own; they are matched in upper case with
+// punctuation removed, so "stop", "Stop." and "STOP!" all match STOP
+const DEFAULT_KEYWORDS = [
+    'STOP', 'STOPALL', 'UNSUBSCRIBE', 'OPT OUT', 'OPTOUT', 'END', 'QUIT', 'CANCEL',
+    'BAJA', 'ALTO', 'PARAR', 'DETENER',
+    'ARRET', 'ARRÊT', 'DESABONNER', 'DÉSABONNER',
+    'STOPP', 'ABMELDEN',
+    'SAIR', 'CANCELAR',
+    'BAND', 'बंद', 'रोकें',
+    'إيقاف', 'الغاء'
+];
+const DEFAULT_CONFIRMATION_TEXT = 'You have been unsubscribed and will not receive further messages from us.';
+
+const KEYWORD_MAX_LENGTH = 64;
+const MAX_KEYWORDS = 100;
+const NOTE_MAX_LENGTH = 255;
+const CONFIRMATION_MAX_LENGTH = 1000;
+const MAX_IMPORT_NUMBERS = 50000;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+// Longest the confirmation waits for the throttle before it is skipped
+const CONFIRMATION_MAX_THROTTLE_WAIT_MS = 5000;
+
+// Function to make sure the suppression list and opt-out settings tables exist
+export const ensureSuppressionSchema = async () => {
+    await ensureTable('suppression_list', `
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        instance_id VARCHAR(255) NOT NULL,
+        number VARCHAR(20) NOT NULL,
+        reason ENUM('opt_out', 'manual', 'import') NOT NULL,
+        keyword VARCHAR(64) NULL,
+        note VARCHAR(255) NULL,
+        inbound_message_id INT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_instance_number (instance_id, number)
+    `);
+    await ensureTable('opt_out_settings', `
+        instance_id VARCHAR(255) PRIMARY KEY,
+        enabled BOOLEAN NOT NULL DEFAULT TRUE,
+        keywords TEXT NULL,
+        confirmation_text TEXT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    `);
+    await ensureSendWindowSchema();
+};
+
+// Function to get the suppression list key of a recipient: its digits, or null for groups and
+// anything that is not a phone number
+export const toSuppressionNumber = (recipient) => {
+    if (recipient === undefined || recipient === null || isGroupJid(String(recipient))) return null;
+    return toContactKey(recipient);
+};
+
+// Keywords and messages are compared in upper case, without punctuation or repeated spaces
+const normalizeKeyword = (text) => text
+    .normalize('NFC')
+    .toUpperCase()
+    .replace(/[\p{P}\p{S}]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+// Function to get an instance's opt-out settings, or the defaults if it has none saved
+const findOptOutSettings = async (instanceId) => {
+    await ensureSuppressionSchema();
+    const connection = await connectDB();
+    const [rows] = await connection.query('SELECT * FROM opt_out_settings WHERE instance_id = ?', [instanceId]);
+
+    if (rows.length === 0) {
+        return { enabled: true, keywords: DEFAULT_KEYWORDS, confirmation_text: DEFAULT_CONFIRMATION_TEXT, custom: false };
+    }
+    return {
+        enabled: !!rows[0].enabled,
+        keywords: rows[0].keywords ? JSON.parse(rows[0].keywords) : DEFAULT_KEYWORDS,
+        confirmation_text: rows[0].confirmation_text,
+        custom: true
+    };
+};
+
+// Function to tell whether a recipient is on an instance's suppression list
+export const isSuppressed = async (instanceId, recipient) => {
+    const number = toSuppressionNumber(recipient);
+    if (!number) return false;
+
+    await ensureSuppressionSchema();
+    const connection = await connectDB();
+    const [rows] = await connection.query(
+        'SELECT id FROM suppression_list WHERE instance_id = ? AND number = ? LIMIT 1',
+        [instanceId, number]
+    );
+    return rows.length > 0;
+};
+
+// Function to split messages ({ number, ... }) into those that may be sent and those whose
+// number is suppressed, the latter as skipped entries { number, reason: 'suppressed' }
+export const filterSuppressedRecipients = async (instanceId, messages) => {
+    const numbers = [...new Set(messages.map(message => toSuppressionNumber(message.number)).filter(Boolean))];
+    if (numbers.length === 0) return { kept: messages, skipped: [] };
+
+    await ensureSuppressionSchema();
+    const connection = await connectDB();
+    const [rows] = await connection.query(
+        'SELECT number FROM suppression_list WHERE instance_id = ? AND number IN (?)',
+        [instanceId, numbers]
+    );
+    const suppressed = new Set(rows.map(row => row.number));
+
+    const kept = [];
+    const skipped = [];
+    for (const message of messages) {
+        if (suppressed.has(toSuppressionNumber(message.number))) {
+            skipped.push({ number: message.number, reason: 'suppressed' });
+        } else {
+            kept.push(message);
+        }
+    }
+    return { kept, skipped };
+};
+
+// Function to add numbers (already normalised) to the suppression list; numbers already on it
+// keep their original entry. Returns how many were added.
+const addToSuppressionList = async (instanceId, numbers, { reason, keyword = null, note = null, inboundMessageId = null }) => {
+    if (numbers.length === 0) return 0;
+
+    await ensureSuppressionSchema();
+    const connection = await connectDB();
+    const [result] = await connection.query(
+        'INSERT IGNORE INTO suppression_list (instance_id, number, reason, keyword, note, inbound_message_id) VALUES ?',
+        [numbers.map(number => [instanceId, number, reason, keyword, note, inboundMessageId])]
+    );
+    return result.affectedRows;
+};
+
+// Function to suppress contacts whose new inbound message (from recordInboundMessages) is an
+// opt-out keyword and send them the confirmation. The confirmation always goes out and is not
+// charged to the subscription. Returns the inbound messages that were not opt-outs.
+export const handleOptOuts = async (instanceId, sock, inboundMessages) => {
+    const remaining = [];
+    let settings = null;
+
+    for (const inbound of inboundMessages) {
+        const number = toSuppressionNumber(inbound.chatId);
+        if (!number || !inbound.text) {
+            remaining.push(inbound);
+            continue;
+        }
+
+        try {
+            settings = settings || await findOptOutSettings(instanceId);
+            const text = normalizeKeyword(inbound.text);
+            const keyword = settings.enabled && settings.keywords.find(candidate => normalizeKeyword(candidate) === text);
+            if (!keyword) {
+                remaining.push(inbound);
+                continue;
+            }
+
+            const added = await addToSuppressionList(instanceId, [number], {
+                reason: SUPPRESSION_REASON.OPT_OUT,
+                keyword,
+                inboundMessageId: inbound.id
+            });
+            logger.info('Contact opted out:', { instanceId, contact: number, keyword, alreadySuppressed: added === 0 });
+
+            // The confirmation counts toward the instance's throttle limits like any other send.
+            // It is skipped rather than held back when the limits would delay it (and every
+            // message after it in the batch) for long; the contact is suppressed either way.
+            if (settings.confirmation_text) {
+                await ensureMessageTypeSchema();
+                await ensureQuoteSchema();
+                await ensureThrottleSchema();
+                if (!(await waitForSendSlotWithin(instanceId, CONFIRMATION_MAX_THROTTLE_WAIT_MS))) {
+                    logger.warn('Opt-out confirmation skipped, instance is throttled:', { instanceId, contact: number });
+                    continue;
+                }
+                const result = await sock.sendMessage(inbound.message.key.remoteJid, { text: settings.confirmation_text });
+                await logMediaMessageToDB(
+                    instanceId,
+                    number,
+                    settings.confirmation_text,
+                    null,
+                    null,
+                    null,
+                    'sent',
+                    result?.key?.id,
+                    { message_type: 'text', quoted_whatsapp_id: inbound.whatsappMessageId, sent_at: new Date() }
+                );
+            }
+        } catch (error) {
+            logger.error('Error handling opt-out:', { instanceId, inboundId: inbound.id, error: error.message, stack: error.stack });
+        }
+    }
+
+    return remaining;
+};
+
+// Function to read numbers from an uploaded CSV: a "number", "phone" or "phone_numbers" column,
+// or the first column when there is no such header
+const readNumbersFromCSV = (file) => new Promise((resolve, reject) => {
+    const numbers = [];
+    Readable.from(file.data.toString())
+        .pipe(csv({ headers: false }))
+        .on('data', (row) => {
+            numbers.push(Object.values(row));
+        })
+        .on('end', () => {
+            if (numbers.length === 0) return resolve([]);
+            const header = numbers[0].map(cell => String(cell).trim().toLowerCase());
+            const column = header.findIndex(cell => ['number', 'phone', 'phone_numbers'].includes(cell));
+            const rows = column === -1 ? numbers : numbers.slice(1);
+            resolve(rows.map(row => row[Math.max(column, 0)]));
+        })
+        .on('error', reject);
+});
+
+const formatEntry = (row) => ({
+    number: row.number,
+    reason: row.reason,
+    keyword: row.keyword,
+    note: row.note,
+    inbound_message_id: row.inbound_message_id,
+    created_at: row.created_at
+});
+
+/**
+ * List an instance's suppressed numbers, newest first, optionally filtered by number or reason
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const listSuppressedNumbers = async (req, res) => {
+    try {
+        const { instanceId } = req.params;
+        const { search, reason } = req.query;
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+        if (reason && !Object.values(SUPPRESSION_REASON).includes(reason)) {
+            return res.status(400).json({ success: false, message: `reason must be one of: ${Object.values(SUPPRESSION_REASON).join(', ')}` });
+        }
+        const digits = search ? String(search).replace(/[^\d]/g, '') : '';
+
+        await ensureSuppressionSchema();
+        const connection = await connectDB();
+        const [rows] = await connection.query(
+            'SELECT *, COUNT(*) OVER () AS total FROM suppression_list WHERE instance_id = ? ' +
+            (digits ? 'AND number LIKE ? ' : '') +
+            (reason ? 'AND reason = ? ' : '') +
+            'ORDER BY id DESC LIMIT ? OFFSET ?',
+            [instanceId, ...(digits ? [`%${digits}%`] : []), ...(reason ? [reason] : []), limit, offset]
+        );
+
+        res.json({
+            success: true,
+            total: rows.length > 0 ? rows[0].total : 0,
+            limit,
+            offset,
+            numbers: rows.map(formatEntry)
+        });
+    } catch (error) {
+        logger.error('Error in listSuppressedNumbers:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch suppression list', error: error.message });
+    }
+};
+
+/**
+ * Add numbers to an instance's suppression list by hand
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const addSuppressedNumbers = async (req, res) => {
+    try {
+        const { instanceId } = req.params;
+        const { number, numbers, note } = req.body;
+
+        const requested = numbers !== undefined ? numbers : [number];
+        if (!Array.isArray(requested) || requested.length === 0 || requested.length > MAX_IMPORT_NUMBERS) {
+            return res.status(400).json({ success: false, message: `Send a number, or numbers as an array of 1-${MAX_IMPORT_NUMBERS}` });
+        }
+        if (note !== undefined && note !== null && (typeof note !== 'string' || note.length > NOTE_MAX_LENGTH)) {
+            return res.status(400).json({ success: false, message: `note must be at most ${NOTE_MAX_LENGTH} characters` });
+        }
+
+        const invalid = requested.filter(value => !toSuppressionNumber(value));
+        if (invalid.length > 0) {
+            return res.status(400).json({ success: false, message: 'Only phone numbers can be suppressed', invalid });
+        }
+
+        const normalized = [...new Set(requested.map(toSuppressionNumber))];
+        const added = await addToSuppressionList(instanceId, normalized, { reason: SUPPRESSION_REASON.MANUAL, note: note || null });
+
+        logger.info('Numbers suppressed manually:', { instanceId, requested: normalized.length, added });
+        res.status(201).json({ success: true, added, alreadySuppressed: normalized.length - added });
+    } catch (error) {
+        logger.error('Error in addSuppressedNumbers:', error);
+        res.status(500).json({ success: false, message: 'Failed to add numbers to suppression list', error: error.message });
+    }
+};
+
+/**
+ * Remove a number from an instance's suppression list so it can be messaged again
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const removeSuppressedNumber = async (req, res) => {
+    try {
+        const { instanceId } = req.params;
+        const number = toSuppressionNumber(req.params.number);
+        if (!number) {
+            return res.status(400).json({ success: false, message: 'number must be a phone number' });
+        }
+
+        await ensureSuppressionSchema();
+        const connection = await connectDB();
+        const [result] = await connection.query(
+            'DELETE FROM suppression_list WHERE instance_id = ? AND number = ?',
+            [instanceId, number]
+        );
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ success: false, message: 'Number is not on the suppression list' });
+        }
+
+        logger.info('Number removed from suppression list:', { instanceId, number });
+        res.json({ success: true, message: 'Number removed from suppression list' });
+    } catch (error) {
+        logger.error('Error in removeSuppressedNumber:', error);
+        res.status(500).json({ success: false, message: 'Failed to remove number from suppression list', error: error.message });
+    }
+};
+
+/**
+ * Import numbers into an instance's suppression list from an uploaded CSV file (field "file")
+ * or a JSON array of numbers. Entries that are not phone numbers are reported, not imported.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const importSuppressedNumbers = async (req, res) => {
+    try {
+        const { instanceId } = req.params;
+        const file = req.files?.file;
+
+        let values;
+        if (file) {
+            if (!file.name.toLowerCase().endsWith('.csv')) {
+                return res.status(400).json({ success: false, message: 'Only CSV files are allowed' });
+            }
+            values = await readNumbersFromCSV(file);
+        } else if (Array.isArray(req.body.numbers)) {
+            values = req.body.numbers;
+        } else {
+            return res.status(400).json({ success: false, message: 'Upload a CSV file or send numbers as an array' });
+        }
+
+        if (values.length > MAX_IMPORT_NUMBERS) {
+            return res.status(400).json({ success: false, message: `At most ${MAX_IMPORT_NUMBERS} numbers can be imported at once` });
+        }
+
+        const invalid = [];
+        const normalized = new Set();
+        for (const value of values) {
+            const number = toSuppressionNumber(value);
+            if (number) {
+                normalized.add(number);
+            } else if (value !== undefined && String(value).trim() !== '') {
+                invalid.push(value);
+            }
+        }
+
+        const added = await addToSuppressionList(instanceId, [...normalized], { reason: SUPPRESSION_REASON.IMPORT });
+
+        logger.info('Suppression list imported:', { instanceId, numbers: normalized.size, added, invalid: invalid.length });
+        res.json({
+            success: true,
+            imported: added,
+            alreadySuppressed: normalized.size - added,
+            invalid
+        });
+    } catch (error) {
+        logger.error('Error in importSuppressedNumbers:', error);
+        res.status(500).json({ success: false, message: 'Failed to import suppression list', error: error.message });
+    }
+};
+
+/**
+ * Download an instance's suppression list as CSV
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const exportSuppressedNumbers = async (req, res) => {
+    try {
+        const { instanceId } = req.params;
+
+        await ensureSuppressionSchema();
+        const connection = await connectDB();
+        const [rows] = await connection.query(
+            'SELECT * FROM suppression_list WHERE instance_id = ? ORDER BY id ASC',
+            [instanceId]
+        );
+
+        const escape = (value) => {
+            if (value === null || value === undefined) return '';
+            const text = value instanceof Date ? value.toISOString() : String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const columns = ['number', 'reason', 'keyword', 'note', 'created_at'];
+        const lines = [columns.join(','), ...rows.map(row => columns.map(column => escape(row[column])).join(','))];
+
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="suppression-list-${instanceId}.csv"`);
+        res.send(`${lines.join('\n')}\n`);
+    } catch (error) {
+        logger.error('Error in exportSuppressedNumbers:', error);
+        res.status(500).json({ success: false, message: 'Failed to export suppression list', error: error.message });
+    }
+};
+
+/**
+ * Get an instance's opt-out keywords and confirmation reply
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getOptOutSettings = async (req, res) => {
+    try {
+        const { instanceId } = req.params;
+        res.json({ success: true, optOut: await findOptOutSettings(instanceId) });
+    } catch (error) {
+        logger.error('Error in getOptOutSettings:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch opt-out settings', error: error.message });
+    }
+};
+
+/**
+ * Update an instance's opt-out keywords and confirmation reply; fields missing from the body
+ * keep their value. An empty confirmation_text turns the confirmation off.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const updateOptOutSettings = async (req, res) => {
+    try {
+        const { instanceId } = req.params;
+        const current = await findOptOutSettings(instanceId);
+        const {
+            enabled = current.enabled,
+            keywords = current.keywords,
+            confirmation_text: confirmationText = current.confirmation_text
+        } = req.body;
+
+        if (!Array.isArray(keywords) || keywords.length === 0 || keywords.length > MAX_KEYWORDS) {
+            return res.status(400).json({ success: false, message: `keywords must be an array of 1-${MAX_KEYWORDS} keywords` });
+        }
+        const invalidKeyword = keywords.find(keyword => (
+            typeof keyword !== 'string' || !normalizeKeyword(keyword) || keyword.length > KEYWORD_MAX_LENGTH
+        ));
+        if (invalidKeyword !== undefined) {
+            return res.status(400).json({
+                success: false,
+                message: `Each keyword must have letters or digits and be at most ${KEYWORD_MAX_LENGTH} characters`,
+                keyword: invalidKeyword
+            });
+        }
+        if (confirmationText !== null && (typeof confirmationText !== 'string' || confirmationText.length > CONFIRMATION_MAX_LENGTH)) {
+            return res.status(400).json({ success: false, message: `confirmation_text must be at most ${CONFIRMATION_MAX_LENGTH} characters` });
+        }
+
+        const cleanKeywords = [...new Set(keywords.map(keyword => keyword.trim()))];
+        const connection = await connectDB();
+        await connection.execute(
+            'INSERT INTO opt_out_settings (instance_id, enabled, keywords, confirmation_text) VALUES (?, ?, ?, ?) ' +
+            'ON DUPLICATE KEY UPDATE enabled = VALUES(enabled), keywords = VALUES(keywords), confirmation_text = VALUES(confirmation_text)',
+            [instanceId, !!enabled, JSON.stringify(cleanKeywords), confirmationText?.trim() || null]
+        );
+
+        logger.info('Opt-out settings updated:', { instanceId, enabled: !!enabled, keywords: cleanKeywords.length });
+        return getOptOutSettings(req, res);
+    } catch (error) {
+        logger.error('Error in updateOptOutSettings:', error);
+        res.status(500).json({ success: false, message: 'Failed to update opt-out settings', error: error.message });
+    }
+};
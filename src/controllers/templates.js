@@ -0,0 +1,288 @@
+// src/controllers/templates.js
+
+import connectDB from '../db/index.js';
+import { withTransaction } from '../db/transaction.js';
+import { ensureTable, ensureColumn } from '../db/schema.js';
+import { logger } from '../logger.js';
+import { getRecipientData } from './messages.js';
+import { renderTemplate, extractVariables } from '../utils/placeholders.js';
+import { spinText, countVariants } from '../utils/spintax.js';
+import { findMedia } from './mediaLibrary.js';
+
+// Function to make sure the message_templates table exists; media is referenced by media library id
+export const ensureTemplateSchema = async () => {
+    await ensureTable('message_templates', `
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        instance_id VARCHAR(255) NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        version INT NOT NULL DEFAULT 1,
+        text TEXT NULL,
+        caption TEXT NULL,
+        media_id INT NULL,
+        variables TEXT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY unique_template_version (instance_id, name, version),
+        INDEX idx_instance_id (instance_id)
+    `);
+    await ensureColumn('message_templates', 'media_id', 'INT NULL');
+};
+
+// Collect the field names used in a template's text and caption
+const detectVariables = (text, caption) => [
+    ...new Set([...extractVariables(text), ...extractVariables(caption)])
+];
+
+const formatTemplate = (row) => ({
+    ...row,
+    variables: row.variables ? JSON.parse(row.variables) : []
+});
+
+// Function to get a template version that belongs to an instance
+export const findTemplate = async (instanceId, templateId) => {
+    await ensureTemplateSchema();
+    const connection = await connectDB();
+    const [rows] = await connection.query(
+        'SELECT * FROM message_templates WHERE id = ? AND instance_id = ?',
+        [templateId, instanceId]
+    );
+    return rows[0] ? formatTemplate(rows[0]) : null;
+};
+
+// Save a template version row and return its id; connection is the transaction to save in, if any
+const saveTemplateVersion = async (instanceId, name, version, { text, caption, mediaId, variables }, connection = null) => {
+    connection = connection || await connectDB();
+    const declaredVariables = Array.isArray(variables) ? variables : detectVariables(text, caption);
+
+    const [result] = await connection.execute(
+        'INSERT INTO message_templates (instance_id, name, version, text, caption, media_id, variables) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        [instanceId, name, version, text || null, caption || null, mediaId || null, JSON.stringify(declaredVariables)]
+    );
+    return result.insertId;
+};
+
+/**
+ * List templates of an instance (latest version of each name)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const listTemplates = async (req, res) => {
+    try {
+        const { instanceId } = req.params;
+
+        await ensureTemplateSchema();
+        const connection = await connectDB();
+        const [rows] = await connection.query(
+            'SELECT t.* FROM message_templates t ' +
+            'JOIN (SELECT name, MAX(version) as version FROM message_templates WHERE instance_id = ? GROUP BY name) latest ' +
+            'ON t.name = latest.name AND t.version = latest.version ' +
+            'WHERE t.instance_id = ? ' +
+            'ORDER BY t.name ASC',
+            [instanceId, instanceId]
+        );
+
+        res.json({ success: true, templates: rows.map(formatTemplate) });
+    } catch (error) {
+        logger.error('Error in listTemplates:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch templates', error: error.message });
+    }
+};
+
+/**
+ * Get a template version along with the list of all its versions
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getTemplate = async (req, res) => {
+    try {
+        const { instanceId, templateId } = req.params;
+
+        const template = await findTemplate(instanceId, templateId);
+        if (!template) {
+            return res.status(404).json({ success: false, message: 'Template not found' });
+        }
+
+        const connection = await connectDB();
+        const [versions] = await connection.query(
+            'SELECT id, version, created_at FROM message_templates WHERE instance_id = ? AND name = ? ORDER BY version DESC',
+            [instanceId, template.name]
+        );
+
+        res.json({ success: true, template, versions });
+    } catch (error) {
+        logger.error('Error in getTemplate:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch template', error: error.message });
+    }
+};
+
+/**
+ * Create a template
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const createTemplate = async (req, res) => {
+    try {
+        const { instanceId } = req.params;
+        const { name, text, caption, mediaId, variables } = req.body;
+
+        if (!name || !name.trim()) {
+            return res.status(400).json({ success: false, message: 'Template name is required' });
+        }
+        if (!text && !caption && !mediaId) {
+            return res.status(400).json({ success: false, message: 'Template needs text, caption or media' });
+        }
+        if (variables !== undefined && !Array.isArray(variables)) {
+            return res.status(400).json({ success: false, message: 'variables must be an array of field names' });
+        }
+        if (mediaId && !(await findMedia(instanceId, mediaId))) {
+            return res.status(404).json({ success: false, message: 'Media not found' });
+        }
+
+        await ensureTemplateSchema();
+        const connection = await connectDB();
+        const [existing] = await connection.query(
+            'SELECT id FROM message_templates WHERE instance_id = ? AND name = ? LIMIT 1',
+            [instanceId, name.trim()]
+        );
+        if (existing.length > 0) {
+            return res.status(409).json({ success: false, message: 'A template with this name already exists' });
+        }
+
+        const templateId = await saveTemplateVersion(instanceId, name.trim(), 1, { text, caption, mediaId, variables });
+        res.status(201).json({ success: true, template: await findTemplate(instanceId, templateId) });
+    } catch (error) {
+        logger.error('Error in createTemplate:', error);
+        res.status(500).json({ success: false, message: 'Failed to create template', error: error.message });
+    }
+};
+
+/**
+ * Update a template by saving a new version; older versions stay usable by id
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const updateTemplate = async (req, res) => {
+    try {
+        const { instanceId, templateId } = req.params;
+        const { variables } = req.body;
+
+        const template = await findTemplate(instanceId, templateId);
+        if (!template) {
+            return res.status(404).json({ success: false, message: 'Template not found' });
+        }
+        if (variables !== undefined && !Array.isArray(variables)) {
+            return res.status(400).json({ success: false, message: 'variables must be an array of field names' });
+        }
+
+        // Fields missing from the body are carried over from the version being updated
+        const fields = {};
+        ['text', 'caption'].forEach(field => {
+            fields[field] = req.body[field] !== undefined ? req.body[field] : template[field];
+        });
+        fields.mediaId = req.body.mediaId !== undefined ? req.body.mediaId : template.media_id;
+        fields.variables = variables;
+
+        if (!fields.text && !fields.caption && !fields.mediaId) {
+            return res.status(400).json({ success: false, message: 'Template needs text, caption or media' });
+        }
+        if (req.body.mediaId && !(await findMedia(instanceId, req.body.mediaId))) {
+            return res.status(404).json({ success: false, message: 'Media not found' });
+        }
+
+        // Lock the template's versions while the next one is saved, so concurrent updates
+        // queue up instead of both picking the same version number
+        const newId = await withTransaction(async (connection) => {
+            const [latest] = await connection.query(
+                'SELECT version FROM message_templates WHERE instance_id = ? AND name = ? ORDER BY version DESC LIMIT 1 FOR UPDATE',
+                [instanceId, template.name]
+            );
+            const nextVersion = (latest[0]?.version || 0) + 1;
+            return saveTemplateVersion(instanceId, template.name, nextVersion, fields, connection);
+        });
+        res.json({ success: true, template: await findTemplate(instanceId, newId) });
+    } catch (error) {
+        logger.error('Error in updateTemplate:', error);
+        res.status(500).json({ success: false, message: 'Failed to update template', error: error.message });
+    }
+};
+
+/**
+ * Delete a template with all of its versions
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const deleteTemplate = async (req, res) => {
+    try {
+        const { instanceId, templateId } = req.params;
+
+        const template = await findTemplate(instanceId, templateId);
+        if (!template) {
+            return res.status(404).json({ success: false, message: 'Template not found' });
+        }
+
+        const connection = await connectDB();
+        const [result] = await connection.execute(
+            'DELETE FROM message_templates WHERE instance_id = ? AND name = ?',
+            [instanceId, template.name]
+        );
+
+        res.json({ success: true, message: 'Template deleted', deletedVersions: result.affectedRows });
+    } catch (error) {
+        logger.error('Error in deleteTemplate:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete template', error: error.message });
+    }
+};
+
+/**
+ * Render a template against a phoneList row (by phoneListId or phoneNumber)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const previewTemplate = async (req, res) => {
+    try {
+        const { instanceId, templateId } = req.params;
+        const { phoneListId, phoneNumber } = req.body;
+
+        if (!phoneListId && !phoneNumber) {
+            return res.status(400).json({ success: false, message: 'phoneListId or phoneNumber is required' });
+        }
+
+        const template = await findTemplate(instanceId, templateId);
+        if (!template) {
+            return res.status(404).json({ success: false, message: 'Template not found' });
+        }
+
+        let recipientData;
+        if (phoneListId) {
+            const connection = await connectDB();
+            const [rows] = await connection.query(
+                'SELECT * FROM phoneList WHERE id = ? AND instance_id = ?',
+                [phoneListId, instanceId]
+            );
+            recipientData = rows[0] || null;
+        } else {
+            recipientData = await getRecipientData(phoneNumber, instanceId);
+        }
+
+        if (!recipientData) {
+            return res.status(404).json({ success: false, message: 'Recipient not found in phone list' });
+        }
+
+        const text = renderTemplate(spinText(template.text), recipientData);
+        const caption = renderTemplate(spinText(template.caption), recipientData);
+
+        res.json({
+            success: true,
+            preview: {
+                text: text.text,
+                caption: caption.text,
+                mediaId: template.media_id,
+                recipient: recipientData.phone_numbers,
+                unresolvedPlaceholders: [...new Set([...text.unresolved, ...caption.unresolved])],
+                variantCount: countVariants(template.text) * countVariants(template.caption)
+            }
+        });
+    } catch (error) {
+        logger.error('Error in previewTemplate:', error);
+        res.status(500).json({ success: false, message: 'Failed to preview template', error: error.message });
+    }
+};
@@ -0,0 +1,281 @@
+// src/controllers/throttle.js
+
+import connectDB from '../db/index.js';
+import { ensureTable, ensureColumn } from '../db/schema.js';
+import { logger } from '../logger.js';
+
+// Used for instances that have no saved profile
+const DEFAULT_PROFILE = {
+    per_minute_limit: 30,
+    per_hour_limit: 1000,
+    per_day_limit: 10000,
+    min_delay_ms: 2000,
+    max_delay_ms: 3000,
+    warmup_enabled: false,
+    warmup_start_per_day: 50,
+    warmup_increase_percent: 20,
+    warmup_started_at: null
+};
+
+const WINDOWS = {
+    minute: 60 * 1000,
+    hour: 60 * 60 * 1000,
+    day: 24 * 60 * 60 * 1000
+};
+
+// Longest single sleep while waiting for a slot, so callers can check for pause/cancel
+const MAX_WAIT_STEP_MS = 60 * 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Function to make sure the throttle table and media_messages.sent_at exist
+export const ensureThrottleSchema = async () => {
+    await ensureTable('throttle_profiles', `
+        instance_id VARCHAR(255) PRIMARY KEY,
+        per_minute_limit INT NOT NULL,
+        per_hour_limit INT NOT NULL,
+        per_day_limit INT NOT NULL,
+        min_delay_ms INT NOT NULL,
+        max_delay_ms INT NOT NULL,
+        warmup_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+        warmup_start_per_day INT NOT NULL DEFAULT 50,
+        warmup_increase_percent INT NOT NULL DEFAULT 20,
+        warmup_started_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    `);
+    await ensureColumn('media_messages', 'sent_at', 'TIMESTAMP NULL, ADD INDEX idx_instance_sent_at (instance_id, sent_at)');
+};
+
+// Function to get the throttle profile of an instance, falling back to the defaults
+export const getThrottleProfile = async (instanceId) => {
+    await ensureThrottleSchema();
+    const connection = await connectDB();
+    const [rows] = await connection.query('SELECT * FROM throttle_profiles WHERE instance_id = ?', [instanceId]);
+
+    if (rows.length === 0) {
+        return { instance_id: instanceId, ...DEFAULT_PROFILE, is_default: true };
+    }
+    return { ...rows[0], warmup_enabled: !!rows[0].warmup_enabled, is_default: false };
+};
+
+// Save a full profile row
+const saveThrottleProfile = async (profile) => {
+    const connection = await connectDB();
+    await connection.execute(
+        'INSERT INTO throttle_profiles ' +
+        '(instance_id, per_minute_limit, per_hour_limit, per_day_limit, min_delay_ms, max_delay_ms, ' +
+        'warmup_enabled, warmup_start_per_day, warmup_increase_percent, warmup_started_at) ' +
+        'VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?) ' +
+        'ON DUPLICATE KEY UPDATE ' +
+        'per_minute_limit = VALUES(per_minute_limit), per_hour_limit = VALUES(per_hour_limit), ' +
+        'per_day_limit = VALUES(per_day_limit), min_delay_ms = VALUES(min_delay_ms), max_delay_ms = VALUES(max_delay_ms), ' +
+        'warmup_enabled = VALUES(warmup_enabled), warmup_start_per_day = VALUES(warmup_start_per_day), ' +
+        'warmup_increase_percent = VALUES(warmup_increase_percent), warmup_started_at = VALUES(warmup_started_at)',
+        [
+            profile.instance_id,
+            profile.per_minute_limit,
+            profile.per_hour_limit,
+            profile.per_day_limit,
+            profile.min_delay_ms,
+            profile.max_delay_ms,
+            profile.warmup_enabled,
+            profile.warmup_start_per_day,
+            profile.warmup_increase_percent,
+            profile.warmup_started_at
+        ]
+    );
+};
+
+// Function to start the warm-up ramp for a newly linked number
+export const startWarmup = async (instanceId) => {
+    try {
+        const profile = await getThrottleProfile(instanceId);
+        await saveThrottleProfile({ ...profile, warmup_enabled: true, warmup_started_at: new Date() });
+        logger.info(`Warm-up started for instance ${instanceId}`);
+    } catch (error) {
+        logger.error('Error starting warm-up:', { error: error.message, stack: error.stack, instanceId });
+    }
+};
+
+// Function to work out the limits in force today, with the warm-up ramp applied to the daily limit
+export const getEffectiveLimits = (profile) => {
+    const limits = {
+        perMinute: profile.per_minute_limit,
+        perHour: profile.per_hour_limit,
+        perDay: profile.per_day_limit,
+        warmupDay: null
+    };
+
+    if (profile.warmup_enabled && profile.warmup_started_at) {
+        const warmupDay = Math.max(0, Math.floor((Date.now() - new Date(profile.warmup_started_at).getTime()) / WINDOWS.day));
+        const rampLimit = Math.floor(profile.warmup_start_per_day * Math.pow(1 + profile.warmup_increase_percent / 100, warmupDay));
+
+        if (rampLimit < limits.perDay) {
+            limits.perDay = rampLimit;
+            limits.warmupDay = warmupDay + 1;
+        }
+    }
+
+    return limits;
+};
+
+// Function to count messages sent by an instance in the last minute, hour and day
+export const getThrottleUsage = async (instanceId) => {
+    await ensureThrottleSchema();
+    const connection = await connectDB();
+    const [rows] = await connection.query(
+        'SELECT ' +
+        'SUM(CASE WHEN sent_at >= NOW() - INTERVAL 1 MINUTE THEN 1 ELSE 0 END) as minute, ' +
+        'SUM(CASE WHEN sent_at >= NOW() - INTERVAL 1 HOUR THEN 1 ELSE 0 END) as hour, ' +
+        'COUNT(*) as day ' +
+        'FROM media_messages WHERE instance_id = ? AND sent_at >= NOW() - INTERVAL 1 DAY',
+        [instanceId]
+    );
+
+    return {
+        minute: parseInt(rows[0].minute) || 0,
+        hour: parseInt(rows[0].hour) || 0,
+        day: parseInt(rows[0].day) || 0
+    };
+};
+
+// Milliseconds until the oldest send in a full window drops out of it
+const getWindowWait = async (instanceId, windowName, limit) => {
+    const connection = await connectDB();
+    const seconds = WINDOWS[windowName] / 1000;
+    const [rows] = await connection.query(
+        'SELECT TIMESTAMPDIFF(MICROSECOND, NOW(), sent_at + INTERVAL ? SECOND) / 1000 as wait_ms FROM media_messages ' +
+        'WHERE instance_id = ? AND sent_at >= NOW() - INTERVAL ? SECOND ' +
+        'ORDER BY sent_at DESC LIMIT 1 OFFSET ?',
+        [seconds, instanceId, seconds, Math.max(0, limit - 1)]
+    );
+    return rows.length > 0 ? Math.max(1000, Math.ceil(rows[0].wait_ms)) : 1000;
+};
+
+// Function to get how long an instance must wait before its next send (0 = send now)
+export const getSendDelay = async (instanceId) => {
+    const limits = getEffectiveLimits(await getThrottleProfile(instanceId));
+    const usage = await getThrottleUsage(instanceId);
+
+    if (usage.day >= limits.perDay) return getWindowWait(instanceId, 'day', limits.perDay);
+    if (usage.hour >= limits.perHour) return getWindowWait(instanceId, 'hour', limits.perHour);
+    if (usage.minute >= limits.perMinute) return getWindowWait(instanceId, 'minute', limits.perMinute);
+    return 0;
+};
+
+// Function to wait until the instance may send again. shouldStop is checked between
+// waits; returns false if it asked to stop.
+export const waitForSendSlot = async (instanceId, shouldStop = null) => {
+    while (true) {
+        const delay = await getSendDelay(instanceId);
+        if (delay === 0) return true;
+
+        if (shouldStop && await shouldStop()) return false;
+
+        logger.info(`Throttle limit reached for instance ${instanceId}, waiting ${Math.round(delay / 1000)} seconds...`);
+        await sleep(Math.min(delay, MAX_WAIT_STEP_MS));
+    }
+};
+
+// Function to wait for a send slot only if one frees up within maxWaitMs; returns false right
+// away if the instance is throttled for longer. For replies to inbound messages, which are
+// pointless once they would go out hours later.
+export const waitForSendSlotWithin = async (instanceId, maxWaitMs) => {
+    const delay = await getSendDelay(instanceId);
+    if (delay > maxWaitMs) return false;
+
+    if (delay > 0) await sleep(delay);
+    return true;
+};
+
+// Function to pick the random pause between two sends from the instance's profile
+export const getPacingDelay = async (instanceId) => {
+    const profile = await getThrottleProfile(instanceId);
+    return Math.floor(Math.random() * (profile.max_delay_ms - profile.min_delay_ms)) + profile.min_delay_ms;
+};
+
+const formatSettings = async (instanceId) => {
+    const profile = await getThrottleProfile(instanceId);
+    const limits = getEffectiveLimits(profile);
+    const usage = await getThrottleUsage(instanceId);
+
+    return {
+        profile,
+        limits,
+        usage,
+        remaining: {
+            minute: Math.max(0, limits.perMinute - usage.minute),
+            hour: Math.max(0, limits.perHour - usage.hour),
+            day: Math.max(0, limits.perDay - usage.day)
+        }
+    };
+};
+
+/**
+ * Get the throttle profile of an instance with current usage against its limits
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getThrottleSettings = async (req, res) => {
+    try {
+        const { instanceId } = req.params;
+        res.json({ success: true, ...(await formatSettings(instanceId)) });
+    } catch (error) {
+        logger.error('Error in getThrottleSettings:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch throttle settings', error: error.message });
+    }
+};
+
+/**
+ * Update the throttle profile of an instance; send restartWarmup: true to restart the ramp today
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const updateThrottleSettings = async (req, res) => {
+    try {
+        const { instanceId } = req.params;
+        const { restartWarmup } = req.body;
+        const current = await getThrottleProfile(instanceId);
+        const profile = { ...current };
+
+        const numericFields = [
+            'per_minute_limit', 'per_hour_limit', 'per_day_limit',
+            'min_delay_ms', 'max_delay_ms',
+            'warmup_start_per_day', 'warmup_increase_percent'
+        ];
+
+        for (const field of numericFields) {
+            if (req.body[field] === undefined) continue;
+
+            const value = parseInt(req.body[field]);
+            if (isNaN(value) || value < 0) {
+                return res.status(400).json({ success: false, message: `${field} must be a non-negative number` });
+            }
+            profile[field] = value;
+        }
+
+        if (req.body.warmup_enabled !== undefined) {
+            profile.warmup_enabled = !!req.body.warmup_enabled;
+        }
+
+        if (profile.per_minute_limit < 1 || profile.per_hour_limit < 1 || profile.per_day_limit < 1) {
+            return res.status(400).json({ success: false, message: 'Limits must be at least 1' });
+        }
+        if (profile.min_delay_ms > profile.max_delay_ms) {
+            return res.status(400).json({ success: false, message: 'min_delay_ms cannot be greater than max_delay_ms' });
+        }
+
+        if (restartWarmup || (profile.warmup_enabled && !profile.warmup_started_at)) {
+            profile.warmup_started_at = new Date();
+        }
+
+        await saveThrottleProfile(profile);
+        logger.info('Throttle profile updated:', { instanceId, profile });
+
+        res.json({ success: true, ...(await formatSettings(instanceId)) });
+    } catch (error) {
+        logger.error('Error in updateThrottleSettings:', error);
+        res.status(500).json({ success: false, message: 'Failed to update throttle settings', error: error.message });
+    }
+};
@@ -2,6 +2,8 @@
 
 import connectDB from '../db/index.js';
 import { logger } from '../logger.js';
+import { STATUS_JID, recordStatusReceipt } from './statusPosts.js';
+import { emitInstanceEvent, INSTANCE_EVENT } from '../utils/events.js';
 
 // Valid ENUM values for `message_status`
 const MESSAGE_STATUS = {
@@ -12,6 +14,14 @@ const MESSAGE_STATUS = {
     FAILED: 'failed'
 };
 
+// Event published when one of our messages reaches a status; pending has none
+const STATUS_EVENTS = {
+    [MESSAGE_STATUS.SENT]: INSTANCE_EVENT.MESSAGE_SENT,
+    [MESSAGE_STATUS.DELIVERED]: INSTANCE_EVENT.MESSAGE_DELIVERED,
+    [MESSAGE_STATUS.READ]: INSTANCE_EVENT.MESSAGE_READ,
+    [MESSAGE_STATUS.FAILED]: INSTANCE_EVENT.MESSAGE_FAILED
+};
+
 // Function to get database ID from WhatsApp message ID
 const getDatabaseId = async (instanceId, messageId) => {
     try {
@@ -121,7 +131,7 @@ export const updateMessageStatusInDB = async (messageId, newStatus) => {
         
         // Get the whatsapp_message_id and instance_id for this message
         const getMessageQuery = `
-            SELECT whatsapp_message_id, instance_id, recipient 
+            SELECT * 
             FROM media_messages 
             WHERE id = ?
         `;
@@ -256,6 +266,8 @@ export const updateMessageStatusInDB = async (messageId, newStatus) => {
         return {
             success: true,
             affectedRows: result.affectedRows,
+            changed: result.changedRows > 0,
+            message: messageRows[0],
             messageId,
             newStatus
         };
@@ -270,6 +282,22 @@ export const updateMessageStatusInDB = async (messageId, newStatus) => {
     }
 };
 
+// Function to publish a status change of one of our messages (a media_messages row)
+const publishStatusChange = (instanceId, message, newStatus) => {
+    const type = STATUS_EVENTS[newStatus];
+    if (!type) return;
+
+    emitInstanceEvent(instanceId, type, {
+        messageId: message.id,
+        whatsappMessageId: message.whatsapp_message_id,
+        recipient: message.recipient,
+        status: newStatus,
+        campaignId: message.campaign_id ?? null,
+        jobId: message.job_id ?? null,
+        parentMessageId: message.parent_message_id ?? null
+    });
+};
+
 // Function to setup message status tracking for a WhatsApp instance
 export const setupMessageStatusTracking = (sock, instanceId) => {
     if (!sock || !instanceId) {
@@ -294,6 +322,9 @@ export const setupMessageStatusTracking = (sock, instanceId) => {
 
             const messageId = update.key.id;
             const remoteJid = update.key.remoteJid;
+
+            // Status posts are tracked by their receipts, not as media_messages rows
+            if (remoteJid === STATUS_JID) continue;
             
             // Log the raw update
             logger.info('Processing message update:', {
@@ -347,6 +378,9 @@ export const setupMessageStatusTracking = (sock, instanceId) => {
 
                 // Update status in database
                 const updateResult = await updateMessageStatusInDB(dbId, newStatus);
+                if (updateResult.success && updateResult.changed) {
+                    publishStatusChange(instanceId, updateResult.message, newStatus);
+                }
                 
                 logger.info('Message status update result:', {
                     messageId: dbId,
@@ -373,6 +407,17 @@ export const setupMessageStatusTracking = (sock, instanceId) => {
             }
             
             const messageId = update.key.id;
+
+            // Receipts on a status post are its deliveries and views
+            if (update.key.remoteJid === STATUS_JID) {
+                try {
+                    await recordStatusReceipt(instanceId, update);
+                } catch (error) {
+                    logger.error('Failed to record status receipt:', { error: error.message, messageId });
+                }
+                continue;
+            }
+
             const { found, dbId } = await getDatabaseId(instanceId, messageId);
             
             if (!found) {
@@ -392,6 +437,9 @@ export const setupMessageStatusTracking = (sock, instanceId) => {
                     MESSAGE_STATUS.READ : MESSAGE_STATUS.DELIVERED;
                 
                 const updateResult = await updateMessageStatusInDB(dbId, newStatus);
+                if (updateResult.success && updateResult.changed) {
+                    publishStatusChange(instanceId, updateResult.message, newStatus);
+                }
                 
                 logger.info('Receipt update result:', {
                     messageId: dbId,
@@ -0,0 +1,41 @@
+// src/db/schema.js
+
+import connectDB from './index.js';
+import { logger } from '../logger.js';
+
+// Schema checks already done (or in progress) in this process
+const ensured = new Map();
+
+// Run a schema check only once per process, retrying on the next call if it failed
+const runOnce = (key, check) => {
+    if (!ensured.has(key)) {
+        const promise = check().catch((error) => {
+            ensured.delete(key);
+            logger.error(`Schema check failed for ${key}:`, { error: error.message, stack: error.stack });
+            throw error;
+        });
+        ensured.set(key, promise);
+    }
+    return ensured.get(key);
+};
+
+// Function to create a table if it does not exist yet
+export const ensureTable = (tableName, definition) => runOnce(`table:${tableName}`, async () => {
+    const connection = await connectDB();
+    await connection.query(`CREATE TABLE IF NOT EXISTS ${tableName} (${definition})`);
+});
+
+// Function to add a column to an existing table if it is missing
+export const ensureColumn = (tableName, columnName, definition) => runOnce(`column:${tableName}.${columnName}`, async () => {
+    const connection = await connectDB();
+    const [rows] = await connection.query(
+        'SELECT COLUMN_NAME FROM INFORMATION_SCHEMA.COLUMNS ' +
+        'WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?',
+        [tableName, columnName]
+    );
+
+    if (rows.length === 0) {
+        await connection.query(`ALTER TABLE ${tableName} ADD COLUMN ${columnName} ${definition}`);
+        logger.info(`Added column ${columnName} to ${tableName}`);
+    }
+});
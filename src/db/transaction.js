@@ -0,0 +1,21 @@
+// src/db/transaction.js
+
+import connectDB from './index.js';
+
+// Function to run queries in a transaction on one pooled connection: work(connection) is
+// committed if it resolves and rolled back if it throws
+export const withTransaction = async (work) => {
+    const pool = await connectDB();
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        const result = await work(connection);
+        await connection.commit();
+        return result;
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+};
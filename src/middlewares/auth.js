@@ -30,6 +30,42 @@ export const authenticateToken = (req, res, next) => {
     }
 };
 
+// Same as authenticateToken, but browsers' EventSource cannot send headers, so event streams
+// may also pass the JWT as ?token=
+export const authenticateStreamToken = (req, res, next) => {
+    if (!req.headers.authorization && typeof req.query.token === 'string') {
+        req.headers.authorization = `Bearer ${req.query.token}`;
+    }
+    return authenticateToken(req, res, next);
+};
+
+// Function to tell whether the user of a JWT may use an instance: admins may use any,
+// everyone else only the instances registered to their email
+export const canAccessInstance = async (user, instanceId) => {
+    if (user.role === 'Admin') return true;
+    if (!user.email) return false;
+
+    const connection = await connectDB();
+    const [rows] = await connection.query(
+        'SELECT instance_id FROM instances WHERE instance_id = ? AND register_id = ?',
+        [instanceId, user.email]
+    );
+    return rows.length > 0;
+};
+
+// Middleware to make sure the authenticated user owns the instance in the URL
+export const requireInstanceAccess = async (req, res, next) => {
+    try {
+        if (!(await canAccessInstance(req.user, req.params.instanceId))) {
+            return res.status(403).json({ message: 'Access denied. Instance does not belong to user.' });
+        }
+        next();
+    } catch (error) {
+        console.error('Error in requireInstanceAccess middleware:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+};
+
 // Middleware to attach WhatsApp instance to request
 export const attachWhatsAppInstance = async (req, res, next) => {
     try {
@@ -0,0 +1,136 @@
+// src/middlewares/idempotency.js
+
+import crypto from 'crypto';
+import connectDB from '../db/index.js';
+import { ensureTable } from '../db/schema.js';
+import { logger } from '../logger.js';
+
+// Keys (and the response they produced) are kept this long before a key can be reused
+const KEY_TTL_HOURS = 24;
+const KEY_MAX_LENGTH = 255;
+
+// Function to make sure the idempotency key table exists
+export const ensureIdempotencySchema = async () => {
+    await ensureTable('idempotency_keys', `
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id VARCHAR(255) NOT NULL,
+        endpoint VARCHAR(255) NOT NULL,
+        idempotency_key VARCHAR(255) NOT NULL,
+        request_hash CHAR(64) NOT NULL,
+        status ENUM('processing', 'completed') NOT NULL DEFAULT 'processing',
+        response_status INT NULL,
+        response_body LONGTEXT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP NOT NULL,
+        UNIQUE KEY uniq_user_endpoint_key (user_id, endpoint, idempotency_key),
+        INDEX idx_expires_at (expires_at)
+    `);
+};
+
+// JSON with object keys sorted, so the same body always hashes the same
+const stableStringify = (value) => {
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value) ?? 'null';
+};
+
+const hashRequestBody = (body) => crypto.createHash('sha256').update(stableStringify(body || {})).digest('hex');
+
+/**
+ * Middleware to make a POST endpoint safe to retry. A request with an Idempotency-Key header
+ * runs once per user and endpoint; repeating the key returns the stored response, and reusing
+ * it with a different body is rejected. Requests without the header are not affected.
+ * Must run after authenticateToken.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export const idempotency = async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (key === undefined) return next();
+
+    if (!key.trim() || key.length > KEY_MAX_LENGTH) {
+        return res.status(400).json({
+            success: false,
+            message: `Idempotency-Key must be 1-${KEY_MAX_LENGTH} characters`
+        });
+    }
+
+    const userId = String(req.user.userId);
+    const endpoint = `${req.method} ${req.baseUrl}${req.path}`;
+    const requestHash = hashRequestBody(req.body);
+
+    let connection;
+    let recordId;
+    try {
+        await ensureIdempotencySchema();
+        connection = await connectDB();
+
+        // Expired keys are dropped as new ones come in, this one first so it can be reused
+        await connection.query(
+            'DELETE FROM idempotency_keys WHERE user_id = ? AND endpoint = ? AND idempotency_key = ? AND expires_at < NOW()',
+            [userId, endpoint, key]
+        );
+        await connection.query('DELETE FROM idempotency_keys WHERE expires_at < NOW() LIMIT 100');
+
+        const [result] = await connection.query(
+            `INSERT IGNORE INTO idempotency_keys (user_id, endpoint, idempotency_key, request_hash, expires_at)
+             VALUES (?, ?, ?, ?, NOW() + INTERVAL ? HOUR)`,
+            [userId, endpoint, key, requestHash, KEY_TTL_HOURS]
+        );
+
+        if (result.affectedRows === 0) {
+            const [rows] = await connection.query(
+                'SELECT request_hash, status, response_status, response_body FROM idempotency_keys WHERE user_id = ? AND endpoint = ? AND idempotency_key = ?',
+                [userId, endpoint, key]
+            );
+            const stored = rows[0];
+
+            if (!stored) {
+                // Expired and removed between the insert and the lookup; let the client retry
+                return res.status(409).json({ success: false, message: 'Idempotency-Key is being reset, retry the request' });
+            }
+            if (stored.request_hash !== requestHash) {
+                return res.status(422).json({
+                    success: false,
+                    message: 'Idempotency-Key was already used with a different request body'
+                });
+            }
+            if (stored.status === 'processing') {
+                return res.status(409).json({
+                    success: false,
+                    message: 'A request with this Idempotency-Key is still being processed'
+                });
+            }
+
+            logger.info('Replaying idempotent response:', { userId, endpoint, key });
+            res.set('Idempotent-Replayed', 'true');
+            return res.status(stored.response_status).json(JSON.parse(stored.response_body));
+        }
+
+        recordId = result.insertId;
+    } catch (error) {
+        logger.error('Error in idempotency middleware:', { error: error.message, stack: error.stack });
+        return res.status(500).json({ success: false, message: 'Failed to check Idempotency-Key', error: error.message });
+    }
+
+    // Store the JSON response as it is sent. This happens even if the client has already
+    // disconnected, which is when it will retry. Server errors release the key instead so
+    // the request can be retried; anything else is stored and replayed.
+    const json = res.json.bind(res);
+    res.json = (body) => {
+        const statusCode = res.statusCode;
+        const save = statusCode >= 500
+            ? connection.query('DELETE FROM idempotency_keys WHERE id = ?', [recordId])
+            : connection.query(
+                'UPDATE idempotency_keys SET status = \'completed\', response_status = ?, response_body = ? WHERE id = ?',
+                [statusCode, JSON.stringify(body), recordId]
+            );
+        save.catch(error => logger.error('Error saving idempotent response:', { error: error.message, recordId }));
+        return json(body);
+    };
+
+    next();
+};
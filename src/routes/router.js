@@ -26,13 +26,30 @@ import { resetInstance, generateQRCode, getConnectionStatus } from '../controlle
 import { saveInstanceToDB } from '../controllers/instances.js';
 
 import { uploadMedia, uploadCSV } from '../controllers/fileUpload.js';
-
-import { sendMedia } from '../controllers/messages.js';
-import { getSubscriptionDetails, checkSubscription } from '../controllers/subscription.js';
+import { listMedia, getMedia, deleteMedia, findMedia } from '../controllers/mediaLibrary.js';
+import { listGroups, getGroup, createGroup, updateGroup, updateGroupParticipants, getGroupInvite, revokeGroupInvite } from '../controllers/groups.js';
+
+import { sendMedia, previewSpintax, prepareStructuredMessage, prepareAttachments, buildDryRunReport } from '../controllers/messages.js';
+import { getThrottleSettings, updateThrottleSettings } from '../controllers/throttle.js';
+import { getSendWindowSettings, updateSendWindowSettings, checkRecipientWindow } from '../controllers/sendWindows.js';
+import { getSendJobProgress, listSendJobs, pauseSendJob, resumeSendJob, cancelSendJob } from '../controllers/sendJobs.js';
+import { editMessage, revokeSentMessage, reactToMessage, revokeCampaignMessages } from '../controllers/messageActions.js';
+import { listConversations, getConversationThread, markConversationRead, searchConversationMessages, downloadInboundMedia } from '../controllers/conversations.js';
+import { listAutoReplyRules, getAutoReplyRule, createAutoReplyRule, updateAutoReplyRule, deleteAutoReplyRule, testAutoReplyRules } from '../controllers/autoReplies.js';
+import { listSuppressedNumbers, addSuppressedNumbers, removeSuppressedNumber, importSuppressedNumbers, exportSuppressedNumbers, getOptOutSettings, updateOptOutSettings, filterSuppressedRecipients } from '../controllers/suppression.js';
+import { listWebhooks, createWebhook, updateWebhook, deleteWebhook, listWebhookDeliveries, getWebhookDelivery, replayWebhookDeliveries } from '../controllers/outboundWebhooks.js';
+import { streamInstanceEvents } from '../controllers/eventStream.js';
+import { createStatusPost, listStatusPosts, getStatusPost, cancelStatusPost } from '../controllers/statusPosts.js';
+import { createNumberCheck, listNumberChecks, getNumberCheck, pauseNumberCheck, resumeNumberCheck, cancelNumberCheck } from '../controllers/numberChecks.js';
+import { getSubscriptionDetails, checkSubscription, getSubscriptionLedger } from '../controllers/subscription.js';
 import { saveScheduledMessage } from '../controllers/schedule.js';
+import { createCampaign, renameCampaign, listCampaigns, getCampaign, resolveCampaign, CAMPAIGN_SOURCE } from '../controllers/campaigns.js';
+import { listTemplates, getTemplate, createTemplate, updateTemplate, deleteTemplate, previewTemplate, findTemplate } from '../controllers/templates.js';
+import { getStructuredPayload } from '../utils/messageContent.js';
 
-import { authenticateToken, attachWhatsAppInstance } from '../middlewares/auth.js';
+import { authenticateToken, authenticateStreamToken, requireInstanceAccess, attachWhatsAppInstance } from '../middlewares/auth.js';
 import { validateSession } from '../middlewares/sessionMiddleware.js';
+import { idempotency } from '../middlewares/idempotency.js';
 
 // Add this with your other imports
 import { handleWebhook } from '../controllers/webhook.js';  
@@ -169,29 +186,216 @@ router.get('/:id/qrcode', authenticateToken, generateQRCode);
 router.get('/:id/status', authenticateToken, getConnectionStatus);
 router.post('/:id/reset', authenticateToken, resetInstance);
 
+// Real-time events of an instance (QR codes, connection, send job progress, messages) over SSE
+router.get('/:instanceId/events', authenticateStreamToken, requireInstanceAccess, streamInstanceEvents);
+
 // Subscription routes
 router.get('/:id/subscription', authenticateToken,  getSubscriptionDetails);
+router.get('/:id/subscription/ledger', authenticateToken, getSubscriptionLedger);
 router.get('/:id/check-subscription', authenticateToken, checkSubscription); 
 
 // File upload routes
 router.post('/:id/upload-media', authenticateToken, uploadMedia);
 router.post('/:id/upload-csv', authenticateToken, uploadCSV);
 
-// Route for sending media
-router.post('/:instanceId/send-media', authenticateToken, attachWhatsAppInstance, sendMedia);
-
-// Route for scheduling messages
-router.post('/schedule-message', authenticateToken, async (req, res) => {
+// Media library routes
+router.get('/:instanceId/media', authenticateToken, requireInstanceAccess, listMedia);
+router.get('/:instanceId/media/:mediaId', authenticateToken, requireInstanceAccess, getMedia);
+router.delete('/:instanceId/media/:mediaId', authenticateToken, requireInstanceAccess, deleteMedia);
+
+// Route for sending media; an Idempotency-Key header makes retries safe
+router.post('/:instanceId/send-media', authenticateToken, attachWhatsAppInstance, idempotency, sendMedia);
+
+// Group routes; these act through the connected WhatsApp instance
+router.get('/:instanceId/groups', authenticateToken, requireInstanceAccess, attachWhatsAppInstance, listGroups);
+router.post('/:instanceId/groups', authenticateToken, requireInstanceAccess, attachWhatsAppInstance, createGroup);
+router.get('/:instanceId/groups/:groupId', authenticateToken, requireInstanceAccess, attachWhatsAppInstance, getGroup);
+router.patch('/:instanceId/groups/:groupId', authenticateToken, requireInstanceAccess, attachWhatsAppInstance, updateGroup);
+router.post('/:instanceId/groups/:groupId/participants', authenticateToken, requireInstanceAccess, attachWhatsAppInstance, updateGroupParticipants);
+router.get('/:instanceId/groups/:groupId/invite', authenticateToken, requireInstanceAccess, attachWhatsAppInstance, getGroupInvite);
+router.post('/:instanceId/groups/:groupId/invite/revoke', authenticateToken, requireInstanceAccess, attachWhatsAppInstance, revokeGroupInvite);
+
+// Actions on sent messages, by media_messages id
+router.post('/:instanceId/messages/:messageId/edit', authenticateToken, requireInstanceAccess, attachWhatsAppInstance, editMessage);
+router.post('/:instanceId/messages/:messageId/revoke', authenticateToken, requireInstanceAccess, attachWhatsAppInstance, revokeSentMessage);
+router.post('/:instanceId/messages/:messageId/react', authenticateToken, requireInstanceAccess, attachWhatsAppInstance, reactToMessage);
+
+// Conversation routes: inbound messages and our sends, per contact
+router.get('/:instanceId/conversations', authenticateToken, requireInstanceAccess, listConversations);
+router.get('/:instanceId/conversations/search', authenticateToken, requireInstanceAccess, searchConversationMessages);
+router.get('/:instanceId/conversations/:contact/messages', authenticateToken, requireInstanceAccess, getConversationThread);
+router.post('/:instanceId/conversations/:contact/read', authenticateToken, requireInstanceAccess, markConversationRead);
+router.get('/:instanceId/inbound-messages/:inboundId/media', authenticateToken, requireInstanceAccess, attachWhatsAppInstance, downloadInboundMedia);
+
+// Auto-reply rule routes
+router.get('/:instanceId/auto-replies', authenticateToken, requireInstanceAccess, listAutoReplyRules);
+router.post('/:instanceId/auto-replies', authenticateToken, requireInstanceAccess, createAutoReplyRule);
+router.post('/:instanceId/auto-replies/test', authenticateToken, requireInstanceAccess, testAutoReplyRules);
+router.get('/:instanceId/auto-replies/:ruleId', authenticateToken, requireInstanceAccess, getAutoReplyRule);
+router.put('/:instanceId/auto-replies/:ruleId', authenticateToken, requireInstanceAccess, updateAutoReplyRule);
+router.delete('/:instanceId/auto-replies/:ruleId', authenticateToken, requireInstanceAccess, deleteAutoReplyRule);
+
+// Suppression list and opt-out keywords
+router.get('/:instanceId/suppression-list', authenticateToken, requireInstanceAccess, listSuppressedNumbers);
+router.post('/:instanceId/suppression-list', authenticateToken, requireInstanceAccess, addSuppressedNumbers);
+router.post('/:instanceId/suppression-list/import', authenticateToken, requireInstanceAccess, importSuppressedNumbers);
+router.get('/:instanceId/suppression-list/export', authenticateToken, requireInstanceAccess, exportSuppressedNumbers);
+router.delete('/:instanceId/suppression-list/:number', authenticateToken, requireInstanceAccess, removeSuppressedNumber);
+router.get('/:instanceId/opt-out', authenticateToken, requireInstanceAccess, getOptOutSettings);
+router.put('/:instanceId/opt-out', authenticateToken, requireInstanceAccess, updateOptOutSettings);
+
+// Outbound webhook routes: event subscriptions, delivery log and replays
+router.get('/:instanceId/webhooks', authenticateToken, requireInstanceAccess, listWebhooks);
+router.post('/:instanceId/webhooks', authenticateToken, requireInstanceAccess, createWebhook);
+router.put('/:instanceId/webhooks/:webhookId', authenticateToken, requireInstanceAccess, updateWebhook);
+router.delete('/:instanceId/webhooks/:webhookId', authenticateToken, requireInstanceAccess, deleteWebhook);
+router.get('/:instanceId/webhooks/:webhookId/deliveries', authenticateToken, requireInstanceAccess, listWebhookDeliveries);
+router.get('/:instanceId/webhooks/:webhookId/deliveries/:deliveryId', authenticateToken, requireInstanceAccess, getWebhookDelivery);
+router.post('/:instanceId/webhooks/:webhookId/replay', authenticateToken, requireInstanceAccess, replayWebhookDeliveries);
+
+// Sending throttle routes
+router.get('/:instanceId/throttle', authenticateToken, requireInstanceAccess, getThrottleSettings);
+router.put('/:instanceId/throttle', authenticateToken, requireInstanceAccess, updateThrottleSettings);
+
+// Send window (quiet hours) routes
+router.get('/:instanceId/send-window', authenticateToken, requireInstanceAccess, getSendWindowSettings);
+router.put('/:instanceId/send-window', authenticateToken, requireInstanceAccess, updateSendWindowSettings);
+router.get('/:instanceId/send-window/check', authenticateToken, requireInstanceAccess, checkRecipientWindow);
+
+// Route for previewing spintax variants of a message
+router.post('/:instanceId/spintax-preview', authenticateToken, requireInstanceAccess, previewSpintax);
+
+// Send job routes
+router.get('/:instanceId/send-jobs', authenticateToken, requireInstanceAccess, listSendJobs);
+router.get('/:instanceId/send-jobs/:jobId', authenticateToken, requireInstanceAccess, getSendJobProgress);
+router.post('/:instanceId/send-jobs/:jobId/pause', authenticateToken, requireInstanceAccess, pauseSendJob);
+router.post('/:instanceId/send-jobs/:jobId/resume', authenticateToken, requireInstanceAccess, resumeSendJob);
+router.post('/:instanceId/send-jobs/:jobId/cancel', authenticateToken, requireInstanceAccess, cancelSendJob);
+
+// WhatsApp number check routes
+router.get('/:instanceId/number-checks', authenticateToken, requireInstanceAccess, listNumberChecks);
+router.post('/:instanceId/number-checks', authenticateToken, requireInstanceAccess, createNumberCheck);
+router.get('/:instanceId/number-checks/:jobId', authenticateToken, requireInstanceAccess, getNumberCheck);
+router.post('/:instanceId/number-checks/:jobId/pause', authenticateToken, requireInstanceAccess, pauseNumberCheck);
+router.post('/:instanceId/number-checks/:jobId/resume', authenticateToken, requireInstanceAccess, resumeNumberCheck);
+router.post('/:instanceId/number-checks/:jobId/cancel', authenticateToken, requireInstanceAccess, cancelNumberCheck);
+
+// WhatsApp Status (stories) routes
+router.get('/:instanceId/status-posts', authenticateToken, requireInstanceAccess, listStatusPosts);
+router.post('/:instanceId/status-posts', authenticateToken, requireInstanceAccess, createStatusPost);
+router.get('/:instanceId/status-posts/:postId', authenticateToken, requireInstanceAccess, getStatusPost);
+router.post('/:instanceId/status-posts/:postId/cancel', authenticateToken, requireInstanceAccess, cancelStatusPost);
+
+// Campaign routes
+router.get('/:instanceId/campaigns', authenticateToken, requireInstanceAccess, listCampaigns);
+router.post('/:instanceId/campaigns', authenticateToken, requireInstanceAccess, createCampaign);
+router.get('/:instanceId/campaigns/:campaignId', authenticateToken, requireInstanceAccess, getCampaign);
+router.patch('/:instanceId/campaigns/:campaignId', authenticateToken, requireInstanceAccess, renameCampaign);
+router.post('/:instanceId/campaigns/:campaignId/revoke', authenticateToken, requireInstanceAccess, attachWhatsAppInstance, revokeCampaignMessages);
+
+// Message template routes
+router.get('/:instanceId/templates', authenticateToken, requireInstanceAccess, listTemplates);
+router.post('/:instanceId/templates', authenticateToken, requireInstanceAccess, createTemplate);
+router.get('/:instanceId/templates/:templateId', authenticateToken, requireInstanceAccess, getTemplate);
+router.put('/:instanceId/templates/:templateId', authenticateToken, requireInstanceAccess, updateTemplate);
+router.delete('/:instanceId/templates/:templateId', authenticateToken, requireInstanceAccess, deleteTemplate);
+router.post('/:instanceId/templates/:templateId/preview', authenticateToken, requireInstanceAccess, previewTemplate);
+
+// Route for scheduling messages; an Idempotency-Key header makes retries safe
+router.post('/schedule-message', authenticateToken, idempotency, async (req, res) => {
     try {
-        const { instance_id, recipient, message, schedule_time, media, caption } = req.body;
+        const { instance_id, recipient, schedule_time, campaign_id, campaign_name, template_id, media_id, interactive, location, contact, sticker, attachments, dry_run } = req.body;
+        let { message, caption } = req.body;
+        let mediaId = media_id;
         
-        if (!instance_id || !recipient || !message ) {
+        if (!instance_id || !recipient || (!message && !template_id && !media_id && !location && !contact && !attachments)) {
             return res.status(400).json({
                 success: false,
                 message: "Missing required fields"
             });
         }
 
+        // A saved template replaces the raw message, caption and media
+        if (template_id) {
+            const template = await findTemplate(instance_id, template_id);
+            if (!template) {
+                return res.status(404).json({
+                    success: false,
+                    message: "Template not found"
+                });
+            }
+            message = template.text;
+            caption = template.caption;
+            mediaId = mediaId || template.media_id;
+        }
+
+        // Interactive, location and contact parts are checked (and contacts resolved) before saving
+        let structured;
+        try {
+            const prepared = await prepareStructuredMessage(instance_id, { text: message, interactive, location, contact });
+            structured = getStructuredPayload(prepared);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        // Media is referenced by its library id, never by a server path
+        if (req.body.media) {
+            return res.status(400).json({
+                success: false,
+                message: "media paths are not accepted; upload the file and send its media_id"
+            });
+        }
+
+        let media = null;
+        if (mediaId) {
+            media = await findMedia(instance_id, mediaId);
+            if (!media) {
+                return res.status(404).json({
+                    success: false,
+                    message: "Media not found"
+                });
+            }
+        }
+
+        if (sticker && !media) {
+            return res.status(400).json({
+                success: false,
+                message: "A PNG or JPG media_id is required to send a sticker"
+            });
+        }
+
+        // Attachments are an ordered list of library items, sent before the message text
+        let scheduledAttachments = [];
+        if (attachments !== undefined) {
+            if (media) {
+                return res.status(400).json({
+                    success: false,
+                    message: "Use either media_id or attachments, not both"
+                });
+            }
+
+            const mediaCache = new Map();
+            try {
+                const prepared = await prepareAttachments(instance_id, {
+                    attachments: Array.isArray(attachments)
+                        ? attachments.map(attachment => ({ mediaId: attachment?.media_id, caption: attachment?.caption }))
+                        : attachments
+                }, mediaCache);
+                scheduledAttachments = prepared.attachments.map(({ mediaId, caption }) => ({
+                    media: mediaCache.get(String(mediaId)),
+                    caption
+                }));
+            } catch (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error.message.replace(/\bmediaId\b/g, 'media_id')
+                });
+            }
+        }
+
         // Only validate schedule_time if it's provided
         if (schedule_time) {
             const scheduledTime = new Date(schedule_time);
@@ -203,12 +407,46 @@ router.post('/schedule-message', authenticateToken, async (req, res) => {
             }
         }
 
-        const savedIds = await saveScheduledMessage(instance_id, recipient, message, media || null, caption || null, schedule_time);
+        // A dry run reports what would be scheduled and stops before anything is saved
+        if (dry_run) {
+            const recipients = Array.isArray(recipient) ? recipient : [recipient];
+            const { kept, skipped } = await filterSuppressedRecipients(instance_id, recipients.map(number => ({
+                number: String(number).trim(),
+                text: message,
+                caption,
+                ...(attachments !== undefined ? { attachments: scheduledAttachments } : {})
+            })));
+            return res.json(await buildDryRunReport(instance_id, kept, skipped));
+        }
+
+        // Record the scheduled batch as a campaign
+        const campaignId = await resolveCampaign(instance_id, { campaignId: campaign_id, campaignName: campaign_name }, CAMPAIGN_SOURCE.SCHEDULE);
+        if (!campaignId) {
+            return res.status(404).json({
+                success: false,
+                message: "Campaign not found"
+            });
+        }
+
+        const savedIds = await saveScheduledMessage(
+            instance_id,
+            recipient,
+            message,
+            media,
+            caption || null,
+            schedule_time,
+            null,
+            campaignId,
+            structured ? structured.type : (sticker ? 'sticker' : null),
+            structured,
+            scheduledAttachments
+        );
         
         res.json({
             success: true,
             message: "Message scheduled successfully",
-            data: savedIds
+            data: savedIds,
+            campaignId
         });
     } catch (error) {
         console.error('Error scheduling message:', error);
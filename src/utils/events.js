@@ -0,0 +1,49 @@
+// src/utils/events.js
+
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+
+// In-process bus for things that happen on an instance (message status changes, inbound
+// messages, connection changes, QR codes, send job progress). Producers emit here without
+// knowing who listens; outbound webhooks and dashboard event streams subscribe to it.
+
+export const INSTANCE_EVENT = {
+    MESSAGE_SENT: 'message.sent',
+    MESSAGE_DELIVERED: 'message.delivered',
+    MESSAGE_READ: 'message.read',
+    MESSAGE_FAILED: 'message.failed',
+    MESSAGE_INBOUND: 'message.inbound',
+    CONNECTION_UPDATE: 'connection.update',
+    QR_UPDATE: 'qr.update',
+    CAMPAIGN_PROGRESS: 'campaign.progress'
+};
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+// Function to publish an event of an instance to every listener; a listener that throws
+// does not stop the others or the producer
+export const emitInstanceEvent = (instanceId, type, data = {}) => {
+    const event = {
+        id: crypto.randomUUID(),
+        type,
+        instanceId: String(instanceId),
+        createdAt: new Date().toISOString(),
+        data
+    };
+
+    for (const listener of bus.listeners('event')) {
+        try {
+            listener(event);
+        } catch (error) {
+            // Listeners handle their own errors; nothing the producer can do about it
+        }
+    }
+    return event;
+};
+
+// Function to listen to every instance event; returns a function that stops listening
+export const onInstanceEvent = (listener) => {
+    bus.on('event', listener);
+    return () => bus.off('event', listener);
+};
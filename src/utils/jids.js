@@ -0,0 +1,40 @@
+// src/utils/jids.js
+
+// WhatsApp addresses: people are <digits>@s.whatsapp.net and groups are <id>@g.us,
+// where older group ids are <creator>-<timestamp>. Recipients may be given as either.
+const USER_SUFFIX = '@s.whatsapp.net';
+const GROUP_SUFFIX = '@g.us';
+const GROUP_JID_PATTERN = /^\d+(-\d+)?@g\.us$/;
+
+// Function to tell whether a recipient is a group
+export const isGroupJid = (recipient) => typeof recipient === 'string' && recipient.trim().endsWith(GROUP_SUFFIX);
+
+// Function to check that a group JID is well formed
+export const isValidGroupJid = (jid) => GROUP_JID_PATTERN.test(jid);
+
+// Function to turn a recipient (phone number, user JID or group JID) into the JID to send to
+export const toJid = (recipient) => {
+    const value = String(recipient).trim();
+    if (isGroupJid(value)) return value;
+    return `${value.replace(USER_SUFFIX, '').replace(/[^\d]/g, '')}${USER_SUFFIX}`;
+};
+
+// Function to turn a group id from a URL or request body into its JID; the @g.us suffix is optional
+export const toGroupJid = (groupId) => {
+    const value = String(groupId).trim();
+    return isGroupJid(value) ? value : `${value}${GROUP_SUFFIX}`;
+};
+
+// Function to get the number (or id) part of a JID, without any device suffix
+export const jidToNumber = (jid) => jid.split('@')[0].split(':')[0];
+
+// Function to check that a recipient is a well-formed group JID, user JID or phone number
+// (6-15 digits, optionally written with +, spaces, dashes or brackets)
+export const isValidRecipient = (recipient) => {
+    if (typeof recipient !== 'string' && typeof recipient !== 'number') return false;
+    const value = String(recipient).trim();
+    if (isGroupJid(value)) return isValidGroupJid(value);
+
+    const number = value.endsWith(USER_SUFFIX) ? value.slice(0, -USER_SUFFIX.length) : value;
+    return /^\+?[\d\s()-]+$/.test(number) && /^\d{6,15}$/.test(number.replace(/[^\d]/g, ''));
+};
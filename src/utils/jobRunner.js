@@ -0,0 +1,54 @@
+// src/utils/jobRunner.js
+
+import { logger } from '../logger.js';
+
+// Background jobs (send jobs, number checks) get at most one worker per job in this process.
+// Pausing and cancelling are status changes the worker notices between steps; resuming sets the
+// job queued and starts it. A worker that already saw the pause and is on its way out ignores
+// that start, so every time a worker exits the job's status is read again, and a job that
+// should be running gets a new worker instead of staying running with none.
+
+// Function to create the runner of one kind of job:
+// - work(jobId, runState) runs a job until it finishes or notices it was stopped; runState is
+//   an object the worker may keep per-run counters on
+// - shouldRun(jobId) tells whether a job is queued or running
+// - afterRun(jobId), if given, is called every time a worker has exited
+// label names the kind of job in logs.
+export const createJobRunner = (label, { work, shouldRun, afterRun = null }) => {
+    const runs = new Map();
+
+    const runWorker = async (jobId, runState) => {
+        try {
+            await work(jobId, runState);
+        } catch (error) {
+            logger.error(`Unhandled error in ${label} ${jobId}:`, { error: error.message, stack: error.stack });
+        } finally {
+            runs.delete(jobId);
+        }
+
+        try {
+            if (afterRun) await afterRun(jobId);
+            if (await shouldRun(jobId)) {
+                logger.info(`Restarting ${label} ${jobId}, it was resumed while its worker stopped`);
+                start(jobId);
+            }
+        } catch (error) {
+            logger.error(`Error after ${label} ${jobId} stopped:`, { error: error.message, stack: error.stack });
+        }
+    };
+
+    // Start a job in the background without waiting for it; does nothing if it has a worker
+    const start = (jobId) => {
+        if (runs.has(jobId)) return;
+
+        const runState = { startedAt: Date.now() };
+        runs.set(jobId, runState);
+        runWorker(jobId, runState);
+    };
+
+    return {
+        start,
+        isRunning: (jobId) => runs.has(jobId),
+        getRunState: (jobId) => runs.get(jobId) || null
+    };
+};
@@ -0,0 +1,192 @@
+// src/utils/mediaProcessing.js
+
+import fs from 'fs';
+import path from 'path';
+import ffmpeg from 'fluent-ffmpeg';
+import sharp from 'sharp';
+import { parseFile } from 'music-metadata';
+import decodeAudio from 'audio-decode';
+
+// Upload-time conversions into formats WhatsApp handles natively. Each processor
+// writes `<name>.processed.<ext>` (and `<name>.thumb.jpg` where it makes sense)
+// next to the original and returns what it produced.
+
+const AUDIO_EXTENSIONS = ['.mp3', '.wav', '.ogg', '.m4a', '.aac'];
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp'];
+const VIDEO_EXTENSIONS = ['.mp4', '.mov', '.mkv', '.webm'];
+
+// WhatsApp limits and our target sizes
+const MAX_IMAGE_SIDE = 1600;
+const THUMBNAIL_SIDE = 320;
+const MAX_VIDEO_HEIGHT = 720;
+const MAX_VIDEO_BYTES = 15 * 1024 * 1024; // 1MB under the 16MB limit for container overhead
+const VIDEO_AUDIO_KBPS = 96;
+const WAVEFORM_SAMPLES = 64;
+
+// Function to tell which processor handles a file, or null if it is sent as-is
+export const getProcessingKind = (fileName) => {
+    const extension = path.extname(fileName).toLowerCase();
+    if (AUDIO_EXTENSIONS.includes(extension)) return 'audio';
+    if (IMAGE_EXTENSIONS.includes(extension)) return 'image';
+    if (VIDEO_EXTENSIONS.includes(extension)) return 'video';
+    return null;
+};
+
+const variantPath = (inputPath, suffix) => {
+    const { dir, name } = path.parse(inputPath);
+    return path.join(dir, `${name}.${suffix}`);
+};
+
+// Run one ffmpeg command; configure adds the codecs and options
+const runFfmpeg = (inputPath, outputPath, configure) => new Promise((resolve, reject) => {
+    configure(ffmpeg(inputPath))
+        .on('end', resolve)
+        .on('error', reject)
+        .save(outputPath);
+});
+
+const probe = (inputPath) => new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(inputPath, (error, data) => (error ? reject(error) : resolve(data)));
+});
+
+// Peak levels (0-100) of the decoded audio in evenly sized buckets, as WhatsApp draws them
+const computeWaveform = async (filePath) => {
+    const audioBuffer = await decodeAudio(await fs.promises.readFile(filePath));
+    const samples = audioBuffer.getChannelData(0);
+    const bucketSize = Math.max(1, Math.floor(samples.length / WAVEFORM_SAMPLES));
+
+    const levels = [];
+    for (let bucket = 0; bucket < WAVEFORM_SAMPLES; bucket++) {
+        let sum = 0;
+        const start = bucket * bucketSize;
+        const end = Math.min(samples.length, start + bucketSize);
+        for (let i = start; i < end; i++) sum += Math.abs(samples[i]);
+        levels.push(end > start ? sum / (end - start) : 0);
+    }
+
+    const peak = Math.max(...levels) || 1;
+    return levels.map(level => Math.round((level / peak) * 100));
+};
+
+// Audio becomes a mono Opus/OGG voice note with its duration and waveform
+const processAudio = async (inputPath) => {
+    const outputPath = variantPath(inputPath, 'processed.ogg');
+    await runFfmpeg(inputPath, outputPath, command => command
+        .noVideo()
+        .audioCodec('libopus')
+        .audioChannels(1)
+        .audioFrequency(48000)
+        .audioBitrate('32k')
+        .format('ogg'));
+
+    const metadata = await parseFile(outputPath, { duration: true });
+
+    // A missing waveform only costs the voice note its preview bars
+    const waveform = await computeWaveform(outputPath).catch(() => null);
+
+    return {
+        processedPath: outputPath,
+        mimeType: 'audio/ogg; codecs=opus',
+        duration: Math.round(metadata.format.duration || 0),
+        waveform
+    };
+};
+
+// Images are resized to fit WhatsApp's preview size and recompressed as JPEG
+const processImage = async (inputPath) => {
+    const outputPath = variantPath(inputPath, 'processed.jpg');
+    const thumbnailPath = variantPath(inputPath, 'thumb.jpg');
+
+    const info = await sharp(inputPath)
+        .rotate()
+        .resize(MAX_IMAGE_SIDE, MAX_IMAGE_SIDE, { fit: 'inside', withoutEnlargement: true })
+        .flatten({ background: '#ffffff' })
+        .jpeg({ quality: 80, mozjpeg: true })
+        .toFile(outputPath);
+
+    await sharp(outputPath)
+        .resize(THUMBNAIL_SIDE, THUMBNAIL_SIDE, { fit: 'inside' })
+        .jpeg({ quality: 60 })
+        .toFile(thumbnailPath);
+
+    return {
+        processedPath: outputPath,
+        thumbnailPath,
+        mimeType: 'image/jpeg',
+        width: info.width,
+        height: info.height
+    };
+};
+
+// Videos are re-encoded to H.264/AAC at up to 720p, then squeezed to a target bitrate if still too big
+const processVideo = async (inputPath) => {
+    const outputPath = variantPath(inputPath, 'processed.mp4');
+    const thumbnailPath = variantPath(inputPath, 'thumb.jpg');
+    const encode = (videoOptions) => runFfmpeg(inputPath, outputPath, command => command
+        .videoCodec('libx264')
+        .audioCodec('aac')
+        .audioBitrate(`${VIDEO_AUDIO_KBPS}k`)
+        .outputOptions([
+            '-preset veryfast',
+            `-vf scale=-2:'min(${MAX_VIDEO_HEIGHT},ih)'`,
+            '-pix_fmt yuv420p',
+            '-movflags +faststart',
+            ...videoOptions
+        ])
+        .format('mp4'));
+
+    const source = await probe(inputPath);
+    const duration = source.format.duration || 0;
+
+    await encode(['-crf 28']);
+    if ((await fs.promises.stat(outputPath)).size > MAX_VIDEO_BYTES && duration > 0) {
+        const videoKbps = Math.max(100, Math.floor((MAX_VIDEO_BYTES * 8) / 1024 / duration) - VIDEO_AUDIO_KBPS);
+        await encode([`-b:v ${videoKbps}k`, `-maxrate ${videoKbps}k`, `-bufsize ${videoKbps * 2}k`]);
+    }
+
+    const { size } = await fs.promises.stat(outputPath);
+    if (size > MAX_VIDEO_BYTES) {
+        throw new Error('Video is too long to fit the WhatsApp size limit');
+    }
+
+    await new Promise((resolve, reject) => {
+        ffmpeg(outputPath)
+            .on('end', resolve)
+            .on('error', reject)
+            .screenshots({
+                timestamps: [duration >= 2 ? 1 : 0],
+                filename: path.basename(thumbnailPath),
+                folder: path.dirname(thumbnailPath),
+                size: `${THUMBNAIL_SIDE}x?`
+            });
+    });
+
+    const processed = await probe(outputPath);
+    const videoStream = processed.streams.find(stream => stream.codec_type === 'video');
+
+    return {
+        processedPath: outputPath,
+        thumbnailPath,
+        mimeType: 'video/mp4',
+        duration: Math.round(processed.format.duration || duration),
+        width: videoStream?.width || null,
+        height: videoStream?.height || null
+    };
+};
+
+const processors = {
+    audio: processAudio,
+    image: processImage,
+    video: processVideo
+};
+
+// Function to produce the WhatsApp-ready variant of an uploaded file.
+// Returns null for files that are sent as uploaded (documents and the like).
+export const processMedia = async (inputPath, fileName) => {
+    const kind = getProcessingKind(fileName);
+    if (!kind) return null;
+
+    const result = await processors[kind](inputPath);
+    const { size } = await fs.promises.stat(result.processedPath);
+    return { kind, size, ...result };
+};
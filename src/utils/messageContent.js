@@ -0,0 +1,322 @@
+// src/utils/messageContent.js
+
+import { generateWAMessageFromContent } from '@whiskeysockets/baileys';
+
+// Structured (non-file) messages sent through the Baileys socket.
+//
+// Interactive messages use the message text as their body (the poll question for
+// polls), so it goes through spintax and placeholders like any other text; the
+// rest of the structure comes from the `interactive` object:
+//   { type: 'buttons', footer, buttons: [{ id, text }] }
+//   { type: 'list', footer, title, buttonText, sections: [{ title, rows: [{ id, title, description }] }] }
+//   { type: 'poll', options: ['Yes', 'No'], selectableCount }
+//
+// WhatsApp clients no longer show the old buttons and list messages, so both are sent as
+// native-flow interactive messages (quick-reply buttons, a single-select list) instead.
+// sock.sendMessage cannot build those, so they go through sendContent.
+//
+// Locations and contact cards are sent after the message text, if there is one:
+//   { type: 'location', latitude, longitude, name, address }
+//   { type: 'contact', contacts: [{ name, vcard }] }
+
+export const INTERACTIVE_TYPES = ['buttons', 'list', 'poll'];
+
+// WhatsApp's own limits for each type
+const LIMITS = {
+    buttons: { max: 3, text: 20, id: 256 },
+    list: { sections: 10, rows: 10, title: 24, description: 72, buttonText: 20 },
+    poll: { minOptions: 2, maxOptions: 12, option: 100 },
+    location: { name: 256, address: 512 },
+    contacts: 10,
+    body: 1024,
+    footer: 60
+};
+
+const isBlank = (value) => typeof value !== 'string' || !value.trim();
+
+const findDuplicate = (values) => values.find((value, index) => values.indexOf(value) !== index);
+
+const validateButtons = ({ buttons }) => {
+    if (!Array.isArray(buttons) || buttons.length === 0) return 'buttons must be a non-empty array';
+    if (buttons.length > LIMITS.buttons.max) return `At most ${LIMITS.buttons.max} buttons are allowed`;
+
+    for (const [index, button] of buttons.entries()) {
+        if (isBlank(button?.text)) return `buttons[${index}].text is required`;
+        if (button.text.length > LIMITS.buttons.text) return `buttons[${index}].text must be at most ${LIMITS.buttons.text} characters`;
+        if (button.id !== undefined && (isBlank(String(button.id)) || String(button.id).length > LIMITS.buttons.id)) {
+            return `buttons[${index}].id must be 1-${LIMITS.buttons.id} characters`;
+        }
+    }
+
+    const duplicate = findDuplicate(buttons.map((button, index) => String(button.id ?? `btn_${index + 1}`)));
+    if (duplicate) return `Duplicate button id: ${duplicate}`;
+    return null;
+};
+
+const validateList = ({ title, buttonText, sections }) => {
+    if (isBlank(buttonText)) return 'buttonText is required for list messages';
+    if (buttonText.length > LIMITS.list.buttonText) return `buttonText must be at most ${LIMITS.list.buttonText} characters`;
+    if (title !== undefined && typeof title !== 'string') return 'title must be a string';
+    if (!Array.isArray(sections) || sections.length === 0) return 'sections must be a non-empty array';
+    if (sections.length > LIMITS.list.sections) return `At most ${LIMITS.list.sections} sections are allowed`;
+
+    const rowIds = [];
+    for (const [sectionIndex, section] of sections.entries()) {
+        if (sections.length > 1 && isBlank(section?.title)) {
+            return `sections[${sectionIndex}].title is required when there are several sections`;
+        }
+        if (!Array.isArray(section?.rows) || section.rows.length === 0) {
+            return `sections[${sectionIndex}].rows must be a non-empty array`;
+        }
+
+        for (const [rowIndex, row] of section.rows.entries()) {
+            const label = `sections[${sectionIndex}].rows[${rowIndex}]`;
+            if (isBlank(row?.title)) return `${label}.title is required`;
+            if (row.title.length > LIMITS.list.title) return `${label}.title must be at most ${LIMITS.list.title} characters`;
+            if (row.description !== undefined && (typeof row.description !== 'string' || row.description.length > LIMITS.list.description)) {
+                return `${label}.description must be a string of at most ${LIMITS.list.description} characters`;
+            }
+            rowIds.push(String(row.id ?? `row_${sectionIndex + 1}_${rowIndex + 1}`));
+        }
+    }
+
+    if (rowIds.length > LIMITS.list.rows) return `At most ${LIMITS.list.rows} rows are allowed across all sections`;
+    const duplicate = findDuplicate(rowIds);
+    if (duplicate) return `Duplicate row id: ${duplicate}`;
+    return null;
+};
+
+const validatePoll = ({ options, selectableCount }) => {
+    if (!Array.isArray(options)) return 'options must be an array';
+    if (options.length < LIMITS.poll.minOptions || options.length > LIMITS.poll.maxOptions) {
+        return `Polls need ${LIMITS.poll.minOptions}-${LIMITS.poll.maxOptions} options`;
+    }
+    if (options.some(option => isBlank(option) || option.length > LIMITS.poll.option)) {
+        return `Poll options must be non-empty strings of at most ${LIMITS.poll.option} characters`;
+    }
+
+    const duplicate = findDuplicate(options.map(option => option.trim().toLowerCase()));
+    if (duplicate) return `Duplicate poll option: ${duplicate}`;
+
+    // 0 lets the recipient pick any number of options
+    if (selectableCount !== undefined) {
+        const count = Number(selectableCount);
+        if (!Number.isInteger(count) || count < 0 || count > options.length) {
+            return `selectableCount must be a whole number from 0 to ${options.length}`;
+        }
+    }
+    return null;
+};
+
+const validators = {
+    buttons: validateButtons,
+    list: validateList,
+    poll: validatePoll
+};
+
+// Function to validate an interactive payload and the body text it will be sent with.
+// Returns an error message, or null if the payload is valid.
+export const validateInteractive = (interactive, text) => {
+    if (!interactive || typeof interactive !== 'object' || Array.isArray(interactive)) {
+        return 'interactive must be an object';
+    }
+    if (!INTERACTIVE_TYPES.includes(interactive.type)) {
+        return `interactive.type must be one of: ${INTERACTIVE_TYPES.join(', ')}`;
+    }
+    if (isBlank(text)) {
+        return `Message text is required for ${interactive.type} messages`;
+    }
+    if (text.length > LIMITS.body) {
+        return `Message text must be at most ${LIMITS.body} characters for ${interactive.type} messages`;
+    }
+    if (interactive.footer !== undefined && (typeof interactive.footer !== 'string' || interactive.footer.length > LIMITS.footer)) {
+        return `footer must be a string of at most ${LIMITS.footer} characters`;
+    }
+
+    return validators[interactive.type](interactive);
+};
+
+// Build a native-flow interactive message; buttons are { name, params }
+const buildNativeFlowContent = ({ text, footer, title, buttons }) => ({
+    interactiveMessage: {
+        header: title ? { title, hasMediaAttachment: false } : undefined,
+        body: { text },
+        footer: footer ? { text: footer } : undefined,
+        nativeFlowMessage: {
+            buttons: buttons.map(({ name, params }) => ({ name, buttonParamsJson: JSON.stringify(params) }))
+        }
+    }
+});
+
+// Function to build the Baileys message content for a validated interactive payload
+export const buildInteractiveContent = (interactive, text) => {
+    switch (interactive.type) {
+        case 'buttons':
+            return buildNativeFlowContent({
+                text,
+                footer: interactive.footer,
+                buttons: interactive.buttons.map((button, index) => ({
+                    name: 'quick_reply',
+                    params: { display_text: button.text, id: String(button.id ?? `btn_${index + 1}`) }
+                }))
+            });
+        case 'list':
+            return buildNativeFlowContent({
+                text,
+                footer: interactive.footer,
+                title: interactive.title,
+                buttons: [{
+                    name: 'single_select',
+                    params: {
+                        title: interactive.buttonText,
+                        sections: interactive.sections.map((section, sectionIndex) => ({
+                            title: section.title || '',
+                            rows: section.rows.map((row, rowIndex) => ({
+                                id: String(row.id ?? `row_${sectionIndex + 1}_${rowIndex + 1}`),
+                                title: row.title,
+                                description: row.description || undefined
+                            }))
+                        }))
+                    }
+                }]
+            });
+        case 'poll':
+            return {
+                poll: {
+                    name: text,
+                    values: interactive.options.map(option => option.trim()),
+                    selectableCount: interactive.selectableCount !== undefined ? Number(interactive.selectableCount) : 1
+                }
+            };
+        default:
+            throw new Error(`Unsupported interactive type: ${interactive.type}`);
+    }
+};
+
+// Function to check a location payload; returns an error message or null
+export const validateLocation = (location) => {
+    if (!location || typeof location !== 'object' || Array.isArray(location)) return 'location must be an object';
+
+    const latitude = Number(location.latitude);
+    const longitude = Number(location.longitude);
+    if (location.latitude === undefined || isNaN(latitude) || latitude < -90 || latitude > 90) {
+        return 'location.latitude must be a number from -90 to 90';
+    }
+    if (location.longitude === undefined || isNaN(longitude) || longitude < -180 || longitude > 180) {
+        return 'location.longitude must be a number from -180 to 180';
+    }
+    if (location.name !== undefined && (typeof location.name !== 'string' || location.name.length > LIMITS.location.name)) {
+        return `location.name must be a string of at most ${LIMITS.location.name} characters`;
+    }
+    if (location.address !== undefined && (typeof location.address !== 'string' || location.address.length > LIMITS.location.address)) {
+        return `location.address must be a string of at most ${LIMITS.location.address} characters`;
+    }
+    return null;
+};
+
+// Function to check a contact payload before phoneList rows are looked up.
+// Accepts { phoneListIds: [...] } (or phoneListId), { vcard } or { name, number, organization, email }.
+export const validateContact = (contact) => {
+    if (!contact || typeof contact !== 'object' || Array.isArray(contact)) return 'contact must be an object';
+
+    if (contact.phoneListIds !== undefined || contact.phoneListId !== undefined) {
+        const ids = contact.phoneListIds ?? [contact.phoneListId];
+        if (!Array.isArray(ids) || ids.length === 0) return 'contact.phoneListIds must be a non-empty array';
+        if (ids.length > LIMITS.contacts) return `At most ${LIMITS.contacts} contacts can be sent at once`;
+        if (ids.some(id => !Number.isInteger(Number(id)))) return 'contact.phoneListIds must hold phoneList row ids';
+        return null;
+    }
+
+    if (contact.vcard !== undefined) {
+        if (typeof contact.vcard !== 'string' || !/^BEGIN:VCARD/i.test(contact.vcard.trim()) || !/END:VCARD$/i.test(contact.vcard.trim())) {
+            return 'contact.vcard must be a vCard starting with BEGIN:VCARD and ending with END:VCARD';
+        }
+        if (!/^FN[:;]/im.test(contact.vcard)) return 'contact.vcard needs an FN (full name) line';
+        return null;
+    }
+
+    if (isBlank(contact.name) || isBlank(String(contact.number ?? ''))) {
+        return 'contact needs phoneListIds, a vcard, or a name and number';
+    }
+    if (String(contact.number).replace(/[^\d]/g, '').length < 6) return 'contact.number is not a valid phone number';
+    return null;
+};
+
+// Escape a value for a vCard property
+const escapeVCard = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/([,;])/g, '\\$1');
+
+// Function to build a vCard 3.0 for a name and number; waid lets WhatsApp link the card to the account
+export const buildVCard = ({ name, number, organization, email }) => {
+    const digits = String(number).replace(/[^\d]/g, '');
+    return [
+        'BEGIN:VCARD',
+        'VERSION:3.0',
+        `FN:${escapeVCard(name)}`,
+        organization ? `ORG:${escapeVCard(organization)};` : null,
+        email ? `EMAIL;type=INTERNET:${escapeVCard(email)}` : null,
+        `TEL;type=CELL;type=VOICE;waid=${digits}:+${digits}`,
+        'END:VCARD'
+    ].filter(Boolean).join('\n');
+};
+
+// Function to read the display name from a vCard's FN line
+export const getVCardName = (vcard) => {
+    const match = vcard.match(/^FN[^:]*:(.*)$/im);
+    return match ? match[1].trim().replace(/\\([,;\\])/g, '$1') : 'Contact';
+};
+
+// Function to tell whether a structured message uses the message text as its body
+export const usesTextAsBody = (structured) => !!structured && INTERACTIVE_TYPES.includes(structured.type);
+
+// Function to pick the structured part of a send request message, as stored in media_messages.payload
+export const getStructuredPayload = (message) => {
+    if (message.interactive) return message.interactive;
+    if (message.location) return { type: 'location', ...message.location };
+    if (message.contact) return { type: 'contact', ...message.contact };
+    return null;
+};
+
+// Function to build the Baileys content of any stored structured payload.
+// text is only used by interactive types.
+export const buildStructuredContent = (structured, text) => {
+    switch (structured.type) {
+        case 'location':
+            return {
+                location: {
+                    degreesLatitude: Number(structured.latitude),
+                    degreesLongitude: Number(structured.longitude),
+                    name: structured.name || undefined,
+                    address: structured.address || undefined
+                }
+            };
+        case 'contact':
+            return {
+                contacts: {
+                    displayName: structured.contacts.length === 1
+                        ? structured.contacts[0].name
+                        : `${structured.contacts.length} contacts`,
+                    contacts: structured.contacts.map(({ vcard }) => ({ vcard }))
+                }
+            };
+        default:
+            return buildInteractiveContent(structured, text);
+    }
+};
+
+// Function to send Baileys message content built here; options are Baileys send options, e.g. { quoted }.
+// Native-flow messages are wrapped the way WhatsApp clients expect and relayed as built.
+// Returns the sent message, whose key holds the WhatsApp message id.
+export const sendContent = async (sock, jid, content, options = {}) => {
+    if (!content.interactiveMessage) return sock.sendMessage(jid, content, options);
+
+    const message = generateWAMessageFromContent(jid, {
+        viewOnceMessage: {
+            message: {
+                messageContextInfo: { deviceListMetadata: {}, deviceListMetadataVersion: 2 },
+                interactiveMessage: content.interactiveMessage
+            }
+        }
+    }, { userJid: sock.user.id, quoted: options.quoted });
+    await sock.relayMessage(jid, message.message, { messageId: message.key.id });
+    return message;
+};
@@ -0,0 +1,106 @@
+// src/utils/placeholders.js
+
+import { format as formatDate, isValid, parseISO } from 'date-fns';
+
+// Placeholder language used in message text and captions:
+//   {{name}}                    value of the phoneList column
+//   {{name|there}}              fallback when the value is missing or empty
+//   {{name|title}}              formatting filter (upper, lower, title, trim, date, currency)
+//   {{due|date:dd/MM/yyyy}}     filter with an argument
+//   {{amount|currency:USD|-}}   filters and a fallback can be combined
+//   {{#if company}}...{{else}}...{{/if}}, {{#unless company}}...{{/unless}}
+// A pipe segment that is not a known filter name is treated as the fallback.
+
+const CONDITIONAL_PATTERN = /\{\{\s*#(if|unless)\s+(\w+)\s*\}\}((?:(?!\{\{\s*#(?:if|unless)\b)[\s\S])*?)\{\{\s*\/\1\s*\}\}/g;
+const ELSE_PATTERN = /\{\{\s*else\s*\}\}/;
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*((?:\|[^{}|]*)*)\}\}/g;
+
+const isEmpty = (value) => value === undefined || value === null || String(value).trim() === '';
+
+const toText = (value) => (value instanceof Date ? value.toISOString() : String(value));
+
+// Formatting filters, called with the value as text and the optional argument after ':'
+const FILTERS = {
+    upper: (value) => value.toUpperCase(),
+    lower: (value) => value.toLowerCase(),
+    title: (value) => value.toLowerCase().replace(/(^|\s)\S/g, letter => letter.toUpperCase()),
+    trim: (value) => value.trim(),
+    date: (value, pattern = 'dd MMM yyyy') => {
+        let date = parseISO(value);
+        if (!isValid(date)) date = new Date(value);
+        if (!isValid(date)) return value;
+
+        try {
+            return formatDate(date, pattern);
+        } catch (error) {
+            return value;
+        }
+    },
+    currency: (value, currencyCode = 'INR') => {
+        const amount = Number(value.replace(/[^\d.-]/g, ''));
+        if (value.trim() === '' || isNaN(amount)) return value;
+
+        try {
+            return new Intl.NumberFormat('en-IN', { style: 'currency', currency: currencyCode.toUpperCase() }).format(amount);
+        } catch (error) {
+            return value;
+        }
+    }
+};
+
+// Function to render conditionals and placeholders in a text from a data row.
+// Returns the rendered text and the fields that had neither a value nor a fallback
+// (those render as an empty string).
+export const renderTemplate = (text, data = {}) => {
+    if (!text) return { text, unresolved: [] };
+
+    const unresolved = new Set();
+    let output = text;
+
+    // Resolve conditional blocks innermost first so they can be nested
+    let previous;
+    do {
+        previous = output;
+        output = output.replace(CONDITIONAL_PATTERN, (match, keyword, field, body) => {
+            const [whenTrue, whenFalse = ''] = body.split(ELSE_PATTERN);
+            const isSet = !isEmpty(data[field]);
+            return (keyword === 'if' ? isSet : !isSet) ? whenTrue : whenFalse;
+        });
+    } while (output !== previous);
+
+    output = output.replace(PLACEHOLDER_PATTERN, (match, field, pipes) => {
+        let value = isEmpty(data[field]) ? null : toText(data[field]);
+        const filters = [];
+
+        pipes.split('|').slice(1).map(segment => segment.trim()).forEach(segment => {
+            const [name, ...args] = segment.split(':');
+            const filter = FILTERS[name.trim().toLowerCase()];
+
+            if (filter) {
+                filters.push([filter, args.length > 0 ? args.join(':').trim() : undefined]);
+            } else if (value === null) {
+                value = segment;
+            }
+        });
+
+        if (value === null) {
+            unresolved.add(field);
+            return '';
+        }
+
+        return filters.reduce((current, [filter, argument]) => filter(current, argument), value);
+    });
+
+    return { text: output, unresolved: [...unresolved] };
+};
+
+// Function to list the field names a text refers to, in placeholders and conditionals
+export const extractVariables = (text) => {
+    if (!text) return [];
+
+    const fields = [
+        ...[...text.matchAll(/\{\{\s*#(?:if|unless)\s+(\w+)\s*\}\}/g)].map(match => match[1]),
+        ...[...text.matchAll(PLACEHOLDER_PATTERN)].map(match => match[1])
+    ];
+    return [...new Set(fields.filter(field => field !== 'else'))];
+};
@@ -0,0 +1,64 @@
+// src/utils/publicAddress.js
+
+import dns from 'dns';
+import net from 'net';
+
+// Outbound requests to customer-supplied URLs (webhooks) must only reach the public internet,
+// never this server, its private network or a cloud metadata endpoint. Hosts are resolved
+// here and every address they resolve to is checked; the request is then pinned to a checked
+// address, so a DNS answer that changes in between (rebinding) cannot redirect it.
+
+// One list per family: a BlockList also checks IPv4 addresses against IPv6 rules as mapped
+// addresses, which the IPv4-mapped rule would then block wholesale
+const blockedIPv4 = new net.BlockList();
+const blockedIPv6 = new net.BlockList();
+[
+    ['0.0.0.0', 8],         // "this" network
+    ['10.0.0.0', 8],        // private
+    ['100.64.0.0', 10],     // carrier-grade NAT
+    ['127.0.0.0', 8],       // loopback
+    ['169.254.0.0', 16],    // link-local, including 169.254.169.254 metadata
+    ['172.16.0.0', 12],     // private
+    ['192.0.0.0', 24],      // IETF protocol assignments
+    ['192.168.0.0', 16],    // private
+    ['198.18.0.0', 15],     // benchmarking
+    ['224.0.0.0', 4],       // multicast
+    ['240.0.0.0', 4]        // reserved and broadcast
+].forEach(([network, prefix]) => blockedIPv4.addSubnet(network, prefix, 'ipv4'));
+[
+    ['::', 128],            // unspecified
+    ['::1', 128],           // loopback
+    ['::ffff:0:0', 96],     // IPv4-mapped
+    ['64:ff9b::', 96],      // NAT64, maps to IPv4 addresses
+    ['fc00::', 7],          // unique local
+    ['fe80::', 10],         // link-local
+    ['ff00::', 8]           // multicast
+].forEach(([network, prefix]) => blockedIPv6.addSubnet(network, prefix, 'ipv6'));
+
+// Function to tell whether an IP address is on the public internet
+export const isPublicAddress = (address) => {
+    const family = net.isIP(address);
+    if (!family) return false;
+    return family === 6 ? !blockedIPv6.check(address, 'ipv6') : !blockedIPv4.check(address, 'ipv4');
+};
+
+// Function to resolve a URL's host to its addresses ({ address, family }).
+// Throws if the host does not resolve or any address it resolves to is not public.
+export const resolvePublicAddresses = async (url) => {
+    // IPv6 literals keep their brackets in URL.hostname
+    const hostname = new URL(url).hostname.replace(/^\[(.*)\]$/, '$1');
+
+    const addresses = await dns.promises.lookup(hostname, { all: true, verbatim: true });
+    if (addresses.length === 0) throw new Error(`${hostname} does not resolve to any address`);
+
+    const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+    if (blocked) throw new Error(`${hostname} resolves to ${blocked.address}, which is not a public address`);
+    return addresses;
+};
+
+// Function to build a socket lookup that always answers with an already checked address,
+// for the lookup option of http(s).Agent
+export const pinnedLookup = ({ address, family }) => (hostname, options, callback) => {
+    if (options.all) return callback(null, [{ address, family }]);
+    return callback(null, address, family);
+};
@@ -0,0 +1,56 @@
+// src/utils/safeRegex.js
+
+import vm from 'vm';
+
+// User-supplied regular expressions (auto-reply rules) run against text anyone can send
+// the instance. A pattern like (a+)+ backtracks exponentially on a near miss and would
+// block the event loop, so such patterns are refused when saved and every match runs
+// with a time limit.
+
+const MATCH_TIMEOUT_MS = 50;
+
+// A quantifier that repeats more than once: *, + or {n,m}
+const REPEAT_PATTERN = /^(\*|\+|\{\d+(,\d*)?\})/;
+
+// Function to tell whether a regular expression repeats a group that itself contains a
+// repeat, e.g. (a+)+ or (\w*\s?)*. Expects a pattern that compiles.
+export const hasNestedQuantifiers = (pattern) => {
+    // Whether each open group (the outermost being the pattern itself) contains a repeat
+    const groups = [false];
+    let inClass = false;
+
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '\\') {
+            i++;
+        } else if (inClass) {
+            if (char === ']') inClass = false;
+        } else if (char === '[') {
+            inClass = true;
+        } else if (char === '(') {
+            groups.push(false);
+        } else if (char === ')') {
+            const containsRepeat = groups.pop();
+            if (!containsRepeat) continue;
+            if (REPEAT_PATTERN.test(pattern.slice(i + 1))) return true;
+            groups[groups.length - 1] = true;
+        } else if (REPEAT_PATTERN.test(pattern.slice(i))) {
+            groups[groups.length - 1] = true;
+        }
+    }
+    return false;
+};
+
+// Matches run in their own context so V8 can interrupt one that takes too long
+const matchContext = vm.createContext({});
+const matchScript = new vm.Script('new RegExp(pattern, flags).test(text)');
+
+// Function to test text against a pattern; throws if the match does not finish within timeout ms
+export const testRegex = (pattern, flags, text, timeout = MATCH_TIMEOUT_MS) => {
+    Object.assign(matchContext, { pattern, flags, text });
+    try {
+        return matchScript.runInContext(matchContext, { timeout });
+    } finally {
+        Object.assign(matchContext, { pattern: null, flags: null, text: null });
+    }
+};
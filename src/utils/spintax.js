@@ -0,0 +1,101 @@
+// src/utils/spintax.js
+
+// Spintax: {Hi|Hello|Hey} picks one option at random per recipient. Groups can be
+// nested ({Hi|{Good morning|Good day}}) and options can hold {{placeholders}},
+// which are left untouched for the placeholder renderer. A brace group without
+// a '|' is kept as plain text.
+
+// Parse text into literal strings and { options } groups, stopping at '|' or '}'
+// when parsing inside a group
+const parseSequence = (text, index, nested) => {
+    const nodes = [];
+    let literal = '';
+
+    while (index < text.length) {
+        if (text.startsWith('{{', index)) {
+            const close = text.indexOf('}}', index + 2);
+            if (close !== -1) {
+                literal += text.slice(index, close + 2);
+                index = close + 2;
+                continue;
+            }
+        }
+
+        const char = text[index];
+        if (char === '{') {
+            const group = parseGroup(text, index + 1);
+            if (group) {
+                if (literal) nodes.push(literal);
+                literal = '';
+                nodes.push(...group.nodes);
+                index = group.end;
+                continue;
+            }
+        } else if (nested && (char === '|' || char === '}')) {
+            break;
+        }
+
+        literal += char;
+        index++;
+    }
+
+    if (literal) nodes.push(literal);
+    return { nodes, end: index };
+};
+
+// Parse the options of a group that starts after '{'; null if the group is never closed
+const parseGroup = (text, index) => {
+    const options = [];
+
+    while (index < text.length) {
+        const { nodes, end } = parseSequence(text, index, true);
+        options.push(nodes);
+
+        if (end >= text.length) return null;
+        if (text[end] === '}') {
+            const groupNodes = options.length > 1 ? [{ options }] : ['{', ...options[0], '}'];
+            return { nodes: groupNodes, end: end + 1 };
+        }
+        index = end + 1;
+    }
+    return null;
+};
+
+const parse = (text) => parseSequence(text, 0, false).nodes;
+
+const countNodes = (nodes) => nodes.reduce((total, node) => (
+    typeof node === 'string'
+        ? total
+        : total * node.options.reduce((sum, option) => sum + countNodes(option), 0)
+), 1);
+
+const spinNodes = (nodes) => nodes.map((node) => {
+    if (typeof node === 'string') return node;
+    const option = node.options[Math.floor(Math.random() * node.options.length)];
+    return spinNodes(option);
+}).join('');
+
+// Function to pick one random variant of a spintax text
+export const spinText = (text) => {
+    if (!text || typeof text !== 'string') return text;
+    return spinNodes(parse(text));
+};
+
+// Function to count how many distinct variants a spintax text can produce
+export const countVariants = (text) => {
+    if (!text || typeof text !== 'string') return 1;
+    return countNodes(parse(text));
+};
+
+// Function to draw up to `limit` distinct random variants
+export const sampleVariants = (text, limit = 5) => {
+    const total = countVariants(text);
+    const wanted = Math.min(limit, total);
+    const samples = new Set();
+
+    // Random draws are enough here; the attempt cap stops skewed groups from looping long
+    for (let attempt = 0; samples.size < wanted && attempt < wanted * 20; attempt++) {
+        samples.add(spinText(text));
+    }
+    return [...samples];
+};
@@ -0,0 +1,93 @@
+// src/utils/timezones.js
+
+import { parsePhoneNumberFromString } from 'libphonenumber-js';
+
+// Main IANA timezone per country calling region. Countries spanning several zones
+// map to their most populous one; a phoneList `timezone` value overrides this.
+const COUNTRY_TIMEZONES = {
+    AE: 'Asia/Dubai',
+    AF: 'Asia/Kabul',
+    AR: 'America/Argentina/Buenos_Aires',
+    AT: 'Europe/Vienna',
+    AU: 'Australia/Sydney',
+    BD: 'Asia/Dhaka',
+    BE: 'Europe/Brussels',
+    BH: 'Asia/Bahrain',
+    BR: 'America/Sao_Paulo',
+    BT: 'Asia/Thimphu',
+    CA: 'America/Toronto',
+    CH: 'Europe/Zurich',
+    CN: 'Asia/Shanghai',
+    CO: 'America/Bogota',
+    DE: 'Europe/Berlin',
+    DK: 'Europe/Copenhagen',
+    EG: 'Africa/Cairo',
+    ES: 'Europe/Madrid',
+    ET: 'Africa/Addis_Ababa',
+    FI: 'Europe/Helsinki',
+    FR: 'Europe/Paris',
+    GB: 'Europe/London',
+    GH: 'Africa/Accra',
+    GR: 'Europe/Athens',
+    HK: 'Asia/Hong_Kong',
+    ID: 'Asia/Jakarta',
+    IE: 'Europe/Dublin',
+    IL: 'Asia/Jerusalem',
+    IN: 'Asia/Kolkata',
+    IQ: 'Asia/Baghdad',
+    IR: 'Asia/Tehran',
+    IT: 'Europe/Rome',
+    JO: 'Asia/Amman',
+    JP: 'Asia/Tokyo',
+    KE: 'Africa/Nairobi',
+    KR: 'Asia/Seoul',
+    KW: 'Asia/Kuwait',
+    LB: 'Asia/Beirut',
+    LK: 'Asia/Colombo',
+    MA: 'Africa/Casablanca',
+    MV: 'Indian/Maldives',
+    MX: 'America/Mexico_City',
+    MY: 'Asia/Kuala_Lumpur',
+    NG: 'Africa/Lagos',
+    NL: 'Europe/Amsterdam',
+    NO: 'Europe/Oslo',
+    NP: 'Asia/Kathmandu',
+    NZ: 'Pacific/Auckland',
+    OM: 'Asia/Muscat',
+    PH: 'Asia/Manila',
+    PK: 'Asia/Karachi',
+    PL: 'Europe/Warsaw',
+    PT: 'Europe/Lisbon',
+    QA: 'Asia/Qatar',
+    RU: 'Europe/Moscow',
+    SA: 'Asia/Riyadh',
+    SE: 'Europe/Stockholm',
+    SG: 'Asia/Singapore',
+    TH: 'Asia/Bangkok',
+    TR: 'Europe/Istanbul',
+    TZ: 'Africa/Dar_es_Salaam',
+    UG: 'Africa/Kampala',
+    US: 'America/New_York',
+    VN: 'Asia/Ho_Chi_Minh',
+    ZA: 'Africa/Johannesburg'
+};
+
+// Function to check that a string is a timezone the runtime knows
+export const isValidTimezone = (timeZone) => {
+    if (!timeZone || typeof timeZone !== 'string') return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+// Function to guess a recipient's timezone from their number; null if unknown
+export const getTimezoneForNumber = (phoneNumber) => {
+    if (!phoneNumber) return null;
+
+    const digits = String(phoneNumber).replace(/[^\d]/g, '');
+    const parsed = parsePhoneNumberFromString(`+${digits}`);
+    return parsed?.country ? COUNTRY_TIMEZONES[parsed.country] || null : null;
+};